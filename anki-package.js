@@ -0,0 +1,306 @@
+//
+// Anki packages (.apkg) that import with a double-click: a ZIP holding a
+// collection.anki2 SQLite database (schema 11, which every Anki 2.1 release
+// imports) written with the bundled sql.js, plus the media files stored as
+// "0", "1", ... and a "media" JSON map back to their real names.
+//
+
+// The sql.js WebAssembly binary, fetched on first use
+const SQLITE_WASM_URL = "vendor/sql.js/sql-wasm.wasm";
+
+// Tables and indexes of an Anki 2.1 collection (schema version 11)
+const ANKI_SCHEMA = `
+  CREATE TABLE col (
+    id integer primary key, crt integer not null, mod integer not null,
+    scm integer not null, ver integer not null, dty integer not null,
+    usn integer not null, ls integer not null, conf text not null,
+    models text not null, decks text not null, dconf text not null,
+    tags text not null
+  );
+  CREATE TABLE notes (
+    id integer primary key, guid text not null, mid integer not null,
+    mod integer not null, usn integer not null, tags text not null,
+    flds text not null, sfld integer not null, csum integer not null,
+    flags integer not null, data text not null
+  );
+  CREATE TABLE cards (
+    id integer primary key, nid integer not null, did integer not null,
+    ord integer not null, mod integer not null, usn integer not null,
+    type integer not null, queue integer not null, due integer not null,
+    ivl integer not null, factor integer not null, reps integer not null,
+    lapses integer not null, left integer not null, odue integer not null,
+    odid integer not null, flags integer not null, data text not null
+  );
+  CREATE TABLE revlog (
+    id integer primary key, cid integer not null, usn integer not null,
+    ease integer not null, ivl integer not null, lastIvl integer not null,
+    factor integer not null, time integer not null, type integer not null
+  );
+  CREATE TABLE graves (
+    usn integer not null, oid integer not null, type integer not null
+  );
+  CREATE INDEX ix_notes_usn ON notes (usn);
+  CREATE INDEX ix_cards_usn ON cards (usn);
+  CREATE INDEX ix_revlog_usn ON revlog (usn);
+  CREATE INDEX ix_cards_nid ON cards (nid);
+  CREATE INDEX ix_cards_sched ON cards (did, queue, due);
+  CREATE INDEX ix_revlog_cid ON revlog (cid);
+  CREATE INDEX ix_notes_csum ON notes (csum);
+`;
+
+class AnkiPackage {
+  constructor() {
+    this.sqlite = null; // Promise for the sql.js module
+  }
+  //
+  // Needs the bundled sql.js script and WebAssembly.
+  //
+  isSupported() {
+    return (
+      typeof window.initSqlJs === "function" &&
+      typeof WebAssembly !== "undefined"
+    );
+  }
+  //
+  // Loads sql.js once, handing it the fetched binary so it doesn't have to
+  // work out its own URL.
+  //
+  loadSqlite() {
+    if (!this.sqlite) {
+      this.sqlite = fetch(SQLITE_WASM_URL)
+        .then((response) => {
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          return response.arrayBuffer();
+        })
+        .then((wasmBinary) => window.initSqlJs({ wasmBinary }))
+        .catch((error) => {
+          this.sqlite = null;
+          throw new Error(`SQLite failed to load: ${error.message}`);
+        });
+    }
+    return this.sqlite;
+  }
+  //
+  // A stable 53-bit hash of a string (cyrb53), for ids and note guids that
+  // stay the same across exports, so importing again updates the notes.
+  //
+  hash(text) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+      const code = text.charCodeAt(i);
+      h1 = Math.imul(h1 ^ code, 2654435761);
+      h2 = Math.imul(h2 ^ code, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507);
+    h1 ^= Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507);
+    h2 ^= Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return 4294967296 * (2097151 & h2) + (h1 >>> 0);
+  }
+  //
+  // Anki's duplicate-check checksum: the first 32 bits of the SHA-1 of the
+  // sort field without HTML. 0 where crypto.subtle is missing (insecure
+  // contexts); Anki then just can't flag duplicates of these notes.
+  //
+  async checksum(text) {
+    if (typeof crypto === "undefined" || !crypto.subtle) return 0;
+    const plain = text.replace(/<[^>]*>/g, "").trim();
+    const digest = await crypto.subtle.digest(
+      "SHA-1",
+      new TextEncoder().encode(plain)
+    );
+    return new DataView(digest).getUint32(0);
+  }
+  //
+  // Builds the package as a JSZip. `noteType` is { name, fields, front, back,
+  // css } with card templates in Anki's {{Field}} syntax; each note is
+  // { key, fields, tags } with its values in field order and a key that
+  // identifies it across exports; `media` maps file names to Blobs.
+  //
+  async build({ deckName, noteType, notes, media }) {
+    const SQL = await this.loadSqlite();
+    const now = Date.now();
+    const seconds = Math.floor(now / 1000);
+    // Ids from names, so the same deck and note type are reused on import;
+    // the note type id covers its fields and templates, so editing them
+    // creates a new one instead of clashing with notes already imported
+    const deckId = 1e12 + (this.hash(`deck:${deckName}`) % 1e12);
+    const modelId =
+      1e12 +
+      (this.hash(
+        JSON.stringify([
+          noteType.name,
+          noteType.fields,
+          noteType.front,
+          noteType.back,
+        ])
+      ) %
+        1e12);
+
+    const fieldRefs = (template) =>
+      noteType.fields
+        .map((field, ord) => (template.includes(`{{${field}}}`) ? ord : -1))
+        .filter((ord) => ord >= 0);
+    const models = {
+      [modelId]: {
+        id: modelId,
+        name: noteType.name,
+        type: 0, // Standard (not cloze)
+        mod: seconds,
+        usn: -1,
+        sortf: 0,
+        did: deckId,
+        tmpls: [
+          {
+            name: "Card 1",
+            ord: 0,
+            qfmt: noteType.front,
+            afmt: noteType.back,
+            bqfmt: "",
+            bafmt: "",
+            did: null,
+          },
+        ],
+        flds: noteType.fields.map((name, ord) => ({
+          name,
+          ord,
+          sticky: false,
+          rtl: false,
+          font: "Arial",
+          size: 20,
+          media: [],
+        })),
+        css: noteType.css,
+        latexPre:
+          "\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n",
+        latexPost: "\\end{document}",
+        latexsvg: false,
+        // A card is generated when any field its front uses is filled
+        req: [[0, "any", fieldRefs(noteType.front)]],
+        tags: [],
+        vers: [],
+      },
+    };
+    const deck = (id, name) => ({
+      id,
+      name,
+      desc: "",
+      conf: 1,
+      dyn: 0,
+      collapsed: false,
+      extendNew: 10,
+      extendRev: 50,
+      mod: seconds,
+      usn: -1,
+      newToday: [0, 0],
+      revToday: [0, 0],
+      lrnToday: [0, 0],
+      timeToday: [0, 0],
+    });
+    const decks = {
+      1: deck(1, "Default"),
+      [deckId]: deck(deckId, deckName),
+    };
+    const deckConfig = {
+      1: {
+        id: 1,
+        name: "Default",
+        mod: 0,
+        usn: 0,
+        maxTaken: 60,
+        autoplay: true,
+        timer: 0,
+        replayq: true,
+        new: {
+          delays: [1, 10],
+          ints: [1, 4, 7],
+          initialFactor: 2500,
+          order: 1,
+          perDay: 20,
+          separate: true,
+          bury: true,
+        },
+        rev: {
+          perDay: 100,
+          ease4: 1.3,
+          fuzz: 0.05,
+          ivlFct: 1,
+          maxIvl: 36500,
+          minSpace: 1,
+          bury: true,
+        },
+        lapse: {
+          delays: [10],
+          mult: 0,
+          minInt: 1,
+          leechFails: 8,
+          leechAction: 0,
+        },
+      },
+    };
+    const config = {
+      activeDecks: [1],
+      curDeck: 1,
+      curModel: String(modelId),
+      nextPos: notes.length + 1,
+      newSpread: 0,
+      collapseTime: 1200,
+      timeLim: 0,
+      estTimes: true,
+      dueCounts: true,
+      sortType: "noteFld",
+      sortBackwards: false,
+      addToCur: true,
+    };
+
+    const db = new SQL.Database();
+    try {
+      db.run(ANKI_SCHEMA);
+      db.run(
+        "INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, '{}')",
+        [
+          seconds,
+          now,
+          now,
+          JSON.stringify(config),
+          JSON.stringify(models),
+          JSON.stringify(decks),
+          JSON.stringify(deckConfig),
+        ]
+      );
+
+      for (const [index, note] of notes.entries()) {
+        const id = now + index;
+        const tags = note.tags.length > 0 ? ` ${note.tags.join(" ")} ` : "";
+        db.run("INSERT INTO notes VALUES (?, ?, ?, ?, -1, ?, ?, ?, ?, 0, '')", [
+          id,
+          this.hash(`note:${deckName}:${note.key}`).toString(36),
+          modelId,
+          seconds,
+          tags,
+          note.fields.join("\x1f"),
+          note.fields[0],
+          await this.checksum(note.fields[0]),
+        ]);
+        // A new card, due in note order
+        db.run(
+          "INSERT INTO cards VALUES (?, ?, ?, 0, ?, -1, 0, 0, ?, 0, 0, 0, 0, 0, 0, 0, 0, '')",
+          [id, id, deckId, seconds, index + 1]
+        );
+      }
+
+      const zip = new window.JSZip();
+      zip.file("collection.anki2", db.export());
+      const mediaMap = {};
+      Object.entries(media).forEach(([name, blob], index) => {
+        mediaMap[index] = name;
+        zip.file(String(index), blob);
+      });
+      zip.file("media", JSON.stringify(mediaMap));
+      return zip;
+    } finally {
+      db.close();
+    }
+  }
+}
@@ -0,0 +1,225 @@
+//
+// Clean-up chain for noisy recordings: a high-pass filter, notch filters for
+// mains hum and its harmonics (both rendered with an OfflineAudioContext), then
+// spectral-subtraction noise reduction using a noise profile learned from a
+// quiet region of the same recording.
+//
+
+class AudioDsp {
+  //
+  // Runs the whole chain on a buffer and returns a new AudioBuffer with the
+  // same rate and channels. Options: highPass (Hz, 0 = off), hum (50, 60 or
+  // 0), noiseRegion ({ start, end } in seconds or null) and noiseReduction
+  // (0-1 strength). Noise reduction needs a region to learn the noise from.
+  //
+  async process(
+    buffer,
+    { highPass = 0, hum = 0, noiseRegion, noiseReduction }
+  ) {
+    const output = await this.applyFilters(buffer, { highPass, hum });
+    if (noiseRegion && noiseReduction > 0) {
+      const fftSize = this.getFftSize(output.sampleRate);
+      for (let channel = 0; channel < output.numberOfChannels; channel++) {
+        const data = output.getChannelData(channel);
+        const profile = this.learnNoiseProfile(
+          data,
+          Math.floor(noiseRegion.start * output.sampleRate),
+          Math.ceil(noiseRegion.end * output.sampleRate),
+          fftSize
+        );
+        if (profile) this.spectralSubtract(data, profile, noiseReduction);
+      }
+    }
+    return output;
+  }
+  //
+  // Renders the high-pass and hum notch filters with an OfflineAudioContext.
+  // Hum is notched at the mains frequency and its first two harmonics.
+  //
+  async applyFilters(buffer, { highPass, hum }) {
+    const context = new OfflineAudioContext(
+      buffer.numberOfChannels,
+      buffer.length,
+      buffer.sampleRate
+    );
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+
+    let node = source;
+    const connect = (filter) => {
+      node.connect(filter);
+      node = filter;
+    };
+    if (highPass > 0) {
+      const filter = context.createBiquadFilter();
+      filter.type = "highpass";
+      filter.frequency.value = highPass;
+      filter.Q.value = Math.SQRT1_2;
+      connect(filter);
+    }
+    if (hum > 0) {
+      [1, 2, 3].forEach((harmonic) => {
+        const filter = context.createBiquadFilter();
+        filter.type = "notch";
+        filter.frequency.value = hum * harmonic;
+        filter.Q.value = 30;
+        connect(filter);
+      });
+    }
+    node.connect(context.destination);
+    source.start(0);
+    return context.startRendering();
+  }
+  //
+  // FFT size giving frames of roughly 40ms, which resolves hum and hiss
+  // without smearing speech too much.
+  //
+  getFftSize(sampleRate) {
+    return 2 ** Math.round(Math.log2(sampleRate * 0.04));
+  }
+  //
+  // Periodic Hann window, square-rooted so that analysis and synthesis
+  // windows together overlap-add to exactly one at 50% overlap.
+  //
+  getWindow(size) {
+    const window = new Float64Array(size);
+    for (let i = 0; i < size; i++) {
+      window[i] = Math.sqrt(0.5 - 0.5 * Math.cos((2 * Math.PI * i) / size));
+    }
+    return window;
+  }
+  //
+  // In-place iterative radix-2 FFT. The inverse transform is scaled by 1/n.
+  //
+  fft(real, imag, inverse = false) {
+    const n = real.length;
+    for (let i = 1, j = 0; i < n; i++) {
+      let bit = n >> 1;
+      for (; j & bit; bit >>= 1) j ^= bit;
+      j ^= bit;
+      if (i < j) {
+        [real[i], real[j]] = [real[j], real[i]];
+        [imag[i], imag[j]] = [imag[j], imag[i]];
+      }
+    }
+
+    for (let size = 2; size <= n; size <<= 1) {
+      const angle = ((inverse ? 2 : -2) * Math.PI) / size;
+      const stepReal = Math.cos(angle);
+      const stepImag = Math.sin(angle);
+      for (let start = 0; start < n; start += size) {
+        let wReal = 1;
+        let wImag = 0;
+        for (let k = 0; k < size / 2; k++) {
+          const a = start + k;
+          const b = a + size / 2;
+          const tReal = real[b] * wReal - imag[b] * wImag;
+          const tImag = real[b] * wImag + imag[b] * wReal;
+          real[b] = real[a] - tReal;
+          imag[b] = imag[a] - tImag;
+          real[a] += tReal;
+          imag[a] += tImag;
+          const nextReal = wReal * stepReal - wImag * stepImag;
+          wImag = wReal * stepImag + wImag * stepReal;
+          wReal = nextReal;
+        }
+      }
+    }
+
+    if (inverse) {
+      for (let i = 0; i < n; i++) {
+        real[i] /= n;
+        imag[i] /= n;
+      }
+    }
+  }
+  //
+  // Averages the magnitude spectrum of the frames between two sample indices.
+  // Returns null if the region is shorter than one frame.
+  //
+  learnNoiseProfile(data, start, end, fftSize) {
+    const window = this.getWindow(fftSize);
+    const hop = fftSize / 2;
+    const bins = fftSize / 2 + 1;
+    const profile = new Float64Array(bins);
+    const real = new Float64Array(fftSize);
+    const imag = new Float64Array(fftSize);
+    let frames = 0;
+
+    for (
+      let offset = Math.max(0, start);
+      offset + fftSize <= end;
+      offset += hop
+    ) {
+      if (offset + fftSize > data.length) break;
+      for (let i = 0; i < fftSize; i++) {
+        real[i] = data[offset + i] * window[i];
+        imag[i] = 0;
+      }
+      this.fft(real, imag);
+      for (let bin = 0; bin < bins; bin++) {
+        profile[bin] += Math.hypot(real[bin], imag[bin]);
+      }
+      frames++;
+    }
+
+    if (frames === 0) return null;
+    return profile.map((value) => value / frames);
+  }
+  //
+  // Subtracts the noise profile from every frame's magnitude, keeping the
+  // phase, in place on the channel data. A spectral floor and smoothing of
+  // the gains over time keep "musical noise" artefacts down.
+  //
+  spectralSubtract(data, profile, strength) {
+    const fftSize = (profile.length - 1) * 2;
+    const window = this.getWindow(fftSize);
+    const hop = fftSize / 2;
+    const bins = profile.length;
+    // Strength sets the over-subtraction (1-2x) and the deepest cut (0-24dB)
+    const overSubtraction = 1 + strength;
+    const floor = 10 ** ((-24 * strength) / 20);
+    const real = new Float64Array(fftSize);
+    const imag = new Float64Array(fftSize);
+    const gains = new Float64Array(bins).fill(1);
+    const output = new Float64Array(data.length + fftSize);
+
+    // Start one hop before the signal so every sample is covered by two frames
+    for (let offset = -hop; offset < data.length; offset += hop) {
+      for (let i = 0; i < fftSize; i++) {
+        const index = offset + i;
+        const sample = index >= 0 && index < data.length ? data[index] : 0;
+        real[i] = sample * window[i];
+        imag[i] = 0;
+      }
+      this.fft(real, imag);
+
+      for (let bin = 0; bin < bins; bin++) {
+        const magnitude = Math.hypot(real[bin], imag[bin]);
+        const target =
+          magnitude > 0
+            ? Math.max(floor, 1 - (overSubtraction * profile[bin]) / magnitude)
+            : floor;
+        // Gains rise immediately but fall gradually
+        gains[bin] = Math.max(target, 0.5 * gains[bin] + 0.5 * target);
+        real[bin] *= gains[bin];
+        imag[bin] *= gains[bin];
+        // Mirror into the negative frequencies so the output stays real
+        if (bin > 0 && bin < bins - 1) {
+          real[fftSize - bin] = real[bin];
+          imag[fftSize - bin] = -imag[bin];
+        }
+      }
+      this.fft(real, imag, true);
+
+      for (let i = 0; i < fftSize; i++) {
+        const index = offset + i;
+        if (index >= 0) output[index] += real[i] * window[i];
+      }
+    }
+
+    for (let i = 0; i < data.length; i++) {
+      data[i] = output[i];
+    }
+  }
+}
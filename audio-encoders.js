@@ -0,0 +1,967 @@
+//
+// Output encoders for exported clips: WAV and FLAC (lossless, pure JS),
+// MP3 (lamejs) and Opus in an Ogg container (libopus built to WebAssembly
+// by opusscript). Both libraries are bundled in vendor/, so every format runs
+// in the browser without a server and works offline.
+//
+
+// The opusscript build's WebAssembly binary, fetched on first use
+const OPUS_WASM_URL = "vendor/opusscript/opusscript_native_wasm.wasm";
+
+// Sample rates MPEG audio supports (MPEG-1, MPEG-2 and MPEG-2.5)
+const MP3_SAMPLE_RATES = [
+  8000, 11025, 12000, 16000, 22050, 24000, 32000, 44100, 48000,
+];
+
+//
+// Writes a big-endian bit stream into a growing byte array, as used by FLAC.
+//
+class BitWriter {
+  constructor(capacity = 1 << 16) {
+    this.bytes = new Uint8Array(capacity);
+    this.length = 0; // Whole bytes written
+    this.accumulator = 0; // Pending bits not yet flushed to a byte
+    this.bitCount = 0;
+  }
+  //
+  // Grows the byte array so at least `extra` more bytes fit.
+  //
+  ensure(extra) {
+    if (this.length + extra <= this.bytes.length) return;
+    let capacity = this.bytes.length * 2;
+    while (capacity < this.length + extra) capacity *= 2;
+    const bytes = new Uint8Array(capacity);
+    bytes.set(this.bytes.subarray(0, this.length));
+    this.bytes = bytes;
+  }
+  //
+  // Writes the low `count` bits of an unsigned value (count up to 32).
+  //
+  writeBits(value, count) {
+    if (count > 24) {
+      // Keep the accumulator within 32 bits
+      this.writeBits(Math.floor(value / 0x1000000) & 0xff, count - 24);
+      this.writeBits(value & 0xffffff, 24);
+      return;
+    }
+    this.ensure(4);
+    this.accumulator =
+      (this.accumulator << count) | (value & ((1 << count) - 1));
+    this.bitCount += count;
+    while (this.bitCount >= 8) {
+      this.bitCount -= 8;
+      this.bytes[this.length++] = (this.accumulator >>> this.bitCount) & 0xff;
+    }
+    this.accumulator &= (1 << this.bitCount) - 1;
+  }
+  //
+  // Writes a signed value in two's complement using `count` bits.
+  //
+  writeSigned(value, count) {
+    this.writeBits(value < 0 ? value + 2 ** count : value, count);
+  }
+  //
+  // Writes `zeros` zero bits followed by a one (unary code).
+  //
+  writeUnary(zeros) {
+    while (zeros >= 24) {
+      this.writeBits(0, 24);
+      zeros -= 24;
+    }
+    this.writeBits(1, zeros + 1);
+  }
+  //
+  // Pads with zero bits up to the next byte boundary.
+  //
+  alignToByte() {
+    if (this.bitCount > 0) this.writeBits(0, 8 - this.bitCount);
+  }
+  //
+  // Returns the bytes written so far (must be byte aligned).
+  //
+  getBytes() {
+    return this.bytes.subarray(0, this.length);
+  }
+}
+
+class AudioEncoders {
+  constructor() {
+    this.crc8Table = this.buildCrcTable(8, 0x07);
+    this.crc16Table = this.buildCrcTable(16, 0x8005);
+    this.oggCrcTable = this.buildCrcTable(32, 0x04c11db7);
+  }
+  //
+  // Builds a lookup table for an MSB-first CRC of the given width and polynomial.
+  //
+  buildCrcTable(width, polynomial) {
+    const table = new Uint32Array(256);
+    const topBit = 2 ** (width - 1);
+    const mask = 2 ** width - 1;
+    for (let i = 0; i < 256; i++) {
+      let crc = i * 2 ** (width - 8);
+      for (let bit = 0; bit < 8; bit++) {
+        crc = crc >= topBit ? ((crc * 2) ^ polynomial) & mask : crc * 2;
+        crc = crc >>> 0;
+      }
+      table[i] = crc;
+    }
+    return table;
+  }
+  //
+  // Runs an MSB-first CRC over bytes using a table from buildCrcTable.
+  //
+  crc(bytes, table, width) {
+    const shift = width - 8;
+    const mask = 2 ** width - 1;
+    let crc = 0;
+    for (let i = 0; i < bytes.length; i++) {
+      const index = ((crc >>> shift) ^ bytes[i]) & 0xff;
+      crc = ((crc * 256) & mask) ^ table[index];
+      crc >>>= 0;
+    }
+    return crc;
+  }
+  //
+  // Returns true when the browser can produce the given format.
+  //
+  isSupported(format) {
+    if (format === "mp3") return typeof window.lamejs !== "undefined";
+    if (format === "opus") {
+      return (
+        typeof window.Module === "function" &&
+        typeof WebAssembly !== "undefined"
+      );
+    }
+    return format === "flac" || format === "wav";
+  }
+  //
+  // Converts a float channel to signed integers of the given bit depth. With
+  // `dither`, TPDF noise of +/-1 LSB is added before rounding so the
+  // quantization error is decorrelated from the signal.
+  //
+  toIntegerSamples(data, bitsPerSample, dither = false) {
+    const negative = 2 ** (bitsPerSample - 1);
+    const positive = negative - 1;
+    const samples = new Int32Array(data.length);
+    for (let i = 0; i < data.length; i++) {
+      const sample = Math.max(-1, Math.min(1, data[i]));
+      if (dither) {
+        const noise = Math.random() - Math.random();
+        samples[i] = Math.max(
+          -negative,
+          Math.min(positive, Math.round(sample * positive + noise))
+        );
+      } else {
+        samples[i] = Math.trunc(
+          sample < 0 ? sample * negative : sample * positive
+        );
+      }
+    }
+    return samples;
+  }
+  //
+  // Renders a buffer at a new sample rate and/or channel count using an
+  // OfflineAudioContext (channel counts are mixed with Web Audio's rules).
+  //
+  async resample(buffer, sampleRate, channels = buffer.numberOfChannels) {
+    if (
+      buffer.sampleRate === sampleRate &&
+      buffer.numberOfChannels === channels
+    ) {
+      return buffer;
+    }
+
+    const context = new OfflineAudioContext(
+      channels,
+      Math.ceil((buffer.length * sampleRate) / buffer.sampleRate),
+      sampleRate
+    );
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    source.connect(context.destination);
+    source.start(0);
+    return context.startRendering();
+  }
+
+  // WAV
+
+  //
+  // Encodes a buffer as a WAV file with interleaved channels, as 16 or 24-bit
+  // integer PCM or 32-bit float. More than two channels or more than 16 bits
+  // use WAVE_FORMAT_EXTENSIBLE. `metadata` ({ title, album, track, software })
+  // is written as a LIST/INFO chunk.
+  //
+  encodeWav(
+    buffer,
+    { bitDepth = 16, float = false, dither = false, metadata = {} } = {}
+  ) {
+    const channelCount = buffer.numberOfChannels;
+    const bytesPerSample = float ? 4 : bitDepth / 8;
+    const blockAlign = channelCount * bytesPerSample;
+    const formatTag = float ? 3 : 1; // IEEE float or integer PCM
+    const extensible = channelCount > 2 || (!float && bitDepth > 16);
+
+    const fmt = new DataView(
+      new ArrayBuffer(extensible ? 40 : float ? 18 : 16)
+    );
+    fmt.setUint16(0, extensible ? 0xfffe : formatTag, true);
+    fmt.setUint16(2, channelCount, true);
+    fmt.setUint32(4, buffer.sampleRate, true);
+    fmt.setUint32(8, buffer.sampleRate * blockAlign, true);
+    fmt.setUint16(12, blockAlign, true);
+    fmt.setUint16(14, bytesPerSample * 8, true);
+    if (extensible) {
+      fmt.setUint16(16, 22, true); // Extension size
+      fmt.setUint16(18, bytesPerSample * 8, true); // Valid bits per sample
+      // Speakers in the standard order (front left, front right, centre, ...)
+      const channelMask =
+        channelCount === 1
+          ? 0x4
+          : channelCount <= 18
+          ? 2 ** channelCount - 1
+          : 0;
+      fmt.setUint32(20, channelMask, true);
+      // Sub-format GUID: the format tag in {0000xxxx-0000-0010-8000-00AA00389B71}
+      fmt.setUint16(24, formatTag, true);
+      [0, 0, 0, 0, 0x10, 0, 0x80, 0, 0, 0xaa, 0, 0x38, 0x9b, 0x71].forEach(
+        (byte, i) => fmt.setUint8(26 + i, byte)
+      );
+    } else if (float) {
+      fmt.setUint16(16, 0, true); // Extension size
+    }
+
+    const chunks = [this.wavChunk("fmt ", new Uint8Array(fmt.buffer))];
+    if (float) {
+      // Non-PCM formats must say how many sample frames the data holds
+      const fact = new DataView(new ArrayBuffer(4));
+      fact.setUint32(0, buffer.length, true);
+      chunks.push(this.wavChunk("fact", new Uint8Array(fact.buffer)));
+    }
+    const info = this.buildWavInfo(metadata);
+    if (info) chunks.push(info);
+
+    // Interleave the samples
+    const data = new DataView(new ArrayBuffer(buffer.length * blockAlign));
+    const channels = [];
+    for (let channel = 0; channel < channelCount; channel++) {
+      const samples = buffer.getChannelData(channel);
+      channels.push(
+        float ? samples : this.toIntegerSamples(samples, bitDepth, dither)
+      );
+    }
+    let offset = 0;
+    for (let i = 0; i < buffer.length; i++) {
+      for (let channel = 0; channel < channelCount; channel++) {
+        const sample = channels[channel][i];
+        if (float) {
+          data.setFloat32(offset, sample, true);
+        } else if (bytesPerSample === 2) {
+          data.setInt16(offset, sample, true);
+        } else {
+          data.setUint8(offset, sample & 0xff);
+          data.setInt16(offset + 1, sample >> 8, true);
+        }
+        offset += bytesPerSample;
+      }
+    }
+    chunks.push(this.wavChunk("data", new Uint8Array(data.buffer)));
+
+    const riff = new DataView(new ArrayBuffer(12));
+    const size = chunks.reduce((sum, chunk) => sum + chunk.length, 4);
+    this.writeAscii(riff, 0, "RIFF");
+    riff.setUint32(4, size, true);
+    this.writeAscii(riff, 8, "WAVE");
+
+    return new Blob([riff.buffer, ...chunks], { type: "audio/wav" });
+  }
+  //
+  // Builds a RIFF chunk: four-character id, little-endian size, then the body
+  // padded to an even length.
+  //
+  wavChunk(id, body) {
+    const chunk = new Uint8Array(8 + body.length + (body.length % 2));
+    const view = new DataView(chunk.buffer);
+    this.writeAscii(view, 0, id);
+    view.setUint32(4, body.length, true);
+    chunk.set(body, 8);
+    return chunk;
+  }
+  //
+  // Builds the LIST/INFO chunk with title (INAM), album (IPRD), track number
+  // (ITRK) and software (ISFT). Returns null when there is nothing to write.
+  //
+  buildWavInfo({ title, album, track, software }) {
+    const encoder = new TextEncoder();
+    const fields = [
+      ["INAM", title],
+      ["IPRD", album],
+      ["ITRK", track],
+      ["ISFT", software],
+    ]
+      .filter(
+        ([, value]) => value !== undefined && value !== null && value !== ""
+      )
+      .map(([id, value]) => {
+        // Strings are null-terminated
+        const text = encoder.encode(String(value));
+        const body = new Uint8Array(text.length + 1);
+        body.set(text);
+        return this.wavChunk(id, body);
+      });
+    if (fields.length === 0) return null;
+
+    const body = new Uint8Array(
+      fields.reduce((sum, field) => sum + field.length, 4)
+    );
+    body.set([0x49, 0x4e, 0x46, 0x4f]); // "INFO"
+    let offset = 4;
+    fields.forEach((field) => {
+      body.set(field, offset);
+      offset += field.length;
+    });
+    return this.wavChunk("LIST", body);
+  }
+  //
+  // Writes an ASCII string (chunk ids, markers) into a DataView.
+  //
+  writeAscii(view, offset, string) {
+    for (let i = 0; i < string.length; i++) {
+      view.setUint8(offset + i, string.charCodeAt(i));
+    }
+  }
+
+  // FLAC
+
+  //
+  // Encodes a buffer as a FLAC file. Uses fixed-blocksize frames with the best
+  // of constant, verbatim and fixed-predictor subframes per channel, stereo
+  // decorrelation (left/side, right/side, mid/side) and partitioned Rice coding.
+  //
+  encodeFlac(buffer, bitsPerSample = 16, dither = false) {
+    const channelCount = buffer.numberOfChannels;
+    if (channelCount > 8) {
+      throw new Error("FLAC supports at most 8 channels");
+    }
+
+    const blockSize = 4096;
+    const totalSamples = buffer.length;
+    const channels = [];
+    for (let channel = 0; channel < channelCount; channel++) {
+      channels.push(
+        this.toIntegerSamples(
+          buffer.getChannelData(channel),
+          bitsPerSample,
+          dither
+        )
+      );
+    }
+
+    const writer = new BitWriter(
+      Math.max(1 << 16, totalSamples * channelCount)
+    );
+    this.writeFlacStreamHeader(writer, buffer, bitsPerSample, blockSize);
+
+    let frameNumber = 0;
+    for (let start = 0; start < totalSamples; start += blockSize) {
+      const end = Math.min(totalSamples, start + blockSize);
+      const block = channels.map((samples) => samples.subarray(start, end));
+      this.writeFlacFrame(
+        writer,
+        block,
+        buffer.sampleRate,
+        bitsPerSample,
+        frameNumber++
+      );
+    }
+
+    return new Blob([writer.getBytes().slice()], { type: "audio/flac" });
+  }
+  //
+  // Writes the "fLaC" marker and the STREAMINFO block. The MD5 signature is
+  // left as zeros, which the format defines as "not computed".
+  //
+  writeFlacStreamHeader(writer, buffer, bitsPerSample, blockSize) {
+    const totalSamples = buffer.length;
+    const streamBlockSize = Math.max(16, Math.min(blockSize, totalSamples));
+
+    [0x66, 0x4c, 0x61, 0x43].forEach((byte) => writer.writeBits(byte, 8)); // "fLaC"
+    writer.writeBits(1, 1); // Last metadata block
+    writer.writeBits(0, 7); // STREAMINFO
+    writer.writeBits(34, 24);
+    writer.writeBits(streamBlockSize, 16); // Min block size
+    writer.writeBits(streamBlockSize, 16); // Max block size
+    writer.writeBits(0, 24); // Min frame size (unknown)
+    writer.writeBits(0, 24); // Max frame size (unknown)
+    writer.writeBits(buffer.sampleRate, 20);
+    writer.writeBits(buffer.numberOfChannels - 1, 3);
+    writer.writeBits(bitsPerSample - 1, 5);
+    writer.writeBits(Math.floor(totalSamples / 2 ** 32), 4);
+    writer.writeBits(totalSamples >>> 0, 32);
+    for (let i = 0; i < 4; i++) writer.writeBits(0, 32); // MD5
+  }
+  //
+  // Writes one frame: header with CRC-8, one subframe per channel, then CRC-16.
+  //
+  writeFlacFrame(writer, block, sampleRate, bitsPerSample, frameNumber) {
+    const frameStart = writer.length;
+    const blockSize = block[0].length;
+
+    // Pick the channel layout that codes smallest
+    let assignment = block.length - 1;
+    let subframes = block.map((samples) =>
+      this.encodeFlacSubframe(samples, bitsPerSample)
+    );
+    if (block.length === 2) {
+      const [left, right] = block;
+      const mid = new Int32Array(blockSize);
+      const side = new Int32Array(blockSize);
+      for (let i = 0; i < blockSize; i++) {
+        mid[i] = (left[i] + right[i]) >> 1;
+        side[i] = left[i] - right[i];
+      }
+      const midFrame = this.encodeFlacSubframe(mid, bitsPerSample);
+      const sideFrame = this.encodeFlacSubframe(side, bitsPerSample + 1);
+      const options = [
+        { assignment: 1, subframes },
+        { assignment: 8, subframes: [subframes[0], sideFrame] },
+        { assignment: 9, subframes: [sideFrame, subframes[1]] },
+        { assignment: 10, subframes: [midFrame, sideFrame] },
+      ];
+      const size = (option) =>
+        option.subframes[0].bits + option.subframes[1].bits;
+      const best = options.reduce((a, b) => (size(b) < size(a) ? b : a));
+      assignment = best.assignment;
+      subframes = best.subframes;
+    }
+
+    // Frame header
+    writer.writeBits(0x3ffe, 14); // Sync code
+    writer.writeBits(0, 1); // Reserved
+    writer.writeBits(0, 1); // Fixed blocksize stream
+    const size = this.flacBlockSizeCode(blockSize);
+    writer.writeBits(size.code, 4);
+    const rate = this.flacSampleRateCode(sampleRate);
+    writer.writeBits(rate.code, 4);
+    writer.writeBits(assignment, 4);
+    const sampleSizeCodes = { 8: 1, 12: 2, 16: 4, 20: 5, 24: 6 };
+    writer.writeBits(sampleSizeCodes[bitsPerSample] || 0, 3);
+    writer.writeBits(0, 1); // Reserved
+    this.writeFlacUtf8(writer, frameNumber);
+    if (size.bits) writer.writeBits(blockSize - 1, size.bits);
+    if (rate.bits) writer.writeBits(rate.value, rate.bits);
+    writer.writeBits(
+      this.crc(
+        writer.bytes.subarray(frameStart, writer.length),
+        this.crc8Table,
+        8
+      ),
+      8
+    );
+
+    subframes.forEach((subframe) => subframe.write(writer));
+
+    writer.alignToByte();
+    writer.writeBits(
+      this.crc(
+        writer.bytes.subarray(frameStart, writer.length),
+        this.crc16Table,
+        16
+      ),
+      16
+    );
+  }
+  //
+  // Block size code for the frame header: one of the standard sizes where
+  // possible, otherwise the size minus one follows the frame number.
+  //
+  flacBlockSizeCode(blockSize) {
+    if (blockSize === 192) return { code: 1, bits: 0 };
+    for (let code = 2; code <= 5; code++) {
+      if (blockSize === 576 << (code - 2)) return { code, bits: 0 };
+    }
+    for (let code = 8; code <= 15; code++) {
+      if (blockSize === 256 << (code - 8)) return { code, bits: 0 };
+    }
+    return blockSize <= 256 ? { code: 6, bits: 8 } : { code: 7, bits: 16 };
+  }
+  //
+  // Sample rate code for the frame header. Rates are written into every frame
+  // rather than deferred to STREAMINFO so each frame decodes on its own.
+  //
+  flacSampleRateCode(sampleRate) {
+    const codes = {
+      88200: 1,
+      176400: 2,
+      192000: 3,
+      8000: 4,
+      16000: 5,
+      22050: 6,
+      24000: 7,
+      32000: 8,
+      44100: 9,
+      48000: 10,
+      96000: 11,
+    };
+    if (codes[sampleRate]) return { code: codes[sampleRate], bits: 0 };
+    if (sampleRate % 1000 === 0 && sampleRate <= 255000) {
+      return { code: 12, bits: 8, value: sampleRate / 1000 };
+    }
+    if (sampleRate <= 65535) return { code: 13, bits: 16, value: sampleRate };
+    if (sampleRate % 10 === 0 && sampleRate <= 655350) {
+      return { code: 14, bits: 16, value: sampleRate / 10 };
+    }
+    return { code: 0, bits: 0 }; // Only STREAMINFO can describe it
+  }
+  //
+  // Writes a frame number with FLAC's extended UTF-8 style coding.
+  //
+  writeFlacUtf8(writer, value) {
+    if (value < 0x80) {
+      writer.writeBits(value, 8);
+      return;
+    }
+    let continuation = 1;
+    while (value >= 2 ** (5 * continuation + 6)) continuation++;
+    const leadBits = 6 - continuation;
+    const lead = (0xff << (7 - continuation)) & 0xff;
+    writer.writeBits(
+      lead |
+        (Math.floor(value / 2 ** (6 * continuation)) & ((1 << leadBits) - 1)),
+      8
+    );
+    for (let i = continuation - 1; i >= 0; i--) {
+      writer.writeBits(0x80 | (Math.floor(value / 2 ** (6 * i)) & 0x3f), 8);
+    }
+  }
+  //
+  // Chooses the smallest subframe type for a channel. Returns { bits, write }
+  // so frames can compare layouts before anything is written.
+  //
+  encodeFlacSubframe(samples, bitsPerSample) {
+    const blockSize = samples.length;
+
+    if (samples.every((sample) => sample === samples[0])) {
+      return {
+        bits: 8 + bitsPerSample,
+        write: (writer) => {
+          writer.writeBits(0, 8); // CONSTANT
+          writer.writeSigned(samples[0], bitsPerSample);
+        },
+      };
+    }
+
+    let best = {
+      bits: 8 + blockSize * bitsPerSample,
+      write: (writer) => {
+        writer.writeBits(0x02, 8); // VERBATIM
+        for (let i = 0; i < blockSize; i++) {
+          writer.writeSigned(samples[i], bitsPerSample);
+        }
+      },
+    };
+
+    for (let order = 0; order <= 4 && order < blockSize; order++) {
+      const residual = this.fixedResidual(samples, order);
+      const rice = this.planRice(residual, order, blockSize);
+      const bits = 8 + order * bitsPerSample + rice.bits;
+      if (bits < best.bits) {
+        best = {
+          bits,
+          write: (writer) => {
+            writer.writeBits(0x10 | (order << 1), 8); // FIXED, no wasted bits
+            for (let i = 0; i < order; i++) {
+              writer.writeSigned(samples[i], bitsPerSample);
+            }
+            this.writeRice(writer, residual, rice);
+          },
+        };
+      }
+    }
+    return best;
+  }
+  //
+  // Computes the residual of FLAC's fixed polynomial predictor of the given order.
+  //
+  fixedResidual(samples, order) {
+    const residual = new Int32Array(samples.length - order);
+    for (let i = order; i < samples.length; i++) {
+      const s = samples;
+      let prediction = 0;
+      if (order === 1) prediction = s[i - 1];
+      else if (order === 2) prediction = 2 * s[i - 1] - s[i - 2];
+      else if (order === 3) prediction = 3 * s[i - 1] - 3 * s[i - 2] + s[i - 3];
+      else if (order === 4) {
+        prediction = 4 * s[i - 1] - 6 * s[i - 2] + 4 * s[i - 3] - s[i - 4];
+      }
+      residual[i - order] = s[i] - prediction;
+    }
+    return residual;
+  }
+  //
+  // Picks the partition order and per-partition Rice parameters that code the
+  // residual in the fewest bits.
+  // Returns { bits, partitionOrder, parameters, counts, escape }.
+  //
+  planRice(residual, predictorOrder, blockSize) {
+    // Zigzag-mapped residual magnitudes
+    const values = new Float64Array(residual.length);
+    for (let i = 0; i < residual.length; i++) {
+      const r = residual[i];
+      values[i] = r >= 0 ? 2 * r : -2 * r - 1;
+    }
+
+    let best = null;
+    for (let partitionOrder = 0; partitionOrder <= 8; partitionOrder++) {
+      const partitions = 1 << partitionOrder;
+      if (blockSize % partitions !== 0) break;
+      const partitionSize = blockSize / partitions;
+      if (partitionSize <= predictorOrder) break;
+
+      let bits = 2 + 4; // Coding method + partition order
+      const parameters = [];
+      const counts = [];
+      let offset = 0;
+      for (let p = 0; p < partitions; p++) {
+        // The warm-up samples come out of the first partition
+        const count = p === 0 ? partitionSize - predictorOrder : partitionSize;
+        const { parameter, cost } = this.bestRiceParameter(
+          values,
+          offset,
+          count
+        );
+        parameters.push(parameter);
+        counts.push(count);
+        bits += cost;
+        offset += count;
+      }
+      const escape = parameters.some((parameter) => parameter > 14);
+      bits += partitions * (escape ? 5 : 4);
+      if (!best || bits < best.bits) {
+        best = { bits, partitionOrder, parameters, counts, escape };
+      }
+    }
+    return best;
+  }
+  //
+  // Finds the Rice parameter with the smallest coded size for a run of values,
+  // searching around the estimate from the mean.
+  //
+  bestRiceParameter(values, offset, count) {
+    let sum = 0;
+    for (let i = offset; i < offset + count; i++) sum += values[i];
+    const mean = count > 0 ? sum / count : 0;
+    const estimate = mean > 1 ? Math.floor(Math.log2(mean)) : 0;
+
+    let best = null;
+    for (
+      let parameter = Math.max(0, estimate - 1);
+      parameter <= Math.min(30, estimate + 1);
+      parameter++
+    ) {
+      let cost = count * (parameter + 1);
+      const divisor = 2 ** parameter;
+      for (let i = offset; i < offset + count; i++) {
+        cost += Math.floor(values[i] / divisor);
+      }
+      if (!best || cost < best.cost) best = { parameter, cost };
+    }
+    return best;
+  }
+  //
+  // Writes a residual with the Rice plan from planRice.
+  //
+  writeRice(writer, residual, plan) {
+    const parameterBits = plan.escape ? 5 : 4;
+    writer.writeBits(plan.escape ? 1 : 0, 2);
+    writer.writeBits(plan.partitionOrder, 4);
+
+    let offset = 0;
+    plan.parameters.forEach((parameter, p) => {
+      writer.writeBits(parameter, parameterBits);
+      const divisor = 2 ** parameter;
+      for (let i = offset; i < offset + plan.counts[p]; i++) {
+        const r = residual[i];
+        const value = r >= 0 ? 2 * r : -2 * r - 1;
+        writer.writeUnary(Math.floor(value / divisor));
+        if (parameter > 0) writer.writeBits(value % divisor, parameter);
+      }
+      offset += plan.counts[p];
+    });
+  }
+
+  // MP3
+
+  //
+  // Encodes a buffer as a constant-bitrate MP3 with lamejs. Audio at sample
+  // rates MPEG doesn't support is resampled to 44.1kHz, and more than two
+  // channels are mixed down to stereo.
+  //
+  async encodeMp3(buffer, kbps = 128) {
+    if (typeof window.lamejs === "undefined") {
+      throw new Error(
+        "MP3 encoder not loaded. Please check that vendor/lamejs is deployed."
+      );
+    }
+
+    const channels = Math.min(2, buffer.numberOfChannels);
+    const sampleRate = MP3_SAMPLE_RATES.includes(buffer.sampleRate)
+      ? buffer.sampleRate
+      : 44100;
+    const source = await this.resample(buffer, sampleRate, channels);
+
+    const toInt16 = (data) => {
+      const samples = new Int16Array(data.length);
+      for (let i = 0; i < data.length; i++) {
+        const sample = Math.max(-1, Math.min(1, data[i]));
+        samples[i] = sample < 0 ? sample * 0x8000 : sample * 0x7fff;
+      }
+      return samples;
+    };
+    const left = toInt16(source.getChannelData(0));
+    const right = channels === 2 ? toInt16(source.getChannelData(1)) : null;
+
+    const encoder = new window.lamejs.Mp3Encoder(channels, sampleRate, kbps);
+    const parts = [];
+    const frameSize = 1152;
+    for (let i = 0; i < left.length; i += frameSize) {
+      const data = right
+        ? encoder.encodeBuffer(
+            left.subarray(i, i + frameSize),
+            right.subarray(i, i + frameSize)
+          )
+        : encoder.encodeBuffer(left.subarray(i, i + frameSize));
+      if (data.length > 0) parts.push(new Uint8Array(data));
+    }
+    const tail = encoder.flush();
+    if (tail.length > 0) parts.push(new Uint8Array(tail));
+
+    return new Blob(parts, { type: "audio/mpeg" });
+  }
+
+  // Opus
+
+  //
+  // Loads the bundled libopus once. The opusscript build instantiates its
+  // module synchronously, so the binary is fetched and compiled first and
+  // handed over through Emscripten's instantiateWasm hook. Resolves with the
+  // Emscripten module (OpusScriptHandler, _malloc, _free and the heaps).
+  //
+  loadOpusEncoder() {
+    if (!this.opusModule) {
+      this.opusModule = fetch(OPUS_WASM_URL)
+        .then((response) => {
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          return response.arrayBuffer();
+        })
+        .then((bytes) => WebAssembly.compile(bytes))
+        .then(
+          (module) =>
+            window.Module({
+              instantiateWasm: (imports, receive) =>
+                receive(new WebAssembly.Instance(module, imports)),
+            }).ready
+        )
+        .catch((error) => {
+          this.opusModule = null;
+          throw new Error(`Opus encoder failed to load: ${error.message}`);
+        });
+    }
+    return this.opusModule;
+  }
+  //
+  // Encodes a buffer as Opus with the bundled libopus and wraps the packets in
+  // an Ogg container (.opus). Opus runs at 48kHz with one or two channels, so
+  // the clip is resampled/mixed down as needed.
+  //
+  async encodeOpus(buffer, kbps = 96) {
+    if (!this.isSupported("opus")) {
+      throw new Error(
+        "Opus encoder not loaded. Please check that vendor/opusscript is deployed."
+      );
+    }
+
+    const channels = Math.min(2, buffer.numberOfChannels);
+    const sampleRate = 48000;
+    const source = await this.resample(buffer, sampleRate, channels);
+    const opus = await this.loadOpusEncoder();
+
+    const frameSize = 960; // 20ms packets
+    const maxPacketSize = 1276 * 3; // Largest packet libopus writes
+    const preSkip = 312; // libopus' encoder delay at 48kHz
+    const handler = new opus.OpusScriptHandler(
+      sampleRate,
+      channels,
+      2049 // OPUS_APPLICATION_AUDIO
+    );
+    const pcmPointer = opus._malloc(frameSize * channels * 2);
+    const packetPointer = opus._malloc(maxPacketSize);
+    const packets = [];
+    try {
+      const status = handler._encoder_ctl(4002, kbps * 1000); // OPUS_SET_BITRATE
+      if (status < 0) throw new Error(`Opus bitrate error ${status}`);
+
+      // Silence after the clip flushes the encoder delay
+      const data = Array.from({ length: channels }, (_, channel) =>
+        source.getChannelData(channel)
+      );
+      const total = source.length + preSkip;
+      for (let start = 0; start < total; start += frameSize) {
+        // The heap can be replaced as memory grows, so look it up per packet
+        const pcm = opus.HEAP16.subarray(
+          pcmPointer >> 1,
+          (pcmPointer >> 1) + frameSize * channels
+        );
+        for (let i = 0; i < frameSize; i++) {
+          for (let channel = 0; channel < channels; channel++) {
+            const sample =
+              start + i < source.length
+                ? Math.max(-1, Math.min(1, data[channel][start + i]))
+                : 0;
+            pcm[i * channels + channel] =
+              sample < 0 ? sample * 0x8000 : sample * 0x7fff;
+          }
+        }
+        const length = handler._encode(
+          pcmPointer,
+          frameSize * channels * 2,
+          packetPointer,
+          frameSize
+        );
+        if (length < 0) throw new Error(`Opus encode error ${length}`);
+        packets.push({
+          data: opus.HEAPU8.slice(packetPointer, packetPointer + length),
+          samples: frameSize,
+        });
+      }
+    } finally {
+      opus.OpusScriptHandler.destroy_handler(handler);
+      opus._free(pcmPointer);
+      opus._free(packetPointer);
+    }
+
+    return new Blob(
+      [
+        this.muxOggOpus(packets, {
+          channels,
+          preSkip,
+          inputSampleRate: buffer.sampleRate,
+          totalSamples: source.length,
+        }),
+      ],
+      { type: "audio/ogg; codecs=opus" }
+    );
+  }
+  //
+  // Wraps Opus packets ({ data, samples }) in an Ogg stream: an OpusHead page,
+  // an OpusTags page, then audio pages of up to 50 packets each. The last page's
+  // granule position trims the encoder padding so the decoded length matches.
+  //
+  muxOggOpus(packets, { channels, preSkip, inputSampleRate, totalSamples }) {
+    const serial = (Math.random() * 0xffffffff) >>> 0;
+    const pages = [];
+    let sequence = 0;
+
+    const head = new Uint8Array(19);
+    const headView = new DataView(head.buffer);
+    head.set([0x4f, 0x70, 0x75, 0x73, 0x48, 0x65, 0x61, 0x64]); // "OpusHead"
+    head[8] = 1; // Version
+    head[9] = channels;
+    headView.setUint16(10, preSkip, true);
+    headView.setUint32(12, inputSampleRate, true);
+    headView.setInt16(16, 0, true); // Output gain
+    head[18] = 0; // Channel mapping family
+
+    const vendor = new TextEncoder().encode("audio-linguist");
+    const tags = new Uint8Array(8 + 4 + vendor.length + 4);
+    const tagsView = new DataView(tags.buffer);
+    tags.set([0x4f, 0x70, 0x75, 0x73, 0x54, 0x61, 0x67, 0x73]); // "OpusTags"
+    tagsView.setUint32(8, vendor.length, true);
+    tags.set(vendor, 12);
+    tagsView.setUint32(12 + vendor.length, 0, true); // No user comments
+
+    pages.push(this.buildOggPage([head], 0, serial, sequence++, 0x02));
+    pages.push(this.buildOggPage([tags], 0, serial, sequence++, 0));
+
+    // Group packets into pages of up to a second, within the 255 lacing values
+    const lacingCount = (packet) => Math.floor(packet.data.length / 255) + 1;
+    let granule = 0;
+    let i = 0;
+    while (i < packets.length) {
+      const pagePackets = [];
+      let lacing = 0;
+      while (
+        i < packets.length &&
+        pagePackets.length < 50 &&
+        lacing + lacingCount(packets[i]) <= 255
+      ) {
+        lacing += lacingCount(packets[i]);
+        pagePackets.push(packets[i++]);
+      }
+      const isLast = i >= packets.length;
+      const previousGranule = granule;
+      granule += pagePackets.reduce((sum, packet) => sum + packet.samples, 0);
+      pages.push(
+        this.buildOggPage(
+          pagePackets.map((packet) => packet.data),
+          isLast
+            ? Math.min(
+                granule,
+                Math.max(previousGranule, preSkip + totalSamples)
+              )
+            : granule,
+          serial,
+          sequence++,
+          isLast ? 0x04 : 0
+        )
+      );
+    }
+
+    const size = pages.reduce((sum, page) => sum + page.length, 0);
+    const output = new Uint8Array(size);
+    let offset = 0;
+    pages.forEach((page) => {
+      output.set(page, offset);
+      offset += page.length;
+    });
+    return output;
+  }
+  //
+  // Builds one Ogg page holding whole packets, with lacing values and CRC.
+  //
+  buildOggPage(packets, granule, serial, sequence, flags) {
+    const lacing = [];
+    packets.forEach((packet) => {
+      let remaining = packet.length;
+      while (remaining >= 255) {
+        lacing.push(255);
+        remaining -= 255;
+      }
+      lacing.push(remaining);
+    });
+    if (lacing.length > 255) {
+      throw new Error("Too many packets for one Ogg page");
+    }
+
+    const bodySize = packets.reduce((sum, packet) => sum + packet.length, 0);
+    const page = new Uint8Array(27 + lacing.length + bodySize);
+    const view = new DataView(page.buffer);
+    page.set([0x4f, 0x67, 0x67, 0x53]); // "OggS"
+    page[4] = 0; // Version
+    page[5] = flags;
+    view.setUint32(6, granule % 2 ** 32, true);
+    view.setUint32(10, Math.floor(granule / 2 ** 32), true);
+    view.setUint32(14, serial, true);
+    view.setUint32(18, sequence, true);
+    view.setUint32(22, 0, true); // CRC, filled in below
+    page[26] = lacing.length;
+    page.set(lacing, 27);
+    let offset = 27 + lacing.length;
+    packets.forEach((packet) => {
+      page.set(packet, offset);
+      offset += packet.length;
+    });
+
+    view.setUint32(22, this.crc(page, this.oggCrcTable, 32), true);
+    return page;
+  }
+}
@@ -3,6 +3,263 @@
  * Client-side audio processing with WebAssembly Whisper integration
  */
 
+// English number words used to normalize spelled-out segment markers
+const NUMBER_WORD_UNITS = {
+  zero: 0,
+  one: 1,
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  seven: 7,
+  eight: 8,
+  nine: 9,
+};
+const NUMBER_WORD_TEENS = {
+  ten: 10,
+  eleven: 11,
+  twelve: 12,
+  thirteen: 13,
+  fourteen: 14,
+  fifteen: 15,
+  sixteen: 16,
+  seventeen: 17,
+  eighteen: 18,
+  nineteen: 19,
+};
+const NUMBER_WORD_TENS = {
+  twenty: 20,
+  thirty: 30,
+  forty: 40,
+  fifty: 50,
+  sixty: 60,
+  seventy: 70,
+  eighty: 80,
+  ninety: 90,
+};
+const NUMBER_WORD_SCALES = {
+  hundred: 100,
+  thousand: 1000,
+};
+
+// Per-file working state swapped in and out when switching between queued files
+const QUEUE_ITEM_FIELDS = [
+  "audioFile",
+  "audioBuffer",
+  "originalBuffer",
+  "segments",
+  "undoStack",
+  "redoStack",
+  "noiseRegion",
+  "cleanAudio",
+  "transcription",
+  "sessionId",
+  "segmentDiff",
+];
+
+// Settings restored into their form controls as [setting, control id, value
+// for the control], in the order their handlers need (format before bitrate)
+const SETTING_CONTROLS = [
+  ["segmentationMode", "segmentationMode"],
+  ["minSegmentDuration", "minSegmentDuration"],
+  ["groupingWindow", "groupingWindow"],
+  ["maxSegmentDuration", "maxSegmentDuration"],
+  ["shortSegmentRule", "shortSegmentRule"],
+  ["segmentStart", "segmentStart"],
+  ["pauseGap", "pauseGap"],
+  ["leadingWords", "leadingWords"],
+  ["silenceThreshold", "silenceThreshold"],
+  ["minSilenceDuration", "minSilenceDuration"],
+  ["silenceSnapWindow", "silenceSnapWindow"],
+  ["preRoll", "preRoll", (seconds) => Math.round(seconds * 1000)],
+  ["postRoll", "postRoll", (seconds) => Math.round(seconds * 1000)],
+  ["fadeDuration", "fadeDuration", (seconds) => Math.round(seconds * 1000)],
+  ["snapToZeroCrossing", "snapToZeroCrossing"],
+  ["normalization", "normalization"],
+  ["loudnessTarget", "loudnessTarget"],
+  ["peakCeiling", "peakCeiling"],
+  ["dspTarget", "dspTarget"],
+  ["highPassFrequency", "highPassFrequency"],
+  ["humFrequency", "humFrequency"],
+  [
+    "noiseReduction",
+    "noiseReduction",
+    (strength) => Math.round(strength * 100),
+  ],
+  ["phraseLanguage", "phraseLanguage"],
+  ["splitPromptAndPhrase", "splitPromptAndPhrase"],
+  ["numberPattern", "numberPattern", (pattern) => pattern.source ?? pattern],
+  ["numberMergeGap", "numberMergeGap"],
+  ["maxNumberDigits", "maxNumberDigits"],
+  ["filenameTemplate", "filenameTemplate"],
+  ["lessonName", "lessonName"],
+  ["outputFormat", "outputFormat"],
+  ["outputBitrate", "outputBitrate"],
+  ["outputSampleRate", "outputSampleRate"],
+  ["bitDepth", "bitDepth"],
+  ["dither", "dither"],
+  ["ankiDeckName", "ankiDeckName"],
+  ["ankiFrontTemplate", "ankiFrontTemplate"],
+  ["ankiBackTemplate", "ankiBackTemplate"],
+];
+
+// Settings that make up a segmentation preset
+const SEGMENTATION_SETTINGS = [
+  "segmentationMode",
+  "minSegmentDuration",
+  "groupingWindow",
+  "maxSegmentDuration",
+  "shortSegmentRule",
+  "segmentStart",
+  "pauseGap",
+  "leadingWords",
+  "silenceThreshold",
+  "minSilenceDuration",
+  "silenceSnapWindow",
+  "numberPattern",
+  "numberMergeGap",
+  "maxNumberDigits",
+];
+
+// Built-in segmentation presets. "Default" lists every setting; the others
+// only what they change from it. Saved presets live in localStorage under
+// PRESET_STORAGE_KEY and are shared as { name, settings } JSON files.
+const SEGMENTATION_PRESETS = [
+  {
+    name: "Default",
+    settings: {
+      segmentationMode: "whisper",
+      minSegmentDuration: 2.0,
+      groupingWindow: 10,
+      maxSegmentDuration: 0,
+      shortSegmentRule: "drop",
+      segmentStart: "number",
+      pauseGap: 1.5,
+      leadingWords: "drop",
+      silenceThreshold: -40,
+      minSilenceDuration: 0.3,
+      silenceSnapWindow: 0.5,
+      numberPattern: "^\\d+$",
+      numberMergeGap: 0.6,
+      maxNumberDigits: 4,
+    },
+  },
+  {
+    // Number, English prompt, a pause for the learner, then the answer
+    name: "Pimsleur-style",
+    settings: {
+      segmentationMode: "hybrid",
+      groupingWindow: 15,
+      shortSegmentRule: "merge",
+      minSilenceDuration: 0.5,
+      silenceSnapWindow: 0.8,
+    },
+  },
+  {
+    // Short numbered items in quick succession
+    name: "Dense drill",
+    settings: {
+      minSegmentDuration: 1.0,
+      groupingWindow: 5,
+      maxSegmentDuration: 10,
+      shortSegmentRule: "keep",
+      minSilenceDuration: 0.2,
+      silenceSnapWindow: 0.3,
+      numberMergeGap: 0.4,
+    },
+  },
+  {
+    // Numbered dialogues that run long, split further at pauses
+    name: "Long dialogues",
+    settings: {
+      segmentationMode: "hybrid",
+      minSegmentDuration: 3.0,
+      groupingWindow: 60,
+      maxSegmentDuration: 45,
+      shortSegmentRule: "merge",
+      segmentStart: "number-or-pause",
+      pauseGap: 2.5,
+      leadingWords: "segment",
+      minSilenceDuration: 0.8,
+    },
+  },
+];
+const PRESET_STORAGE_KEY = "audioLinguist.presets";
+
+// Whisper models selectable in the model picker, with approximate download
+// sizes in MB for quantized (q8) and full-precision (fp32) weights
+const WHISPER_MODELS = {
+  tiny: { id: "Xenova/whisper-tiny", label: "Tiny", quantized: 41, full: 152 },
+  "tiny.en": {
+    id: "Xenova/whisper-tiny.en",
+    label: "Tiny (English)",
+    quantized: 41,
+    full: 152,
+  },
+  base: { id: "Xenova/whisper-base", label: "Base", quantized: 77, full: 290 },
+  "base.en": {
+    id: "Xenova/whisper-base.en",
+    label: "Base (English)",
+    quantized: 77,
+    full: 290,
+  },
+  small: {
+    id: "Xenova/whisper-small",
+    label: "Small",
+    quantized: 249,
+    full: 967,
+  },
+  "small.en": {
+    id: "Xenova/whisper-small.en",
+    label: "Small (English)",
+    quantized: 249,
+    full: 967,
+  },
+};
+
+// Pipeline options for the full-file transcription. Part of the transcription
+// cache key, so changing them invalidates cached results.
+const WHISPER_TRANSCRIBE_OPTIONS = {
+  language: "en",
+  task: "transcribe",
+  return_timestamps: "word",
+  chunk_length_s: 30,
+  stride_length_s: 5,
+  sampling_rate: 16000, // Audio is already resampled to 16kHz
+};
+
+// Export formats for clips. Bitrates (kbps) apply to the lossy formats only;
+// the encoders live in audio-encoders.js
+const OUTPUT_FORMATS = {
+  wav: { label: "WAV", extension: "wav" },
+  mp3: {
+    label: "MP3",
+    extension: "mp3",
+    bitrates: [64, 96, 128, 160, 192, 256, 320],
+    defaultBitrate: 128,
+  },
+  opus: {
+    label: "Opus (Ogg)",
+    extension: "opus",
+    bitrates: [24, 32, 48, 64, 96, 128],
+    defaultBitrate: 64,
+  },
+  flac: { label: "FLAC", extension: "flac" },
+};
+
+// Fields of the exported Anki note type, by card template placeholder. The
+// first one is the sort field.
+const ANKI_FIELDS = {
+  number: "Number",
+  phrase: "Phrase",
+  gloss: "Gloss",
+  text: "Text",
+  audio: "Audio",
+  promptAudio: "PromptAudio",
+  phraseAudio: "PhraseAudio",
+};
+
 class AudioLinguist {
   //
   // Initializes the AudioLinguist class with default properties.
@@ -10,18 +267,88 @@ class AudioLinguist {
   //
   constructor() {
     this.audioContext = null;
-    this.audioBuffer = null;
+    this.audioBuffer = null; // 16kHz mono copy used only for recognition
+    this.originalBuffer = null; // Decoded source audio used for exports
+    this.noiseRegion = null; // { start, end } quiet region (seconds) for the noise profile
+    this.cleanAudio = null; // { key, recognizer, export } buffers from the clean-up chain
+    this.audioDsp = new AudioDsp();
+    this.transcription = null; // Whisper result ({ text, chunks }) for the active file
+    this.sessionId = null; // Saved session of the active file, see SessionStore
+    this.sessionStore = new SessionStore();
+    this.sessionSave = Promise.resolve(); // Chain that runs session saves in order
+    this.sessionSaveTimer = null;
+    this.transcriptionCache = new Map(); // Whisper results by cache key, see getTranscription
+    this.audioHashes = new WeakMap(); // SHA-256 of recognizer audio by AudioBuffer
+    this.segmentDiff = null; // { added, changed, removed } from the last live re-segmentation
+    this.resegmentTimer = null;
     this.segments = [];
-    this.whisperModel = null;
-    this.whisperPipeline = null;
+    this.undoStack = []; // Snapshots of this.segments before each edit
+    this.redoStack = [];
+    this.waveformEditor = null;
+    this.audioEncoders = new AudioEncoders(); // MP3, Opus and FLAC export
+    this.ankiPackage = new AnkiPackage();
+    this.loudnessMeter = new LoudnessMeter();
+    this.loudnessCache = new WeakMap(); // Loudness analysis by clip AudioBuffer
+    this.queue = []; // Files added for processing, each with its own state
+    this.activeQueueIndex = -1; // Queue item whose state is loaded into this.*
+    this.queueItemId = 0;
+    this.queueRunning = false;
+    this.queueCancelled = false;
+    this.whisperModel = null; // { key, id, quantized, source, loaded } of the loaded model
+    this.whisperWorker = null; // Runs model loading and inference off the main thread
+    this.modelLoad = null; // { resolve, reject, label, files } while a model loads
+    this.workerTasks = new Map(); // Pending transcriptions by id
+    this.workerTaskId = 0;
+    this.progressTimer = null;
+    this.stageStartTime = null; // Start of the current progress stage, for the ETA
     this.isProcessing = false;
+    this.processingCancelled = false; // Set by Cancel, checked between stages
     this.startTime = null;
     this.dragCounter = 0;
 
     // Processing settings - simplified for Whisper-first approach
     this.settings = {
+      segmentationMode: "whisper", // "whisper", "silence" or "hybrid"
       minSegmentDuration: 2.0, // Minimum duration for a valid segment
-      numberPattern: /^\d+$/, // Pattern to identify segment numbers
+      groupingWindow: 10, // Words starting more than this (seconds) after a segment's start end it
+      maxSegmentDuration: 0, // Longer segments are split at their widest pause; 0 = no limit
+      shortSegmentRule: "drop", // Segments under the minimum: "drop", "merge" (into the previous one) or "keep"
+      segmentStart: "number", // What starts a segment: "number" or "number-or-pause"
+      pauseGap: 1.5, // Gap between words (seconds) that starts a segment in "number-or-pause" mode
+      leadingWords: "drop", // Words before the first number: "drop", "segment" or "attach" (to the first segment)
+      silenceThreshold: -40, // RMS level (dBFS) below which audio counts as silence
+      minSilenceDuration: 0.3, // Minimum silence length (seconds) to split segments
+      silenceSnapWindow: 0.5, // Max distance (seconds) hybrid mode moves a boundary
+      preRoll: 0.05, // Padding (seconds) added before each clip
+      postRoll: 0.1, // Padding (seconds) added after each clip
+      snapToZeroCrossing: true, // Move clip edges to the nearest zero crossing
+      fadeDuration: 0.005, // Fade-in/fade-out ramp (seconds) to avoid clicks
+      normalization: "off", // "off", "peak" or "loudness" (EBU R128)
+      loudnessTarget: -16, // Integrated loudness (LUFS) for loudness normalization
+      peakCeiling: -1, // Peak target (dBFS) in peak mode, true-peak ceiling (dBTP) in loudness mode
+      dspTarget: "off", // Clean-up chain applies to: "off", "recognizer", "export" or "both"
+      highPassFrequency: 80, // High-pass cutoff (Hz), 0 = off
+      humFrequency: 0, // Mains hum to notch out: 0, 50 or 60 Hz
+      noiseReduction: 0.5, // Spectral subtraction strength (0-1); needs a noise region
+      forceRetranscribe: false, // Ignore cached transcriptions and run Whisper again
+      splitPromptAndPhrase: false, // Export the number and the phrase as separate files
+      phraseLanguage: "", // Second-pass language: "" = off, "auto" = detect, or a code like "es"
+      model: "tiny", // Key into WHISPER_MODELS
+      quantized: true, // Quantized (q8) weights instead of full precision
+      localModelPath: "", // Load models from this path/URL instead of the Hugging Face Hub
+      numberPattern: /^\d+$/, // Pattern the normalized number digits must match
+      numberMergeGap: 0.6, // Max gap (seconds) between chunks merged into one number
+      maxNumberDigits: 4, // Max digits when joining split numbers like "9 51"
+      filenameTemplate: "{number}", // Template for exported file names
+      lessonName: "", // Value for {lesson}; defaults to the source file name
+      outputFormat: "wav", // Key into OUTPUT_FORMATS
+      outputBitrate: 128, // kbps for MP3 and Opus
+      outputSampleRate: 0, // Hz for exported clips; 0 keeps the source rate
+      bitDepth: 16, // WAV/FLAC sample size: 16, 24 or 32 (float, WAV only)
+      dither: false, // TPDF dither when reducing to 16/24-bit integers
+      ankiDeckName: "", // Anki deck; defaults to the lesson or file name
+      ankiFrontTemplate: "{audio}", // Card front, see toAnkiTemplate
+      ankiBackTemplate: "{number}<br>{phrase}<br><i>{gloss}</i>", // Card back
     };
 
     // UI elements cache
@@ -37,6 +364,7 @@ class AudioLinguist {
     console.log("🚀 AudioLinguist initializing...");
     this.setupEventListeners();
     this.setupSettingsControls();
+    this.renderSessions();
     this.loadWhisperModel();
   }
   //
@@ -106,6 +434,111 @@ class AudioLinguist {
     } else {
       console.error("❌ Process button not found!");
     }
+
+    // Anki deck export
+    const ankiExportBtn = document.getElementById("ankiExportBtn");
+    if (ankiExportBtn) {
+      ankiExportBtn.addEventListener("click", () => this.downloadAnkiDeck());
+    }
+
+    // Boundary import (Audacity labels, CUE sheets, manifest JSON)
+    const boundaryFile = document.getElementById("boundaryFile");
+    const importBoundariesBtn = document.getElementById("importBoundariesBtn");
+    if (boundaryFile && importBoundariesBtn) {
+      importBoundariesBtn.addEventListener("click", () => boundaryFile.click());
+      boundaryFile.addEventListener("change", (e) => {
+        const file = e.target.files[0];
+        if (file) this.importBoundaries(file);
+        e.target.value = "";
+      });
+    }
+
+    // Subtitle and label exports
+    document.querySelectorAll("[data-label-format]").forEach((button) => {
+      button.addEventListener("click", () =>
+        this.downloadLabels(button.dataset.labelFormat)
+      );
+    });
+
+    // Batch queue
+    const folderInput = document.getElementById("audioFolder");
+    if (folderInput) {
+      folderInput.addEventListener("change", this.handleFileSelect);
+    }
+    const browseFolderBtn = document.getElementById("browseFolderBtn");
+    if (browseFolderBtn && folderInput) {
+      browseFolderBtn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        folderInput.click();
+      });
+    }
+    const queueList = document.getElementById("queueList");
+    if (queueList) {
+      queueList.addEventListener("click", (e) => this.handleQueueClick(e));
+    }
+    const sessionList = document.getElementById("sessionList");
+    if (sessionList) {
+      sessionList.addEventListener("click", (e) => this.handleSessionClick(e));
+    }
+    const processQueueBtn = document.getElementById("processQueueBtn");
+    if (processQueueBtn) {
+      processQueueBtn.addEventListener("click", () => this.processQueue());
+    }
+    const downloadQueueBtn = document.getElementById("downloadQueueBtn");
+    if (downloadQueueBtn) {
+      downloadQueueBtn.addEventListener("click", () => this.downloadQueueZip());
+    }
+
+    // Cancel button
+    const cancelBtn = document.getElementById("cancelBtn");
+    if (cancelBtn) {
+      cancelBtn.addEventListener("click", () => this.cancelProcessing());
+    }
+
+    // Download all button
+    const downloadAllBtn = document.getElementById("downloadAllBtn");
+    if (downloadAllBtn) {
+      downloadAllBtn.addEventListener("click", () =>
+        this.downloadAllSegments()
+      );
+    }
+
+    // Waveform editor toolbar
+    const editorActions = {
+      wfPlayBtn: () => this.toggleEditorPlayback(),
+      wfSplitBtn: () => this.splitSegmentAtPlayhead(),
+      wfMergeBtn: () => this.mergeSelectedSegment(),
+      wfDeleteBtn: () => this.deleteSelectedSegment(),
+      wfAddBtn: () => this.addSegmentAtPlayhead(),
+      wfZoomInBtn: () => this.waveformEditor?.zoom(2),
+      wfZoomOutBtn: () => this.waveformEditor?.zoom(0.5),
+      wfNoiseBtn: () => this.useGapAsNoiseRegion(),
+    };
+    Object.entries(editorActions).forEach(([id, action]) => {
+      const button = document.getElementById(id);
+      if (button) button.addEventListener("click", action);
+    });
+
+    // Undo / redo for segment edits
+    const undoBtn = document.getElementById("undoBtn");
+    const redoBtn = document.getElementById("redoBtn");
+    if (undoBtn) undoBtn.addEventListener("click", () => this.undo());
+    if (redoBtn) redoBtn.addEventListener("click", () => this.redo());
+
+    document.addEventListener("keydown", (e) => {
+      if (!(e.ctrlKey || e.metaKey) || this.segments.length === 0) return;
+      // Leave native undo to text fields while typing
+      if (e.target.closest("input, textarea, select")) return;
+
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        this.undo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        this.redo();
+      }
+    });
   }
   //
   // Initializes UI controls for adjusting settings like minimum segment duration.
@@ -119,8 +552,383 @@ class AudioLinguist {
       minSegmentDuration.addEventListener("input", (e) => {
         this.settings.minSegmentDuration = parseFloat(e.target.value);
         segmentTime.textContent = e.target.value + "s";
+        this.scheduleResegment();
+      });
+    }
+
+    // Segmentation heuristics
+    [
+      ["groupingWindow", "groupingWindowValue", "s"],
+      ["maxSegmentDuration", "maxSegmentValue", "s"],
+      ["pauseGap", "pauseGapValue", "s"],
+      ["silenceSnapWindow", "snapWindowValue", "s"],
+      ["numberMergeGap", "mergeGapValue", "s"],
+      ["maxNumberDigits", "maxDigitsValue", " digits"],
+    ].forEach(([id, labelId, unit]) => {
+      const input = document.getElementById(id);
+      const label = document.getElementById(labelId);
+      if (!input || !label) return;
+      input.addEventListener("input", (e) => {
+        this.settings[id] = parseFloat(e.target.value);
+        label.textContent =
+          id === "maxSegmentDuration" && e.target.value === "0"
+            ? "Off"
+            : e.target.value + unit;
+        this.scheduleResegment();
+      });
+    });
+    ["shortSegmentRule", "segmentStart", "leadingWords"].forEach((id) => {
+      const select = document.getElementById(id);
+      if (!select) return;
+      select.addEventListener("change", (e) => {
+        this.settings[id] = e.target.value;
+        this.scheduleResegment();
+      });
+    });
+
+    // Segmentation presets: built-in, saved in this browser, or imported
+    const segmentationPreset = document.getElementById("segmentationPreset");
+    if (segmentationPreset) {
+      segmentationPreset.addEventListener("change", (e) => {
+        const preset = this.getPresets().find(
+          (item) => item.name === e.target.value
+        );
+        if (preset) this.applyPreset(preset);
+      });
+    }
+    const presetFile = document.getElementById("presetFile");
+    [
+      ["savePresetBtn", () => this.savePreset()],
+      ["deletePresetBtn", () => this.deletePreset()],
+      ["exportPresetBtn", () => this.exportPreset()],
+      ["importPresetBtn", () => presetFile?.click()],
+    ].forEach(([id, handler]) => {
+      const button = document.getElementById(id);
+      if (button) button.addEventListener("click", handler);
+    });
+    if (presetFile) {
+      presetFile.addEventListener("change", (e) => {
+        const file = e.target.files[0];
+        if (file) this.importPresets(file);
+        e.target.value = "";
+      });
+    }
+    this.renderPresets("Default");
+
+    const segmentationMode = document.getElementById("segmentationMode");
+    if (segmentationMode) {
+      segmentationMode.addEventListener("change", (e) => {
+        this.settings.segmentationMode = e.target.value;
+        this.scheduleResegment();
+      });
+    }
+
+    const forceRetranscribe = document.getElementById("forceRetranscribe");
+    if (forceRetranscribe) {
+      forceRetranscribe.addEventListener("change", (e) => {
+        this.settings.forceRetranscribe = e.target.checked;
+      });
+    }
+
+    const silenceThreshold = document.getElementById("silenceThreshold");
+    const thresholdValue = document.getElementById("thresholdValue");
+    if (silenceThreshold && thresholdValue) {
+      silenceThreshold.addEventListener("input", (e) => {
+        this.settings.silenceThreshold = parseFloat(e.target.value);
+        thresholdValue.textContent = e.target.value + " dB";
+        this.scheduleResegment();
+      });
+    }
+
+    const preRoll = document.getElementById("preRoll");
+    const preRollValue = document.getElementById("preRollValue");
+    if (preRoll && preRollValue) {
+      preRoll.addEventListener("input", (e) => {
+        this.settings.preRoll = parseInt(e.target.value, 10) / 1000;
+        preRollValue.textContent = e.target.value + " ms";
+      });
+    }
+
+    const postRoll = document.getElementById("postRoll");
+    const postRollValue = document.getElementById("postRollValue");
+    if (postRoll && postRollValue) {
+      postRoll.addEventListener("input", (e) => {
+        this.settings.postRoll = parseInt(e.target.value, 10) / 1000;
+        postRollValue.textContent = e.target.value + " ms";
+      });
+    }
+
+    const fadeDuration = document.getElementById("fadeDuration");
+    const fadeValue = document.getElementById("fadeValue");
+    if (fadeDuration && fadeValue) {
+      fadeDuration.addEventListener("input", (e) => {
+        this.settings.fadeDuration = parseInt(e.target.value, 10) / 1000;
+        fadeValue.textContent =
+          e.target.value === "0" ? "Off" : e.target.value + " ms";
+      });
+    }
+
+    // Loudness normalization, applied the same way to every clip
+    const normalization = document.getElementById("normalization");
+    if (normalization) {
+      normalization.addEventListener("change", (e) => {
+        this.settings.normalization = e.target.value;
+        if (this.segments.length > 0) this.displayResults();
+      });
+    }
+    [
+      ["loudnessTarget", "loudnessTargetValue", " LUFS"],
+      ["peakCeiling", "peakCeilingValue", " dB"],
+    ].forEach(([id, labelId, unit]) => {
+      const input = document.getElementById(id);
+      const label = document.getElementById(labelId);
+      if (!input || !label) return;
+      input.addEventListener("input", (e) => {
+        this.settings[id] = parseFloat(e.target.value);
+        label.textContent = e.target.value + unit;
+      });
+      input.addEventListener("change", () => {
+        if (this.segments.length > 0) this.displayResults();
+      });
+    });
+
+    // Clean-up chain: high-pass, hum notch and noise reduction
+    const dspTarget = document.getElementById("dspTarget");
+    if (dspTarget) {
+      dspTarget.addEventListener("change", (e) => {
+        this.settings.dspTarget = e.target.value;
+        this.refreshCleanAudio();
+      });
+    }
+    const humFrequency = document.getElementById("humFrequency");
+    if (humFrequency) {
+      humFrequency.addEventListener("change", (e) => {
+        this.settings.humFrequency = parseInt(e.target.value, 10);
+        this.refreshCleanAudio();
+      });
+    }
+    [
+      ["highPassFrequency", "highPassValue", (value) => parseInt(value, 10)],
+      ["noiseReduction", "noiseReductionValue", (value) => value / 100],
+    ].forEach(([id, labelId, parse]) => {
+      const input = document.getElementById(id);
+      const label = document.getElementById(labelId);
+      if (!input || !label) return;
+      input.addEventListener("input", (e) => {
+        this.settings[id] = parse(e.target.value);
+        label.textContent =
+          e.target.value === "0"
+            ? "Off"
+            : e.target.value + (id === "noiseReduction" ? "%" : " Hz");
+      });
+      input.addEventListener("change", () => this.refreshCleanAudio());
+    });
+    ["noiseStart", "noiseEnd"].forEach((id) => {
+      const input = document.getElementById(id);
+      if (!input) return;
+      input.addEventListener("change", () => {
+        const start = parseFloat(document.getElementById("noiseStart").value);
+        const end = parseFloat(document.getElementById("noiseEnd").value);
+        this.noiseRegion =
+          Number.isFinite(start) && Number.isFinite(end) && end > start
+            ? { start: Math.max(0, start), end }
+            : null;
+        this.refreshCleanAudio();
+      });
+    });
+
+    const whisperModel = document.getElementById("whisperModel");
+    const quantizedModel = document.getElementById("quantizedModel");
+    const localModelPath = document.getElementById("localModelPath");
+    const loadModelBtn = document.getElementById("loadModelBtn");
+
+    const updateModelOptions = () => {
+      if (!whisperModel) return;
+      // Show each model's download size for the selected precision
+      Array.from(whisperModel.options).forEach((option) => {
+        const model = WHISPER_MODELS[option.value];
+        const size = this.settings.quantized ? model.quantized : model.full;
+        option.textContent = `${model.label} (~${size} MB)`;
+      });
+    };
+
+    if (whisperModel) {
+      whisperModel.addEventListener("change", (e) => {
+        this.settings.model = e.target.value;
+      });
+    }
+    if (quantizedModel) {
+      quantizedModel.addEventListener("change", (e) => {
+        this.settings.quantized = e.target.checked;
+        updateModelOptions();
+      });
+    }
+    if (localModelPath) {
+      localModelPath.addEventListener("input", (e) => {
+        this.settings.localModelPath = e.target.value.trim();
+      });
+    }
+    if (loadModelBtn) {
+      loadModelBtn.addEventListener("click", () => this.switchWhisperModel());
+    }
+    updateModelOptions();
+
+    const phraseLanguage = document.getElementById("phraseLanguage");
+    if (phraseLanguage) {
+      phraseLanguage.addEventListener("change", (e) => {
+        this.settings.phraseLanguage = e.target.value;
+      });
+    }
+
+    const splitPromptAndPhrase = document.getElementById(
+      "splitPromptAndPhrase"
+    );
+    if (splitPromptAndPhrase) {
+      splitPromptAndPhrase.addEventListener("change", (e) => {
+        this.settings.splitPromptAndPhrase = e.target.checked;
+        if (this.segments.length > 0) this.displayResults();
+      });
+    }
+
+    const snapToZeroCrossing = document.getElementById("snapToZeroCrossing");
+    if (snapToZeroCrossing) {
+      snapToZeroCrossing.addEventListener("change", (e) => {
+        this.settings.snapToZeroCrossing = e.target.checked;
+      });
+    }
+
+    const minSilenceDuration = document.getElementById("minSilenceDuration");
+    const silenceTime = document.getElementById("silenceTime");
+    if (minSilenceDuration && silenceTime) {
+      minSilenceDuration.addEventListener("input", (e) => {
+        this.settings.minSilenceDuration = parseFloat(e.target.value);
+        silenceTime.textContent = e.target.value + "s";
+        this.scheduleResegment();
+      });
+    }
+
+    const numberPattern = document.getElementById("numberPattern");
+    if (numberPattern) {
+      numberPattern.addEventListener("input", (e) => {
+        try {
+          this.settings.numberPattern = new RegExp(e.target.value || "^\\d+$");
+          numberPattern.classList.remove("invalid");
+          this.scheduleResegment();
+        } catch (error) {
+          numberPattern.classList.add("invalid");
+        }
+      });
+    }
+
+    const filenameTemplate = document.getElementById("filenameTemplate");
+    const filenamePreview = document.getElementById("filenamePreview");
+    const lessonName = document.getElementById("lessonName");
+
+    const updateFilenamePreview = () => {
+      if (!filenamePreview) return;
+      const example = { id: 1, number: 951, text: "hola amigo" };
+      filenamePreview.textContent =
+        "e.g. " +
+        this.renderFilenameTemplate(example) +
+        "." +
+        this.getOutputExtension();
+    };
+
+    if (filenameTemplate) {
+      filenameTemplate.addEventListener("input", (e) => {
+        this.settings.filenameTemplate = e.target.value;
+        updateFilenamePreview();
+      });
+    }
+    if (lessonName) {
+      lessonName.addEventListener("input", (e) => {
+        this.settings.lessonName = e.target.value.trim();
+        updateFilenamePreview();
+      });
+    }
+    updateFilenamePreview();
+
+    // Export format and bitrate
+    const outputFormat = document.getElementById("outputFormat");
+    const outputBitrate = document.getElementById("outputBitrate");
+
+    // Bitrates picked by the user, by format. Other formats start at their
+    // own default rather than keeping the previous format's bitrate.
+    const pickedBitrates = {};
+    const updateBitrateOptions = () => {
+      if (!outputBitrate) return;
+      const format = OUTPUT_FORMATS[this.settings.outputFormat];
+      const bitrates = format.bitrates || [];
+      this.settings.outputBitrate =
+        pickedBitrates[this.settings.outputFormat] ??
+        format.defaultBitrate ??
+        null;
+      outputBitrate.innerHTML = bitrates.length
+        ? bitrates
+            .map(
+              (kbps) =>
+                `<option value="${kbps}"${
+                  kbps === this.settings.outputBitrate ? " selected" : ""
+                }>${kbps} kbps</option>`
+            )
+            .join("")
+        : '<option value="">Lossless</option>';
+      outputBitrate.disabled = bitrates.length === 0;
+    };
+
+    if (outputFormat) {
+      // Formats this browser can't encode (e.g. Opus without WebAssembly) stay listed but disabled
+      Array.from(outputFormat.options).forEach((option) => {
+        option.textContent = OUTPUT_FORMATS[option.value].label;
+        option.disabled = !this.audioEncoders.isSupported(option.value);
+      });
+      outputFormat.addEventListener("change", (e) => {
+        this.settings.outputFormat = e.target.value;
+        updateBitrateOptions();
+        updateFilenamePreview();
+        if (this.segments.length > 0) this.displayResults();
+      });
+    }
+    if (outputBitrate) {
+      outputBitrate.addEventListener("change", (e) => {
+        this.settings.outputBitrate = parseInt(e.target.value, 10);
+        pickedBitrates[this.settings.outputFormat] =
+          this.settings.outputBitrate;
+      });
+    }
+    updateBitrateOptions();
+
+    const outputSampleRate = document.getElementById("outputSampleRate");
+    if (outputSampleRate) {
+      outputSampleRate.addEventListener("change", (e) => {
+        this.settings.outputSampleRate = parseInt(e.target.value, 10) || 0;
       });
     }
+    const bitDepth = document.getElementById("bitDepth");
+    if (bitDepth) {
+      bitDepth.addEventListener("change", (e) => {
+        this.settings.bitDepth = parseInt(e.target.value, 10);
+      });
+    }
+    const dither = document.getElementById("dither");
+    if (dither) {
+      dither.addEventListener("change", (e) => {
+        this.settings.dither = e.target.checked;
+      });
+    }
+
+    // Anki export: deck name and card templates
+    [
+      ["ankiDeckName", (value) => value.trim()],
+      ["ankiFrontTemplate", (value) => value],
+      ["ankiBackTemplate", (value) => value],
+    ].forEach(([id, normalize]) => {
+      const input = document.getElementById(id);
+      if (!input) return;
+      input.addEventListener("input", (e) => {
+        this.settings[id] = normalize(e.target.value);
+      });
+    });
   } //
   // Updates the status message in the UI with proper formatting and icons.
   // Handles different status types: info, success, error, and warning.
@@ -222,27 +1030,83 @@ class AudioLinguist {
       uploadArea.classList.remove("drag-over");
     }
 
-    const files = e.dataTransfer.files;
-    if (files.length > 0) {
-      this.processFile(files[0]);
-    }
+    // Entries must be read while the drop event is still being dispatched
+    this.collectDroppedFiles(e.dataTransfer)
+      .then((files) => {
+        if (files.length > 0) {
+          this.addFiles(files);
+        }
+      })
+      .catch((error) => {
+        console.error("❌ Error reading dropped files:", error);
+        this.updateStatus(
+          `Could not read dropped files: ${error.message}`,
+          "error"
+        );
+      });
     return false;
   }
   //
-  // Handles files selected through the file input element.
-  // Passes the selected audio file to the processing function.
+  // Handles files selected through the file or folder input elements.
+  // Adds every selected audio file to the queue.
   //
   handleFileSelect(e) {
-    const files = e.target.files;
+    const files = Array.from(e.target.files);
     if (files.length > 0) {
-      this.processFile(files[0]);
+      this.addFiles(files);
     }
-  } //
-  // Validates and processes a selected audio file.
-  // Updates UI with file info and initiates 16kHz mono conversion.
+    // Allow selecting the same files again later
+    e.target.value = "";
+  }
+  //
+  // Collects the files from a drop, descending into dropped folders.
+  // Falls back to the flat file list when the entries API isn't available.
+  //
+  async collectDroppedFiles(dataTransfer) {
+    const items = Array.from(dataTransfer.items || []);
+    const entries = items
+      .map((item) => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+      .filter(Boolean);
+
+    if (entries.length === 0) {
+      return Array.from(dataTransfer.files);
+    }
+
+    const files = [];
+    for (const entry of entries) {
+      files.push(...(await this.readEntryFiles(entry)));
+    }
+    return files;
+  }
+  //
+  // Recursively reads a FileSystemEntry into a flat list of File objects.
+  //
+  async readEntryFiles(entry) {
+    if (entry.isFile) {
+      return [
+        await new Promise((resolve, reject) => entry.file(resolve, reject)),
+      ];
+    }
+    if (!entry.isDirectory) return [];
+
+    // readEntries returns at most 100 entries per call
+    const reader = entry.createReader();
+    const files = [];
+    let batch;
+    do {
+      batch = await new Promise((resolve, reject) =>
+        reader.readEntries(resolve, reject)
+      );
+      for (const child of batch) {
+        files.push(...(await this.readEntryFiles(child)));
+      }
+    } while (batch.length > 0);
+    return files;
+  }
+  //
+  // Returns true for files the app can decode, by MIME type or extension.
   //
-  processFile(file) {
-    // Make sure we have a valid audio file
+  isAudioFile(file) {
     const validTypes = [
       "audio/wav",
       "audio/mp3",
@@ -250,10 +1114,22 @@ class AudioLinguist {
       "audio/ogg",
       "audio/m4a",
     ];
-    if (
-      !validTypes.includes(file.type) &&
-      !file.name.match(/\.(wav|mp3|ogg|m4a)$/i)
-    ) {
+    return (
+      validTypes.includes(file.type) || /\.(wav|mp3|ogg|m4a)$/i.test(file.name)
+    );
+  }
+  //
+  // Adds audio files to the processing queue, in natural file name order,
+  // and selects the first of them.
+  //
+  addFiles(files) {
+    const audioFiles = files
+      .filter((file) => this.isAudioFile(file))
+      .sort((a, b) =>
+        a.name.localeCompare(b.name, undefined, { numeric: true })
+      );
+
+    if (audioFiles.length === 0) {
       this.updateStatus(
         "Please select a valid audio file (WAV, MP3, M4A, OGG).",
         "error"
@@ -261,25 +1137,50 @@ class AudioLinguist {
       return;
     }
 
-    // Update UI to show the selected file
-    const fileInfo = document.getElementById("fileInfo");
-    if (fileInfo) {
-      fileInfo.textContent = `File: ${file.name} (${(
-        file.size /
-        (1024 * 1024)
-      ).toFixed(2)} MB)`;
-    }
-
-    // Store the file for processing
-    this.audioFile = file;
-    this.updateStatus(
-      `File "${file.name}" selected. Starting conversion to 16kHz mono...`,
-      "info"
-    );
+    const firstIndex = this.queue.length;
+    audioFiles.forEach((file) => {
+      this.queue.push(this.createQueueItem(file));
+    });
 
-    // Start processing the file immediately to convert to 16kHz mono
-    this.convertAudioTo16kMono();
+    if (files.length > audioFiles.length) {
+      console.log(
+        `⏭️ Skipped ${files.length - audioFiles.length} non-audio file(s)`
+      );
+    }
 
+    this.showFileSections();
+    if (!this.isProcessing && !this.queueRunning) {
+      this.activateQueueItem(firstIndex);
+    }
+    this.renderQueue();
+  }
+  //
+  // Creates the queue entry for a file. `state` overrides the empty working
+  // state, e.g. with a restored session's transcription.
+  //
+  createQueueItem(file, state = {}) {
+    return {
+      id: ++this.queueItemId,
+      status: "pending", // "pending", "processing", "done", "error" or "cancelled"
+      error: null,
+      audioFile: file,
+      audioBuffer: null,
+      originalBuffer: null,
+      segments: [],
+      undoStack: [],
+      redoStack: [],
+      noiseRegion: null,
+      cleanAudio: null,
+      transcription: null,
+      sessionId: null,
+      segmentDiff: null,
+      ...state,
+    };
+  }
+  //
+  // Shows the status and settings cards once there is a file to work on.
+  //
+  showFileSections() {
     // Show status section
     const statusSection = document.getElementById("statusSection");
     if (statusSection) {
@@ -291,40 +1192,603 @@ class AudioLinguist {
     if (controlsSection) {
       controlsSection.style.display = "block";
     }
-  } //
-  // Converts audio file to 16kHz mono format required by Whisper AI.
-  // Handles downmixing to mono and resampling with visual progress feedback.
+  }
   //
-  async convertAudioTo16kMono() {
-    try {
-      // Show conversion progress UI
-      const conversionProgress = document.getElementById("conversionProgress");
-      const progressBar = document.getElementById("conversionProgressBar");
-      const statusIcon = document.getElementById("statusIcon");
-
-      if (conversionProgress) conversionProgress.style.display = "block";
-      if (statusIcon) statusIcon.className = "fas fa-spinner fa-spin";
-
-      // Initialize audio context if needed
-      if (!this.audioContext) {
-        this.audioContext = new (window.AudioContext ||
-          window.webkitAudioContext)();
-      }
+  // Stores the working state (file, buffers, segments, history) back on the
+  // active queue item before another item is loaded.
+  //
+  saveActiveQueueItem() {
+    const item = this.queue[this.activeQueueIndex];
+    if (!item) return;
+    QUEUE_ITEM_FIELDS.forEach((field) => {
+      item[field] = this[field];
+    });
+  }
+  //
+  // Copies a queue item's state into the working fields the rest of the app
+  // uses, after writing any pending session save of the outgoing file.
+  //
+  loadQueueItemState(item) {
+    this.flushSessionSave();
+    QUEUE_ITEM_FIELDS.forEach((field) => {
+      this[field] = item[field];
+    });
+  }
+  //
+  // Makes a queue item the current file: swaps its state in, shows its results
+  // (or hides the previous file's), and converts it to 16kHz mono if needed.
+  //
+  async activateQueueItem(index) {
+    const item = this.queue[index];
+    if (!item) return;
 
-      if (progressBar) progressBar.style.width = "20%";
+    if (index !== this.activeQueueIndex) {
+      const previous = this.queue[this.activeQueueIndex];
+      this.saveActiveQueueItem();
+      if (previous) this.releaseQueueItemAudio(previous);
+      this.loadQueueItemState(item);
+      this.activeQueueIndex = index;
+      this.updateNoiseRegionInputs();
+    }
 
-      // Convert file to audio buffer
-      const arrayBuffer = await this.readFileAsArrayBuffer(this.audioFile);
+    // Update UI to show the selected file
+    const file = item.audioFile;
+    const fileInfo = document.getElementById("fileInfo");
+    if (fileInfo) {
+      fileInfo.textContent = `File: ${file.name} (${(
+        file.size /
+        (1024 * 1024)
+      ).toFixed(2)} MB)`;
+    }
 
-      if (progressBar) progressBar.style.width = "40%";
+    // Released files show their results once the clips are cut again
+    const hasAudio = !!this.audioBuffer;
+    if (this.segments.length > 0 && hasAudio) {
+      this.displayResults();
+    } else {
+      const resultsSection = document.getElementById("resultsSection");
+      if (resultsSection) resultsSection.style.display = "none";
+    }
+    this.renderQueue();
 
-      const originalBuffer = await this.audioContext.decodeAudioData(
-        arrayBuffer
+    if (!hasAudio) {
+      this.updateStatus(
+        `File "${file.name}" selected. Starting conversion to 16kHz mono...`,
+        "info"
       );
+      // Start processing the file immediately to convert to 16kHz mono
+      await this.loadQueueItemAudio();
+      if (this.audioFile === file && this.segments.length > 0) {
+        this.displayResults();
+      }
+    }
+  }
+  //
+  // Decodes the active file and, if it already has segments (a released
+  // queue item), cuts their clips again from the kept boundaries.
+  //
+  async loadQueueItemAudio() {
+    const file = this.audioFile;
+    await this.convertAudioTo16kMono();
+    if (this.audioFile !== file || !this.audioBuffer) return;
+    if (this.segments.length === 0) return;
 
-      if (progressBar) progressBar.style.width = "60%";
+    await this.prepareCleanAudio();
+    if (this.audioFile !== file) return;
+    this.reextractSegments(this.segments.map((_, index) => index));
+  }
+  //
+  // Drops the decoded audio of a file that is no longer active: its buffers,
+  // the cleaned-up copies and the clips of its segments and edit history.
+  // Only the source file and segment boundaries are kept, so a long course
+  // doesn't hold every file's audio in memory at once.
+  //
+  releaseQueueItemAudio(item) {
+    item.audioBuffer = null;
+    item.originalBuffer = null;
+    item.cleanAudio = null;
+    const dropClips = (segments) =>
+      segments.forEach((segment) => {
+        segment.buffer = null;
+      });
+    dropClips(item.segments);
+    item.undoStack
+      .concat(item.redoStack)
+      .forEach((entry) => dropClips(entry.segments));
+  }
+  //
+  // Handles clicks in the queue list: selecting a file shows its results,
+  // the remove button drops it from the queue.
+  //
+  handleQueueClick(e) {
+    const row = e.target.closest(".queue-item");
+    if (!row) return;
+    const index = Number(row.dataset.index);
 
-      // Check if already mono 16kHz
+    if (this.isProcessing || this.queueRunning) {
+      this.updateStatus(
+        "Wait for processing to finish before switching files.",
+        "warning"
+      );
+      return;
+    }
+
+    if (e.target.closest(".queue-remove")) {
+      this.removeQueueItem(index);
+    } else {
+      this.activateQueueItem(index);
+    }
+  }
+  //
+  // Removes a file from the queue, selecting a neighbour if it was the active one.
+  //
+  removeQueueItem(index) {
+    if (!this.queue[index]) return;
+
+    this.queue.splice(index, 1);
+    if (index < this.activeQueueIndex) {
+      this.activeQueueIndex--;
+    } else if (index === this.activeQueueIndex) {
+      // Its state is dropped with it rather than saved back
+      this.activeQueueIndex = -1;
+      if (this.queue.length > 0) {
+        this.activateQueueItem(Math.min(index, this.queue.length - 1));
+        return;
+      }
+      this.loadQueueItemState({
+        audioFile: null,
+        audioBuffer: null,
+        originalBuffer: null,
+        segments: [],
+        undoStack: [],
+        redoStack: [],
+        noiseRegion: null,
+        cleanAudio: null,
+        transcription: null,
+        sessionId: null,
+        segmentDiff: null,
+      });
+      const resultsSection = document.getElementById("resultsSection");
+      if (resultsSection) resultsSection.style.display = "none";
+    }
+    this.renderQueue();
+  }
+  //
+  // Processes every queued file that hasn't finished yet, one after another,
+  // with the already loaded Whisper model.
+  //
+  async processQueue() {
+    if (this.isProcessing || this.queueRunning) {
+      this.updateStatus("Processing already in progress.", "warning");
+      return;
+    }
+
+    const pending = this.queue
+      .map((item, index) => index)
+      .filter((index) => this.queue[index].status !== "done");
+    if (pending.length === 0) {
+      this.updateStatus(
+        "All files in the queue are already processed.",
+        "info"
+      );
+      return;
+    }
+
+    this.queueRunning = true;
+    this.queueCancelled = false;
+    const queueStart = Date.now();
+
+    try {
+      for (let i = 0; i < pending.length && !this.queueCancelled; i++) {
+        const index = pending[i];
+        const item = this.queue[index];
+        console.log(
+          `📂 Queue ${i + 1}/${pending.length}: ${item.audioFile.name}`
+        );
+
+        await this.activateQueueItem(index);
+        if (this.queueCancelled) break;
+        if (!this.audioBuffer) {
+          item.status = "error";
+          item.error = "Could not decode audio";
+          this.renderQueue();
+          continue;
+        }
+
+        await this.processAudio();
+        this.saveActiveQueueItem();
+      }
+    } finally {
+      this.queueRunning = false;
+      this.renderQueue();
+    }
+
+    const done = this.queue.filter((item) => item.status === "done").length;
+    const duration = (Date.now() - queueStart) / 1000;
+    this.updateStatus(
+      this.queueCancelled
+        ? `Queue cancelled. ${done} of ${this.queue.length} files processed.`
+        : `Finished queue! ${done} of ${
+            this.queue.length
+          } files processed in ${this.formatTime(duration)}.`,
+      this.queueCancelled ? "warning" : "success"
+    );
+  }
+  //
+  // Marks the active queue item with the outcome of a processing run.
+  //
+  setActiveQueueStatus(status, error = null) {
+    const item = this.queue[this.activeQueueIndex];
+    if (!item) return;
+    item.status = status;
+    item.error = error;
+    this.renderQueue();
+  }
+  //
+  // Renders the queue list with per-file status. The queue card is only shown
+  // once more than one file has been added.
+  //
+  renderQueue() {
+    const queueSection = document.getElementById("queueSection");
+    const queueList = document.getElementById("queueList");
+    if (!queueSection || !queueList) return;
+
+    queueSection.style.display = this.queue.length > 1 ? "block" : "none";
+
+    const statusLabels = {
+      pending: "Waiting",
+      processing: "Processing...",
+      cancelled: "Cancelled",
+    };
+    queueList.innerHTML = this.queue
+      .map((item, index) => {
+        // The active file's segments live in this.segments until it's switched out
+        const segments =
+          index === this.activeQueueIndex ? this.segments : item.segments;
+        const label =
+          item.status === "done"
+            ? `${segments.length} segments`
+            : item.status === "error"
+            ? `Error: ${item.error}`
+            : statusLabels[item.status];
+        return `
+          <li class="queue-item ${item.status}${
+          index === this.activeQueueIndex ? " active" : ""
+        }" data-index="${index}">
+            <i class="fas fa-file-audio"></i>
+            <span class="queue-name">${this.escapeHtml(
+              item.audioFile.name
+            )}</span>
+            <span class="queue-status">${this.escapeHtml(label)}</span>
+            <button class="queue-remove" title="Remove from queue">
+              <i class="fas fa-times"></i>
+            </button>
+          </li>`;
+      })
+      .join("");
+
+    const done = this.queue.filter((item) => item.status === "done").length;
+    const queueSummary = document.getElementById("queueSummary");
+    if (queueSummary) {
+      queueSummary.textContent = `${done} of ${this.queue.length} files processed`;
+    }
+
+    const processQueueBtn = document.getElementById("processQueueBtn");
+    const downloadQueueBtn = document.getElementById("downloadQueueBtn");
+    if (processQueueBtn) processQueueBtn.disabled = this.queueRunning;
+    if (downloadQueueBtn) {
+      downloadQueueBtn.disabled = this.queueRunning || done === 0;
+    }
+  }
+  //
+  // Settings saved with a session. The Whisper model belongs to the browser,
+  // not the recording, and forcing a re-transcription is a one-off, so both
+  // are left out.
+  //
+  getSessionSettings() {
+    const { model, quantized, localModelPath, forceRetranscribe, ...settings } =
+      this.settings;
+    return settings;
+  }
+  //
+  // Copies saved settings into this.settings and their form controls. The
+  // controls' own handlers then update labels and dependent options.
+  //
+  applySettings(settings) {
+    Object.keys(settings).forEach((key) => {
+      if (key in this.settings) this.settings[key] = settings[key];
+    });
+    SETTING_CONTROLS.forEach(([key, id, toControl = (value) => value]) => {
+      const control = document.getElementById(id);
+      // Disabled controls, like the bitrate for lossless formats, keep their value
+      if (!control || control.disabled || !(key in settings)) return;
+      // From the settings being applied, as an earlier control's handler may
+      // have reset this one (a format change resets the bitrate)
+      const value = toControl(settings[key]);
+      if (control.type === "checkbox") {
+        control.checked = value;
+      } else {
+        control.value = value;
+      }
+      const isTextOrRange =
+        control.tagName === "INPUT" && control.type !== "checkbox";
+      control.dispatchEvent(new Event(isTextOrRange ? "input" : "change"));
+    });
+    // Loading settings isn't an edit to preview
+    clearTimeout(this.resegmentTimer);
+  }
+  //
+  // Saves the active file's transcription, segments and settings. The state
+  // is captured now and written after any earlier save, so the first save of
+  // a file creates its session exactly once.
+  //
+  saveSession() {
+    clearTimeout(this.sessionSaveTimer);
+    this.sessionSaveTimer = null;
+    if (!this.audioFile || !this.sessionStore.isSupported()) {
+      return this.sessionSave;
+    }
+
+    const audioFile = this.audioFile;
+    const record = {
+      fileName: audioFile.name,
+      transcription: this.transcription,
+      // Clip audio is cut again from the source file on restore
+      segments: this.segments.map(({ buffer, ...segment }) => segment),
+      noiseRegion: this.noiseRegion,
+      settings: this.getSessionSettings(),
+      updatedAt: Date.now(),
+    };
+    this.sessionSave = this.sessionSave
+      .then(() => this.writeSession(audioFile, record))
+      .then(() => this.renderSessions())
+      .catch((error) => console.warn("⚠️ Could not save session:", error));
+    return this.sessionSave;
+  }
+  //
+  // Saves a little after the last edit, so typing or dragging a boundary
+  // doesn't write on every change.
+  //
+  scheduleSessionSave() {
+    clearTimeout(this.sessionSaveTimer);
+    this.sessionSaveTimer = setTimeout(() => this.saveSession(), 1000);
+  }
+  //
+  // Saves now if a save is scheduled. Called before the working state is
+  // swapped for another file, as the save reads the state when it runs.
+  //
+  flushSessionSave() {
+    if (this.sessionSaveTimer === null) return this.sessionSave;
+    return this.saveSession();
+  }
+  //
+  // Updates the file's session, or creates it (storing the source file too)
+  // on the first save. The file may have been switched out since.
+  //
+  async writeSession(audioFile, record) {
+    const item = this.queue.find((entry) => entry.audioFile === audioFile);
+    const sessionId =
+      this.audioFile === audioFile ? this.sessionId : item?.sessionId ?? null;
+    if (sessionId !== null) {
+      await this.sessionStore.update(sessionId, record);
+      return;
+    }
+
+    const id = await this.sessionStore.create(
+      {
+        ...record,
+        name: audioFile.name.replace(/\.[^.]+$/, ""),
+        createdAt: record.updatedAt,
+      },
+      audioFile
+    );
+    if (this.audioFile === audioFile) {
+      this.sessionId = id;
+    } else if (item) {
+      item.sessionId = id;
+    }
+  }
+  //
+  // Renders the "Recent sessions" list. The card is hidden while there are none.
+  //
+  async renderSessions() {
+    const sessionsSection = document.getElementById("sessionsSection");
+    const sessionList = document.getElementById("sessionList");
+    if (!sessionsSection || !sessionList || !this.sessionStore.isSupported()) {
+      return;
+    }
+
+    let sessions;
+    try {
+      sessions = await this.sessionStore.list();
+    } catch (error) {
+      console.warn("⚠️ Could not read saved sessions:", error);
+      return;
+    }
+
+    sessionsSection.style.display = sessions.length > 0 ? "block" : "none";
+    sessionList.innerHTML = sessions
+      .map(
+        (session) => `
+          <li class="queue-item" data-id="${session.id}">
+            <i class="fas fa-history"></i>
+            <span class="queue-name" title="${this.escapeHtml(
+              session.fileName
+            )}">${this.escapeHtml(session.name)}</span>
+            <span class="queue-status">${
+              session.segments.length
+            } segments · ${new Date(session.updatedAt).toLocaleString()}</span>
+            <button class="session-action" data-action="rename" title="Rename">
+              <i class="fas fa-pen"></i>
+            </button>
+            <button class="session-action" data-action="delete" title="Delete">
+              <i class="fas fa-trash"></i>
+            </button>
+          </li>`
+      )
+      .join("");
+  }
+  //
+  // Handles clicks in the sessions list: the row restores the session, its
+  // buttons rename or delete it.
+  //
+  handleSessionClick(e) {
+    const row = e.target.closest(".queue-item");
+    if (!row) return;
+    const id = Number(row.dataset.id);
+    const action = e.target.closest(".session-action")?.dataset.action;
+
+    if (action === "rename") {
+      this.renameSession(id, row.querySelector(".queue-name").textContent);
+    } else if (action === "delete") {
+      this.deleteSession(id, row.querySelector(".queue-name").textContent);
+    } else {
+      this.restoreSession(id);
+    }
+  }
+  //
+  // Adds a saved session's file to the queue with its transcription and
+  // segments. Clips are cut again from the source file, so nothing needs to
+  // be transcribed.
+  //
+  async restoreSession(id) {
+    if (this.isProcessing || this.queueRunning) {
+      this.updateStatus(
+        "Wait for processing to finish before restoring a session.",
+        "warning"
+      );
+      return;
+    }
+
+    // Already open in the queue
+    const openIndex = this.queue.findIndex(
+      (item, index) =>
+        (index === this.activeQueueIndex ? this.sessionId : item.sessionId) ===
+        id
+    );
+    if (openIndex >= 0) {
+      await this.activateQueueItem(openIndex);
+      return;
+    }
+
+    let session;
+    try {
+      session = await this.sessionStore.load(id);
+    } catch (error) {
+      console.error("❌ Error loading session:", error);
+      this.updateStatus(`Could not load session: ${error.message}`, "error");
+      return;
+    }
+    if (!session) {
+      this.updateStatus("That session is no longer saved.", "error");
+      this.renderSessions();
+      return;
+    }
+
+    this.applySettings(session.settings);
+    // Some browsers hand stored files back as plain Blobs
+    const file =
+      session.file instanceof File
+        ? session.file
+        : new File([session.file], session.fileName, {
+            type: session.file.type,
+          });
+    this.queue.push(
+      this.createQueueItem(file, {
+        status: session.segments.length > 0 ? "done" : "pending",
+        noiseRegion: session.noiseRegion,
+        transcription: session.transcription,
+        sessionId: id,
+      })
+    );
+    this.showFileSections();
+
+    const index = this.queue.length - 1;
+    await this.activateQueueItem(index);
+    if (this.activeQueueIndex !== index || !this.audioBuffer) return;
+
+    if (session.segments.length > 0) {
+      await this.prepareCleanAudio();
+      this.segments = session.segments;
+      this.reextractSegments(this.segments.map((_, i) => i));
+      this.resetHistory();
+      this.displayResults();
+      this.renderQueue();
+    }
+    this.updateStatus(
+      `📂 Restored "${session.name}" with ${session.segments.length} segments - no transcription needed.`,
+      "success"
+    );
+  }
+  //
+  // Asks for a new name for a saved session.
+  //
+  async renameSession(id, currentName) {
+    const name = window.prompt("Session name:", currentName);
+    if (!name || !name.trim()) return;
+    try {
+      await this.sessionStore.update(id, { name: name.trim() });
+    } catch (error) {
+      this.updateStatus(`Could not rename session: ${error.message}`, "error");
+    }
+    this.renderSessions();
+  }
+  //
+  // Deletes a saved session after confirmation. Files still open in the queue
+  // start a new session on their next save.
+  //
+  async deleteSession(id, name) {
+    if (!window.confirm(`Delete the saved session "${name}"?`)) return;
+    try {
+      await this.sessionStore.delete(id);
+    } catch (error) {
+      this.updateStatus(`Could not delete session: ${error.message}`, "error");
+    }
+    if (this.sessionId === id) this.sessionId = null;
+    this.queue.forEach((item) => {
+      if (item.sessionId === id) item.sessionId = null;
+    });
+    this.renderSessions();
+  }
+  //
+  // Converts audio file to 16kHz mono format required by Whisper AI.
+  // Handles downmixing to mono and resampling with visual progress feedback.
+  //
+  async convertAudioTo16kMono() {
+    try {
+      // Show conversion progress UI
+      const conversionProgress = document.getElementById("conversionProgress");
+      const progressBar = document.getElementById("conversionProgressBar");
+      const statusIcon = document.getElementById("statusIcon");
+
+      if (conversionProgress) conversionProgress.style.display = "block";
+      if (statusIcon) statusIcon.className = "fas fa-spinner fa-spin";
+
+      // Initialize audio context if needed
+      if (!this.audioContext) {
+        this.audioContext = new (window.AudioContext ||
+          window.webkitAudioContext)();
+      }
+
+      if (progressBar) progressBar.style.width = "20%";
+
+      // Convert file to audio buffer
+      const file = this.audioFile;
+      const arrayBuffer = await this.readFileAsArrayBuffer(file);
+
+      if (progressBar) progressBar.style.width = "40%";
+
+      const originalBuffer = await this.decodeSourceAudio(arrayBuffer, file);
+
+      if (progressBar) progressBar.style.width = "60%";
+
+      // Another queued file was selected while this one was decoding
+      if (this.audioFile !== file) return;
+
+      // Keep the full-quality original for segment extraction
+      this.originalBuffer = originalBuffer;
+
+      // Check if already mono 16kHz
       if (
         originalBuffer.numberOfChannels === 1 &&
         originalBuffer.sampleRate === 16000
@@ -402,6 +1866,7 @@ class AudioLinguist {
         source.start(0);
 
         const resampledBuffer = await offlineContext.startRendering();
+        if (this.audioFile !== file) return;
 
         // Store the resampled buffer
         this.audioBuffer = resampledBuffer;
@@ -474,594 +1939,4165 @@ class AudioLinguist {
 
     try {
       this.isProcessing = true;
+      this.processingCancelled = false;
       this.startTime = Date.now();
       this.updateStatus("Processing audio file...", "info");
+      this.setActiveQueueStatus("processing");
+      this.showProgress();
+      await this.prepareCleanAudio();
+      this.throwIfCancelled();
 
-      // Use AI to transcribe and find segments
-      this.updateStatus("Transcribing audio...", "info");
-      const transcription = await this.transcribeEntireAudio();
+      const mode = this.settings.segmentationMode;
+      let transcription = null;
+      let fromCache = false;
+
+      if (mode === "silence") {
+        this.updateStatus("Detecting silence...", "info");
+        this.startProgressStage("Detecting silence");
+      } else {
+        // Use AI to transcribe and find segments
+        this.updateStatus("Transcribing audio...", "info");
+        this.startProgressStage("Transcribing audio");
+        const { result, cached } = await this.getTranscription();
+        this.throwIfCancelled();
+        transcription = result;
+        fromCache = cached;
+        this.transcription = transcription;
+        // Save straight away - transcription is the slow part to lose
+        if (!cached) this.saveSession();
 
-      // Find segments based on numbered patterns
-      this.updateStatus("Identifying segments...", "info");
-      const segments = this.findSegmentsByNumberPattern(transcription);
+        this.updateStatus("Identifying segments...", "info");
+      }
+      const segments = this.buildSegments(transcription);
 
       // Extract segments from the audio
       this.updateStatus("Extracting segments...", "info");
-      this.segments = await this.extractSegmentsFromTimestamps(segments);
+      this.startProgressStage("Extracting segments");
+      const extracted = await this.extractSegmentsFromTimestamps(segments);
+      this.throwIfCancelled();
+      this.segments = extracted;
+      this.resetHistory();
+      this.updateSegmentCount(this.segments.length);
+
+      // Second pass: transcribe each phrase in its own language
+      if (this.settings.phraseLanguage && this.isEnglishOnlyModel()) {
+        this.updateStatus(
+          "⚠️ English-only models can't transcribe other languages - pick a multilingual model for the phrase pass.",
+          "warning"
+        );
+      } else if (this.settings.phraseLanguage) {
+        this.startProgressStage("Transcribing phrases");
+        await this.transcribePhrases(this.segments);
+        this.throwIfCancelled();
+      }
 
       // Display results
       const duration = (Date.now() - this.startTime) / 1000;
       this.updateStatus(
         `Finished processing! ${
           this.segments.length
-        } segments extracted in ${duration.toFixed(1)}s`,
+        } segments extracted in ${duration.toFixed(1)}s${
+          fromCache ? " (cached transcription)" : ""
+        }`,
         "success"
       );
+      this.setActiveQueueStatus("done");
       this.displayResults();
+      this.saveSession();
     } catch (error) {
-      console.error("❌ Error processing audio:", error);
-      this.updateStatus(`Error processing audio: ${error.message}`, "error");
+      if (error.name === "AbortError") {
+        this.updateStatus("Processing cancelled.", "warning");
+        this.setActiveQueueStatus("cancelled");
+      } else {
+        console.error("❌ Error processing audio:", error);
+        this.updateStatus(`Error processing audio: ${error.message}`, "error");
+        this.setActiveQueueStatus("error", error.message);
+      }
     } finally {
       this.isProcessing = false;
+      this.hideProgress();
     }
   }
   //
-  // Reads a File object as an ArrayBuffer for audio processing.
-  // Returns a Promise that resolves with the file's binary data.
+  // Finds segment boundaries with the current segmentation settings: numbers
+  // in the transcription, pauses in the audio, or both.
   //
-  readFileAsArrayBuffer(file) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = (event) => resolve(event.target.result);
-      reader.onerror = (error) => reject(error);
-      reader.readAsArrayBuffer(file);
-    });
+  buildSegments(transcription) {
+    const mode = this.settings.segmentationMode;
+    if (mode === "silence") {
+      // Split purely on silence gaps - no transcription needed
+      return this.findSegmentsBySilence(this.detectSilences());
+    }
+
+    // Find segments based on numbered patterns
+    const segments = this.findSegmentsByNumberPattern(transcription);
+    if (mode === "hybrid") {
+      // Move Whisper boundaries onto nearby silence so words aren't clipped
+      return this.snapSegmentsToSilence(segments, this.detectSilences());
+    }
+    return segments;
   }
   //
-  // Formats a seconds value into a readable MM:SS time format.
-  // Handles padding of seconds with leading zeros for consistent display.
+  // Re-runs segmentation shortly after a segmentation setting changes, once
+  // the active file has a transcription. Waits for sliders to settle.
   //
-  formatTime(seconds) {
-    const min = Math.floor(seconds / 60);
-    const sec = Math.floor(seconds % 60);
-    return `${min}:${sec.toString().padStart(2, "0")}`;
+  scheduleResegment() {
+    clearTimeout(this.resegmentTimer);
+    this.resegmentTimer = setTimeout(() => this.resegment(), 300);
   }
   //
-  // Loads the Whisper AI model from the transformers.js library.
-  // Shows loading status and handles initialization of the speech recognition pipeline.
+  // Segments the stored transcription again with the current settings and
+  // shows what changed. Recorded as an edit, so undo brings back the previous
+  // segments. With a phrase language set, new and changed segments (which
+  // have no phrase text yet) get the second pass afterwards.
   //
-  async loadWhisperModel() {
-    try {
-      // Wait for transformers library to be available
-      while (!window.transformers) {
-        console.log("⏳ Waiting for transformers library...");
-        await new Promise((resolve) => setTimeout(resolve, 100));
-      }
-
-      this.updateStatus("🔄 Downloading Whisper AI model (39MB)...", "info");
-      console.log("🔄 Loading Whisper tiny model...");
-
-      // Show loading messages
-      const statusInterval = setInterval(() => {
-        const messages = [
-          "📥 Downloading Whisper model...",
-          "🔧 Initializing WebAssembly...",
-          "🧠 Loading neural network weights...",
-          "⚡ Optimizing for your device...",
-        ];
-        const randomMessage =
-          messages[Math.floor(Math.random() * messages.length)];
-        this.updateStatus(
-          randomMessage + " (This may take 1-2 minutes)",
-          "info"
-        );
-      }, 3000);
+  async resegment() {
+    const item = this.queue[this.activeQueueIndex];
+    if (
+      this.isProcessing ||
+      !this.transcription ||
+      !this.audioBuffer ||
+      item?.status !== "done"
+    ) {
+      return;
+    }
 
-      // Load the Whisper tiny model
-      this.whisperPipeline = await window.transformers.pipeline(
-        "automatic-speech-recognition",
-        "Xenova/whisper-tiny",
-        {
-          dtype: "fp32",
-          device: "wasm",
-          cache_dir: ".whisper-cache",
-        }
-      );
-      clearInterval(statusInterval);
-      this.whisperModel = {
-        loaded: true,
-        pipeline: this.whisperPipeline,
-      };
-      this.updateStatus(
-        "🎉 Real AI model loaded! Ready for 16kHz mono audio processing.",
-        "success"
-      );
-      console.log("✅ Whisper tiny model loaded successfully for 16kHz audio");
+    const previous = this.segments;
+    const segments = await this.extractSegmentsFromTimestamps(
+      this.buildSegments(this.transcription)
+    );
+    this.recordEdit("Re-segment with new settings");
+    this.segmentDiff = this.diffSegments(previous, segments);
+    this.segments = segments;
+    this.updateSegmentCount(segments.length);
+    this.displayResults();
+
+    const { added, changed, removed } = this.segmentDiff;
+    this.updateStatus(
+      added.size + changed.size + removed.length === 0
+        ? `🔄 Re-segmented: the ${segments.length} segments are unchanged.`
+        : `🔄 Re-segmented: ${segments.length} segments (${added.size} new, ${changed.size} changed, ${removed.length} gone). Undo to go back.`,
+      "success"
+    );
+
+    // Also catches segments whose pass an earlier re-segment cut short
+    const missing = segments.filter(
+      (segment) => segment.phraseText === undefined
+    );
+    if (
+      !this.settings.phraseLanguage ||
+      !this.whisperModel ||
+      this.isEnglishOnlyModel() ||
+      missing.length === 0
+    ) {
+      return;
+    }
+    try {
+      await this.transcribePhrases(missing);
     } catch (error) {
-      console.error("⚠️ Failed to load real Whisper model:", error);
-      this.updateStatus(
-        "⚠️ AI model loading failed. Please refresh and try again.",
-        "error"
-      );
-      throw error;
+      // Cancelled along with the worker
+      this.updateStatus("Phrase transcription cancelled.", "warning");
+      return;
     }
+    // Another re-segment or file has replaced these segments meanwhile
+    if (this.segments !== segments) return;
+    this.displayResults();
+    const transcribed = missing.filter(
+      (segment) => segment.phraseText !== undefined
+    ).length;
+    this.updateStatus(
+      `🌐 Transcribed ${transcribed} new or changed phrases.`,
+      "success"
+    );
+    this.scheduleSessionSave();
   }
-
   //
-  // Performs audio transcription using Whisper AI model.
-  // Creates a clean copy of audio data to prevent circular references and stack overflow.
+  // Matches re-segmented segments to the previous ones, by number where both
+  // have one and otherwise by the most overlap in time. Matched segments keep
+  // their gloss; unchanged ones also keep their phrase text and clip audio.
+  // Returns the new segments that were added or changed and the old ones that
+  // are gone.
   //
-  async whisperTranscription(audioData, options = {}) {
-    console.log("🎤 Whisper transcription called with options:", options);
-    console.log(
-      "🧪 Input type:",
-      Object.prototype.toString.call(audioData),
-      "Length:",
-      audioData.length,
-      "Sample:",
-      audioData.slice ? audioData.slice(0, 10) : audioData
-    );
-    if (!this.whisperPipeline) {
-      throw new Error("Whisper pipeline not loaded");
-    }
+  diffSegments(previous, next) {
+    const unmatched = new Set(previous);
+    const added = new Set();
+    const changed = new Set();
+    const overlap = (a, b) =>
+      Math.min(a.endTime, b.endTime) - Math.max(a.startTime, b.startTime);
 
-    try {
-      // Create a clean copy of the Float32Array to prevent circular references
-      // This is crucial to avoid stack overflow issues
-      const cleanAudioData = new Float32Array(audioData.length);
-      for (let i = 0; i < audioData.length; i++) {
+    next.forEach((segment) => {
+      let match =
+        segment.number !== null
+          ? previous.find(
+              (old) => unmatched.has(old) && old.number === segment.number
+            )
+          : null;
+      if (!match) {
+        let best = 0;
+        unmatched.forEach((old) => {
+          if (old.number !== null && segment.number !== null) return;
+          if (overlap(old, segment) > best) {
+            best = overlap(old, segment);
+            match = old;
+          }
+        });
+      }
+      if (!match) {
+        added.add(segment);
+        return;
+      }
+
+      unmatched.delete(match);
+      segment.gloss = match.gloss;
+      const same =
+        Math.abs(match.startTime - segment.startTime) < 0.01 &&
+        Math.abs(match.endTime - segment.endTime) < 0.01 &&
+        match.text === segment.text;
+      if (!same) {
+        changed.add(segment);
+        return;
+      }
+      segment.phraseText = match.phraseText;
+      segment.phraseLanguage = match.phraseLanguage;
+      if (
+        match.clipStart === segment.clipStart &&
+        match.clipEnd === segment.clipEnd
+      ) {
+        // Keeps the clip's cached loudness analysis
+        segment.buffer = match.buffer;
+      }
+    });
+
+    return { added, changed, removed: Array.from(unmatched) };
+  }
+  //
+  // Shows the last re-segmentation's changes above the segment cards.
+  //
+  renderSegmentDiff() {
+    const container = document.getElementById("segmentDiff");
+    if (!container) return;
+
+    const diff = this.segmentDiff;
+    if (
+      !diff ||
+      diff.added.size + diff.changed.size + diff.removed.length === 0
+    ) {
+      container.style.display = "none";
+      container.innerHTML = "";
+      return;
+    }
+
+    const removedItems = diff.removed
+      .map(
+        (segment) =>
+          `<li>${
+            segment.number !== null
+              ? `<strong>${segment.number}</strong>`
+              : "Unnumbered segment"
+          } at ${this.formatTime(segment.startTime)}: ${this.escapeHtml(
+            segment.text
+          )}</li>`
+      )
+      .join("");
+
+    container.className = "sequence-report diff";
+    container.innerHTML = `
+      <h3><i class="fas fa-code-compare"></i> Re-segmented with new settings
+        <button class="report-fix-btn" onclick="audioLinguist.dismissSegmentDiff()">Dismiss</button>
+      </h3>
+      <p><span class="diff-added">${
+        diff.added.size
+      } new</span> · <span class="diff-changed">${
+      diff.changed.size
+    } changed</span> · <span class="diff-removed">${
+      diff.removed.length
+    } gone</span></p>
+      ${removedItems ? `<ul>${removedItems}</ul>` : ""}
+    `;
+    container.style.display = "block";
+  }
+  //
+  // Hides the re-segmentation changes and their card markers.
+  //
+  dismissSegmentDiff() {
+    this.segmentDiff = null;
+    this.displayResults();
+  }
+  //
+  // Built-in presets followed by the ones saved in this browser.
+  //
+  getPresets() {
+    return SEGMENTATION_PRESETS.concat(this.loadSavedPresets());
+  }
+  //
+  // Reads the saved presets. Missing or unreadable storage means none.
+  //
+  loadSavedPresets() {
+    try {
+      return JSON.parse(localStorage.getItem(PRESET_STORAGE_KEY)) || [];
+    } catch (error) {
+      console.warn("⚠️ Could not read saved presets:", error);
+      return [];
+    }
+  }
+  //
+  // Adds presets to the saved ones, replacing any with the same name.
+  //
+  storePresets(presets) {
+    const names = new Set(presets.map((preset) => preset.name));
+    const saved = this.loadSavedPresets()
+      .filter((preset) => !names.has(preset.name))
+      .concat(presets);
+    localStorage.setItem(PRESET_STORAGE_KEY, JSON.stringify(saved));
+  }
+  //
+  // The current segmentation settings as plain JSON values.
+  //
+  getSegmentationSettings() {
+    const settings = {};
+    SEGMENTATION_SETTINGS.forEach((key) => {
+      settings[key] = this.settings[key];
+    });
+    settings.numberPattern = this.settings.numberPattern.source;
+    return settings;
+  }
+  //
+  // Checks a preset read from JSON and keeps only the segmentation settings,
+  // each of which must have the same type as in the default preset. Throws
+  // an Error describing the first problem.
+  //
+  validatePreset(preset) {
+    if (
+      !preset ||
+      typeof preset.name !== "string" ||
+      !preset.name.trim() ||
+      typeof preset.settings !== "object" ||
+      preset.settings === null
+    ) {
+      throw new Error('expected { "name": ..., "settings": { ... } }');
+    }
+    const name = preset.name.trim();
+    const defaults = SEGMENTATION_PRESETS[0].settings;
+    const settings = {};
+    SEGMENTATION_SETTINGS.forEach((key) => {
+      if (!(key in preset.settings)) return;
+      const value = preset.settings[key];
+      if (
+        typeof value !== typeof defaults[key] ||
+        (typeof value === "number" && !Number.isFinite(value)) ||
+        !this.fitsSettingControl(key, value)
+      ) {
+        throw new Error(`invalid value for ${key} in "${name}"`);
+      }
+      settings[key] = value;
+    });
+    if (settings.numberPattern !== undefined) {
+      new RegExp(settings.numberPattern); // Throws a SyntaxError if invalid
+    }
+    return { name, settings };
+  }
+  //
+  // Checks a value against the setting's form control, which would otherwise
+  // clamp or ignore it: selects must offer it, sliders must have it within
+  // their range and on a step.
+  //
+  fitsSettingControl(key, value) {
+    const entry = SETTING_CONTROLS.find(([setting]) => setting === key);
+    const control = entry && document.getElementById(entry[1]);
+    if (!control) return true;
+
+    if (control.tagName === "SELECT") {
+      return Array.from(control.options).some(
+        (option) => option.value === String(value)
+      );
+    }
+    if (control.type === "range" || control.type === "number") {
+      const min = parseFloat(control.min);
+      const max = parseFloat(control.max);
+      const step = parseFloat(control.step) || 1;
+      const steps = (value - min) / step;
+      return (
+        value >= min &&
+        value <= max &&
+        Math.abs(steps - Math.round(steps)) < 1e-6
+      );
+    }
+    return true;
+  }
+  //
+  // Applies a preset on top of the default one, so settings it doesn't list
+  // are reset too, then re-segments if there's a transcription.
+  //
+  applyPreset(preset) {
+    const settings = {
+      ...SEGMENTATION_PRESETS[0].settings,
+      ...preset.settings,
+    };
+    this.applySettings({
+      ...settings,
+      numberPattern: new RegExp(settings.numberPattern),
+    });
+    this.renderPresets(preset.name);
+    this.scheduleResegment();
+    this.updateStatus(`🎛️ Applied the "${preset.name}" preset.`, "info");
+  }
+  //
+  // Fills the preset picker and enables Delete for saved presets only.
+  //
+  renderPresets(selectedName = "") {
+    const select = document.getElementById("segmentationPreset");
+    if (!select) return;
+
+    const saved = this.loadSavedPresets();
+    const option = (preset) =>
+      `<option value="${this.escapeHtml(preset.name)}"${
+        preset.name === selectedName ? " selected" : ""
+      }>${this.escapeHtml(preset.name)}</option>`;
+    select.innerHTML = `
+      <option value=""${selectedName ? "" : " selected"}>Custom</option>
+      <optgroup label="Built-in">${SEGMENTATION_PRESETS.map(option).join(
+        ""
+      )}</optgroup>
+      ${
+        saved.length > 0
+          ? `<optgroup label="Saved">${saved.map(option).join("")}</optgroup>`
+          : ""
+      }`;
+
+    const deletePresetBtn = document.getElementById("deletePresetBtn");
+    if (deletePresetBtn) {
+      deletePresetBtn.disabled = !saved.some(
+        (preset) => preset.name === selectedName
+      );
+    }
+  }
+  //
+  // Whether a name belongs to a built-in preset, which can't be replaced.
+  //
+  isBuiltInPreset(name) {
+    return SEGMENTATION_PRESETS.some((preset) => preset.name === name);
+  }
+  //
+  // Saves the current segmentation settings under a name.
+  //
+  savePreset() {
+    const current = document.getElementById("segmentationPreset")?.value;
+    const name = window.prompt("Preset name:", current || "");
+    if (!name || !name.trim()) return;
+
+    try {
+      const preset = this.validatePreset({
+        name,
+        settings: this.getSegmentationSettings(),
+      });
+      if (this.isBuiltInPreset(preset.name)) {
+        throw new Error(`"${preset.name}" is a built-in preset`);
+      }
+      this.storePresets([preset]);
+      this.renderPresets(preset.name);
+      this.updateStatus(`💾 Saved the "${preset.name}" preset.`, "success");
+    } catch (error) {
+      this.updateStatus(`Could not save preset: ${error.message}`, "error");
+    }
+  }
+  //
+  // Deletes the selected saved preset after confirmation.
+  //
+  deletePreset() {
+    const name = document.getElementById("segmentationPreset")?.value;
+    if (!name || !window.confirm(`Delete the "${name}" preset?`)) return;
+
+    localStorage.setItem(
+      PRESET_STORAGE_KEY,
+      JSON.stringify(
+        this.loadSavedPresets().filter((preset) => preset.name !== name)
+      )
+    );
+    this.renderPresets();
+    this.updateStatus(`🗑️ Deleted the "${name}" preset.`, "info");
+  }
+  //
+  // Downloads the current segmentation settings as a preset JSON file, named
+  // after the selected preset.
+  //
+  exportPreset() {
+    const name =
+      document.getElementById("segmentationPreset")?.value || "Custom";
+    const preset = { name, settings: this.getSegmentationSettings() };
+    this.triggerDownload(
+      new Blob([JSON.stringify(preset, null, 2)], {
+        type: "application/json;charset=utf-8",
+      }),
+      `${this.sanitizeFilename(name)}.preset.json`
+    );
+  }
+  //
+  // Imports one preset or an array of presets from a JSON file, saves them
+  // and applies the first one. Exported built-in presets come back renamed.
+  //
+  async importPresets(file) {
+    try {
+      const text = await file.text();
+      const data = JSON.parse(text);
+      const presets = (Array.isArray(data) ? data : [data]).map((item) => {
+        const preset = this.validatePreset(item);
+        if (this.isBuiltInPreset(preset.name)) preset.name += " (imported)";
+        return preset;
+      });
+      if (presets.length === 0) throw new Error("no presets found");
+
+      this.storePresets(presets);
+      this.applyPreset(presets[0]);
+      this.updateStatus(
+        presets.length === 1
+          ? `📥 Imported and applied the "${presets[0].name}" preset.`
+          : `📥 Imported ${presets.length} presets and applied "${presets[0].name}".`,
+        "success"
+      );
+    } catch (error) {
+      console.error("❌ Error importing presets:", error);
+      this.updateStatus(
+        `Could not import "${file.name}": ${error.message}`,
+        "error"
+      );
+    }
+  }
+  //
+  // Cancels the running job. processAudio stops at the next stage boundary;
+  // inference can't be interrupted between tensor ops, so if the worker is
+  // busy it is terminated outright and the model reloaded in a new one.
+  //
+  cancelProcessing() {
+    // Stop the queue after the current file
+    if (this.queueRunning) this.queueCancelled = true;
+    if (!this.isProcessing) return;
+
+    console.log("🛑 Cancelling processing...");
+    this.processingCancelled = true;
+    if (this.workerTasks.size === 0) {
+      this.updateStatus("Cancelling after the current step...", "warning");
+      return;
+    }
+    this.terminateWhisperWorker();
+    this.loadWhisperModel().catch(() => {
+      // Status already updated by loadWhisperModel
+    });
+  }
+  //
+  // Throws an AbortError if the running job was cancelled, so processAudio
+  // skips the stages still to come.
+  //
+  throwIfCancelled() {
+    if (!this.processingCancelled) return;
+    const error = new Error("Cancelled");
+    error.name = "AbortError";
+    throw error;
+  }
+  //
+  // Shows the progress card and starts the elapsed-time clock.
+  //
+  showProgress() {
+    const progressSection = document.getElementById("progressSection");
+    const liveSegments = document.getElementById("liveSegments");
+    if (progressSection) progressSection.style.display = "block";
+    if (liveSegments) liveSegments.innerHTML = "";
+    this.updateSegmentCount(0);
+
+    const elapsedTime = document.getElementById("elapsedTime");
+    const tick = () => {
+      if (elapsedTime) {
+        elapsedTime.textContent = this.formatTime(
+          (Date.now() - this.startTime) / 1000
+        );
+      }
+    };
+    tick();
+    clearInterval(this.progressTimer);
+    this.progressTimer = setInterval(tick, 1000);
+  }
+  //
+  // Hides the progress card and stops the elapsed-time clock.
+  //
+  hideProgress() {
+    clearInterval(this.progressTimer);
+    this.progressTimer = null;
+    const progressSection = document.getElementById("progressSection");
+    if (progressSection) progressSection.style.display = "none";
+  }
+  //
+  // Starts a new progress stage; the ETA is estimated per stage since
+  // transcription and extraction run at very different speeds.
+  //
+  startProgressStage(text) {
+    this.stageStartTime = Date.now();
+    this.updateProgress(text, 0);
+  }
+  //
+  // Updates the progress bar, percentage and remaining-time estimate.
+  // fraction is the completed share (0-1) of the current stage.
+  //
+  updateProgress(text, fraction) {
+    const percent = Math.round(Math.min(1, Math.max(0, fraction)) * 100);
+    const progressText = document.getElementById("progressText");
+    const progressPercent = document.getElementById("progressPercent");
+    const progressFill = document.getElementById("progressFill");
+    const etaTime = document.getElementById("etaTime");
+
+    if (progressText) progressText.textContent = text;
+    if (progressPercent) progressPercent.textContent = `${percent}%`;
+    if (progressFill) progressFill.style.width = `${percent}%`;
+    if (etaTime) {
+      const elapsed = (Date.now() - this.stageStartTime) / 1000;
+      etaTime.textContent =
+        fraction > 0 && fraction < 1
+          ? this.formatTime((elapsed * (1 - fraction)) / fraction)
+          : "--:--";
+    }
+  }
+  //
+  // Shows the number of segments found so far.
+  //
+  updateSegmentCount(count) {
+    const segmentCount = document.getElementById("segmentCount");
+    if (segmentCount) segmentCount.textContent = count;
+  }
+  //
+  // Handles per-chunk progress from the worker: advances the progress bar and
+  // lists the numbers found in the partial transcript so far.
+  //
+  handleTranscriptionProgress({ done, total, partial }) {
+    this.updateProgress(
+      `Transcribing audio (chunk ${done} of ${total})`,
+      done / total
+    );
+    if (!partial || !partial.chunks) return;
+
+    const markers = this.findNumberMarkers(partial.chunks).filter((marker) =>
+      this.settings.numberPattern.test(marker.digits)
+    );
+    this.updateSegmentCount(markers.length);
+
+    const liveSegments = document.getElementById("liveSegments");
+    if (liveSegments) {
+      liveSegments.innerHTML = markers
+        .map(
+          (marker) =>
+            `<span class="live-segment">${this.escapeHtml(
+              marker.digits
+            )} <small>${this.formatTime(marker.startTime)}</small></span>`
+        )
+        .join("");
+    }
+  }
+  //
+  // Reads a File object as an ArrayBuffer for audio processing.
+  // Returns a Promise that resolves with the file's binary data.
+  //
+  readFileAsArrayBuffer(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = (event) => resolve(event.target.result);
+      reader.onerror = (error) => reject(error);
+      reader.readAsArrayBuffer(file);
+    });
+  }
+  //
+  // Decodes a source file at its own sample rate. An AudioContext resamples
+  // everything it decodes to the device rate, so decoding goes through an
+  // OfflineAudioContext running at the rate read from the file header. Falls
+  // back to the shared context if the rate is unknown or unsupported.
+  //
+  async decodeSourceAudio(arrayBuffer, file = null) {
+    const isMp3 =
+      !!file &&
+      (/^audio\/(mpeg|mp3)$/.test(file.type) || /\.mp3$/i.test(file.name));
+    const sampleRate = this.readSourceSampleRate(arrayBuffer, isMp3);
+    let context = this.audioContext;
+    if (sampleRate && sampleRate !== context.sampleRate) {
+      try {
+        context = new OfflineAudioContext(1, 1, sampleRate);
+      } catch (error) {
+        console.warn(
+          `⚠️ Can't decode at ${sampleRate}Hz, using ${context.sampleRate}Hz:`,
+          error
+        );
+      }
+    }
+    return context.decodeAudioData(arrayBuffer);
+  }
+  //
+  // Reads the sample rate from a WAV, FLAC, MP3, Ogg (Vorbis, Opus or FLAC)
+  // or M4A header. `isMp3` (from the file's type or name) allows searching
+  // for the first MP3 frame. Returns null for anything it doesn't recognize,
+  // so the file is decoded at the device rate rather than a guessed one.
+  //
+  readSourceSampleRate(arrayBuffer, isMp3 = false) {
+    const bytes = new Uint8Array(arrayBuffer);
+    const view = new DataView(arrayBuffer);
+    const ascii = (offset, length) =>
+      String.fromCharCode(...bytes.subarray(offset, offset + length));
+    if (bytes.length < 12) return null;
+
+    // WAV: the "fmt " chunk holds the rate
+    if (
+      (ascii(0, 4) === "RIFF" || ascii(0, 4) === "RF64") &&
+      ascii(8, 4) === "WAVE"
+    ) {
+      for (let offset = 12; offset + 16 <= bytes.length; ) {
+        const size = view.getUint32(offset + 4, true);
+        if (ascii(offset, 4) === "fmt ") {
+          return view.getUint32(offset + 12, true);
+        }
+        offset += 8 + size + (size % 2);
+      }
+      return null;
+    }
+
+    // FLAC: STREAMINFO always comes first, with a 20-bit rate
+    if (ascii(0, 4) === "fLaC" && bytes.length >= 21) {
+      return (bytes[18] << 12) | (bytes[19] << 4) | (bytes[20] >> 4);
+    }
+
+    // Ogg: the first packet is the codec's identification header
+    if (ascii(0, 4) === "OggS" && bytes.length > 27) {
+      const packet = 27 + bytes[26];
+      if (ascii(packet, 8) === "OpusHead") return 48000; // Opus always decodes at 48kHz
+      if (ascii(packet, 7) === "\x01vorbis" && packet + 16 <= bytes.length) {
+        return view.getUint32(packet + 12, true);
+      }
+      // Ogg FLAC wraps the native "fLaC" signature and STREAMINFO block
+      if (ascii(packet, 5) === "\x7fFLAC" && packet + 30 <= bytes.length) {
+        const info = packet + 13 + 4;
+        return (
+          (bytes[info + 10] << 12) |
+          (bytes[info + 11] << 4) |
+          (bytes[info + 12] >> 4)
+        );
+      }
+      return null;
+    }
+
+    // M4A: the media header timescale of the sound track
+    if (ascii(4, 4) === "ftyp") {
+      return this.readMp4SampleRate(view, 0, bytes.length);
+    }
+
+    // MP3: a frame header right after any ID3v2 tag, confirmed by the next
+    // frame. Files named or typed as MP3 may have junk before the first frame.
+    let offset = 0;
+    if (ascii(0, 3) === "ID3") {
+      offset =
+        10 +
+        ((bytes[6] << 21) | (bytes[7] << 14) | (bytes[8] << 7) | bytes[9]) +
+        (bytes[5] & 0x10 ? 10 : 0);
+    }
+    const end = isMp3 ? Math.min(bytes.length, offset + 65536) : offset + 1;
+    for (let i = offset; i < end; i++) {
+      const frame = this.readMp3FrameHeader(bytes, i);
+      const next = frame && this.readMp3FrameHeader(bytes, i + frame.length);
+      if (
+        next &&
+        next.version === frame.version &&
+        next.layer === frame.layer &&
+        next.sampleRate === frame.sampleRate
+      ) {
+        return frame.sampleRate;
+      }
+    }
+    return null;
+  }
+  //
+  // Parses the MPEG audio frame header at `offset`. Returns { version, layer,
+  // sampleRate, length } with the frame length in bytes, or null if there is
+  // no valid header there (free-format frames included, as their length is
+  // unknown).
+  //
+  readMp3FrameHeader(bytes, offset) {
+    if (offset + 4 > bytes.length) return null;
+    if (bytes[offset] !== 0xff || (bytes[offset + 1] & 0xe0) !== 0xe0) {
+      return null;
+    }
+    const version = (bytes[offset + 1] >> 3) & 3; // 3 MPEG-1, 2 MPEG-2, 0 MPEG-2.5
+    const layer = 4 - ((bytes[offset + 1] >> 1) & 3); // Layer I, II or III
+    const bitrateIndex = bytes[offset + 2] >> 4;
+    const rateIndex = (bytes[offset + 2] >> 2) & 3;
+    const padding = (bytes[offset + 2] >> 1) & 1;
+    if (version === 1 || layer === 4 || rateIndex === 3) return null;
+    if (bitrateIndex === 0 || bitrateIndex === 15) return null;
+
+    const sampleRate =
+      [44100, 48000, 32000][rateIndex] /
+      (version === 3 ? 1 : version === 2 ? 2 : 4);
+    const bitrates =
+      version === 3
+        ? [
+            [32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+            [32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+            [32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+          ]
+        : [
+            [32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+            [8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+            [8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+          ];
+    const bitrate = bitrates[layer - 1][bitrateIndex - 1] * 1000;
+    let length;
+    if (layer === 1) {
+      length = (Math.floor((12 * bitrate) / sampleRate) + padding) * 4;
+    } else {
+      const factor = layer === 3 && version !== 3 ? 72 : 144;
+      length = Math.floor((factor * bitrate) / sampleRate) + padding;
+    }
+    return { version, layer, sampleRate, length };
+  }
+  //
+  // Walks MP4 boxes between `start` and `end` for the "mdhd" timescale of a
+  // track whose "hdlr" says it is sound. By convention an audio track's
+  // timescale is its sample rate.
+  //
+  readMp4SampleRate(view, start, end) {
+    const type = (offset) =>
+      String.fromCharCode(
+        ...new Uint8Array(view.buffer, view.byteOffset + offset, 4)
+      );
+    let timescale = null;
+    let sound = false;
+    for (let offset = start; offset + 8 <= end; ) {
+      let size = view.getUint32(offset);
+      let header = 8;
+      if (size === 1 && offset + 16 <= end) {
+        size =
+          view.getUint32(offset + 8) * 2 ** 32 + view.getUint32(offset + 12);
+        header = 16;
+      } else if (size === 0) {
+        size = end - offset;
+      }
+      if (size < header || offset + size > end) break;
+
+      const box = type(offset + 4);
+      const body = offset + header;
+      if (box === "moov" || box === "trak" || box === "mdia") {
+        const rate = this.readMp4SampleRate(view, body, offset + size);
+        if (rate) return rate;
+      } else if (box === "mdhd" && body + 24 <= end) {
+        // Version 1 has 64-bit creation and modification times
+        timescale = view.getUint32(
+          body + (view.getUint8(body) === 1 ? 20 : 12)
+        );
+      } else if (box === "hdlr" && body + 12 <= end) {
+        sound = type(body + 8) === "soun";
+      }
+      offset += size;
+    }
+    return sound && timescale >= 8000 && timescale <= 384000 ? timescale : null;
+  }
+  //
+  // Formats a seconds value into a readable MM:SS time format.
+  // Handles padding of seconds with leading zeros for consistent display.
+  //
+  formatTime(seconds) {
+    const min = Math.floor(seconds / 60);
+    const sec = Math.floor(seconds % 60);
+    return `${min}:${sec.toString().padStart(2, "0")}`;
+  }
+  //
+  // Loads the selected Whisper model in a fresh worker, tearing down any previous one.
+  // Shows real download progress from the worker in the status bar.
+  //
+  async loadWhisperModel() {
+    const modelKey = this.settings.model;
+    const model = WHISPER_MODELS[modelKey];
+    const quantized = this.settings.quantized;
+    const size = quantized ? model.quantized : model.full;
+
+    this.whisperModel = null;
+    const worker = this.createWhisperWorker();
+
+    try {
+      this.updateStatus(
+        `🔄 Downloading Whisper ${model.label} model (~${size}MB)...`,
+        "info"
+      );
+      console.log(`🔄 Loading ${model.id} (${quantized ? "q8" : "fp32"})...`);
+
+      await new Promise((resolve, reject) => {
+        this.modelLoad = { resolve, reject, label: model.label, files: {} };
+        worker.postMessage({
+          type: "load",
+          model: model.id,
+          quantized,
+          localModelPath: this.settings.localModelPath,
+        });
+      });
+
+      this.whisperModel = {
+        key: modelKey,
+        id: model.id,
+        quantized,
+        source: this.settings.localModelPath,
+        loaded: true,
+      };
+      this.updateStatus(
+        `🎉 Whisper ${model.label} loaded! Ready for 16kHz mono audio processing.`,
+        "success"
+      );
+      console.log(`✅ ${model.id} loaded successfully for 16kHz audio`);
+    } catch (error) {
+      // A newer load or a cancel replaced this worker
+      if (error.name === "AbortError") return;
+      console.error("⚠️ Failed to load real Whisper model:", error);
+      this.updateStatus(
+        this.settings.localModelPath
+          ? `⚠️ Could not load ${model.id} from "${this.settings.localModelPath}". Check the local model path.`
+          : "⚠️ AI model loading failed. Please refresh and try again.",
+        "error"
+      );
+      throw error;
+    }
+  }
+  //
+  // Starts a new Whisper worker, terminating the current one first.
+  // Model loading and inference run there so the page stays responsive.
+  //
+  createWhisperWorker() {
+    this.terminateWhisperWorker();
+
+    const worker = new Worker("whisper-worker.js", { type: "module" });
+    worker.addEventListener("message", (e) => this.handleWorkerMessage(e.data));
+    worker.addEventListener("error", (e) => {
+      console.error("❌ Whisper worker error:", e);
+      const error = new Error(e.message || "Whisper worker failed to start");
+      this.modelLoad?.reject(error);
+      this.modelLoad = null;
+      this.workerTasks.forEach((task) => task.reject(error));
+      this.workerTasks.clear();
+    });
+    this.whisperWorker = worker;
+    return worker;
+  }
+  //
+  // Stops the worker immediately, even mid-inference, and rejects everything
+  // waiting on it with an AbortError.
+  //
+  terminateWhisperWorker() {
+    if (!this.whisperWorker) return;
+
+    this.whisperWorker.terminate();
+    this.whisperWorker = null;
+    this.whisperModel = null;
+
+    const error = new Error("Cancelled");
+    error.name = "AbortError";
+    this.modelLoad?.reject(error);
+    this.modelLoad = null;
+    this.workerTasks.forEach((task) => task.reject(error));
+    this.workerTasks.clear();
+  }
+  //
+  // Routes worker replies: model download progress, load completion,
+  // per-chunk transcription progress, results and errors.
+  //
+  handleWorkerMessage(message) {
+    if (message.type === "load-progress" && this.modelLoad) {
+      const files = this.modelLoad.files;
+      files[message.file] = { loaded: message.loaded, total: message.total };
+
+      let loaded = 0;
+      let total = 0;
+      Object.values(files).forEach((file) => {
+        loaded += file.loaded || 0;
+        total += file.total || 0;
+      });
+      if (total > 0) {
+        this.updateStatus(
+          `📥 Downloading Whisper ${this.modelLoad.label}... ${Math.round(
+            (loaded / total) * 100
+          )}% (${(loaded / 1048576).toFixed(1)} / ${(total / 1048576).toFixed(
+            1
+          )} MB)`,
+          "info"
+        );
+      }
+    } else if (message.type === "loaded" && this.modelLoad) {
+      this.modelLoad.resolve();
+      this.modelLoad = null;
+    } else if (message.type === "error" && message.id === undefined) {
+      this.modelLoad?.reject(new Error(message.message));
+      this.modelLoad = null;
+    } else {
+      const task = this.workerTasks.get(message.id);
+      if (!task) return;
+
+      if (message.type === "transcribe-progress") {
+        if (task.onProgress) task.onProgress(message);
+      } else if (message.type === "transcribe") {
+        this.workerTasks.delete(message.id);
+        task.resolve(message.result);
+      } else if (message.type === "error") {
+        this.workerTasks.delete(message.id);
+        task.reject(new Error(message.message));
+      }
+    }
+  }
+  //
+  // Tears down the current worker and loads the model selected in the picker,
+  // without reloading the page.
+  //
+  async switchWhisperModel() {
+    if (this.isProcessing) {
+      this.updateStatus(
+        "Wait for processing to finish before switching models.",
+        "warning"
+      );
+      return;
+    }
+
+    const current = this.whisperModel;
+    if (
+      current &&
+      current.key === this.settings.model &&
+      current.quantized === this.settings.quantized &&
+      current.source === this.settings.localModelPath
+    ) {
+      this.updateStatus("This model is already loaded.", "info");
+      return;
+    }
+
+    try {
+      await this.loadWhisperModel();
+    } catch (error) {
+      // Status already updated by loadWhisperModel
+    }
+  }
+  //
+  // Returns true when the loaded model only supports English (".en" models),
+  // which reject the language and task options.
+  //
+  isEnglishOnlyModel() {
+    return !!this.whisperModel && this.whisperModel.key.endsWith(".en");
+  }
+
+  //
+  // Performs audio transcription using the Whisper worker.
+  // Creates a clean copy of audio data that is transferred to the worker.
+  // onProgress receives { done, total, partial } after every 30s chunk.
+  //
+  async whisperTranscription(audioData, options = {}, onProgress = null) {
+    console.log("🎤 Whisper transcription called with options:", options);
+    console.log(
+      "🧪 Input type:",
+      Object.prototype.toString.call(audioData),
+      "Length:",
+      audioData.length,
+      "Sample:",
+      audioData.slice ? audioData.slice(0, 10) : audioData
+    );
+    if (!this.whisperWorker || !this.whisperModel) {
+      throw new Error("Whisper pipeline not loaded");
+    }
+
+    try {
+      // Create a clean copy of the Float32Array to prevent circular references
+      // This copy's buffer is transferred to the worker
+      const cleanAudioData = new Float32Array(audioData.length);
+      for (let i = 0; i < audioData.length; i++) {
+        cleanAudioData[i] = audioData[i];
+      }
+
+      // Process the audio in smaller chunks to avoid stack overflow
+      // Audio is already at 16kHz mono at this point
+      const pipelineOptions = {
+        language: "en", // Force English detection
+        task: "transcribe",
+        return_timestamps: "word",
+        chunk_length_s: 30,
+        stride_length_s: 5,
+        sampling_rate: 16000, // We've already converted to 16kHz
+        ...options,
+      };
+      // English-only models reject the language and task options
+      if (this.isEnglishOnlyModel()) {
+        delete pipelineOptions.language;
+        delete pipelineOptions.task;
+      }
+
+      const id = ++this.workerTaskId;
+      const result = await new Promise((resolve, reject) => {
+        this.workerTasks.set(id, { resolve, reject, onProgress });
+        this.whisperWorker.postMessage(
+          {
+            type: "transcribe",
+            id,
+            audio: cleanAudioData,
+            options: pipelineOptions,
+          },
+          [cleanAudioData.buffer]
+        );
+      });
+      console.log("🎯 Whisper result:", result);
+      return result;
+    } catch (error) {
+      console.error("❌ Whisper transcription failed:", error);
+      throw error;
+    }
+  } //
+  // Transcribes the entire audio file with recursion prevention safeguards.
+  // Prepares audio data, performs quality checks, and attempts transcription with multiple configs.
+  //
+  async transcribeEntireAudio() {
+    // Add debug tracking to catch recursion issues
+    console.log("🎤 Starting transcription of entire audio file...");
+    
+    // Check for an existing transcription in progress - prevent recursion
+    if (this._transcriptionInProgress) {
+      console.warn("🔄 Transcription already in progress, preventing recursion");
+      throw new Error("Transcription recursion detected");
+    }
+    
+    this._transcriptionInProgress = true;
+    
+    try {
+      // Original code with recursion prevention
+      if (!this._transcriptionDepth) this._transcriptionDepth = 0;
+      this._transcriptionDepth++;
+
+      // Prevent infinite recursion
+      if (this._transcriptionDepth > 2) {
+        this._transcriptionDepth = 0;
+        throw new Error(
+          "Maximum transcription depth reached - prevented potential infinite recursion"
+        );
+      }
+
+      console.log("🎤 Transcribing entire audio file with Whisper...");
+
+      // Audio is already converted to mono 16kHz during upload
+      const audioData = this.getRecognizerBuffer().getChannelData(0);
+      
+      // Create a clean copy of audio data to prevent circular references
+      const cleanAudioData = new Float32Array(audioData.length);
+      for (let i = 0; i < audioData.length; i++) {
         cleanAudioData[i] = audioData[i];
       }
 
-      // Process the audio in smaller chunks to avoid stack overflow
-      // Audio is already at 16kHz mono at this point
-      const result = await this.whisperPipeline(cleanAudioData, {
-        language: "en", // Force English detection
-        task: "transcribe",
-        return_timestamps: "word",
-        chunk_length_s: 30,
-        stride_length_s: 5,
-        sampling_rate: 16000, // We've already converted to 16kHz
-        ...options,
-      });
-      console.log("🎯 Whisper result:", result);
-      return result;
+      console.log("📊 Audio data ready for Whisper:", {
+        sampleRate: 16000,
+        duration: cleanAudioData.length / 16000,
+        samples: cleanAudioData.length,
+        channels: 1,
+      });
+
+      if (this.whisperModel) {
+        console.log("🎤 Sending audio to the Whisper worker...");
+        // Check audio quality
+        const audioStats = {
+          minValue: Math.min(...cleanAudioData.slice(0, 10000)), // Sample first 10k samples to avoid stack issues
+          maxValue: Math.max(...cleanAudioData.slice(0, 10000)),
+          sampleRate: 16000,
+          duration: cleanAudioData.length / 16000,
+        };
+        console.log("🔍 Audio quality check:", audioStats);
+        
+        try {
+          const configs = [
+            {
+              name: "Config 1: English with word timestamps",
+              options: WHISPER_TRANSCRIBE_OPTIONS,
+            },
+          ];
+          for (const config of configs) {
+            console.log(`🧪 Trying ${config.name}...`);
+            try {
+              // Pass the already resampled 16kHz mono Float32Array to Whisper pipeline
+              const result = await this.whisperTranscription(
+                cleanAudioData,
+                config.options,
+                (progress) => this.handleTranscriptionProgress(progress)
+              );
+              console.log("\n🎯 === WHISPER FULL RESPONSE ===");
+              console.log(`✅ ${config.name} result:`, result);
+              console.log("📝 Full transcription text:", result.text);
+              console.log("📊 Response structure:", {
+                hasText: !!result.text,
+                hasChunks: !!result.chunks,
+                hasWords: !!result.words,
+                chunkCount: result.chunks?.length || 0,
+                wordCount: result.words?.length || 0,
+              });
+              if (result.chunks && result.chunks.length > 0) {
+                console.log("\n📋 CHUNKS DETAILS:");
+                result.chunks.forEach((chunk, i) => {
+                  console.log(`  Chunk ${i}:`, {
+                    text: chunk.text,
+                    timestamp: chunk.timestamp,
+                    duration: chunk.timestamp
+                      ? (chunk.timestamp[1] - chunk.timestamp[0]).toFixed(2) +
+                        "s"
+                      : "unknown",
+                  });
+                });
+              }
+              console.log("\n🔍 Raw result object:", result);
+              console.log("=== END WHISPER RESPONSE ===\n");
+              if (result.text && result.text.trim().length > 0) {
+                console.log(`🎉 Success with ${config.name}!`);
+                this._transcriptionDepth--; // Decrement depth counter on success
+                return result;
+              } else {
+                console.log(
+                  `⚠️ ${config.name} returned empty text, trying next config...`
+                );
+              }
+            } catch (configError) {
+              // Cancelling stops the whole job, not just this config
+              if (configError.name === "AbortError") throw configError;
+              console.log(`❌ ${config.name} failed:`, configError.message);
+            }
+          } // If all configs failed, return empty result
+          console.warn(
+            "⚠️ All Whisper configurations failed or returned empty results"
+          );
+          this._transcriptionDepth--;
+          return { text: "", chunks: [] };
+        } catch (error) {
+          console.error("❌ Whisper pipeline failed:", error);
+          this._transcriptionDepth--;
+          throw error;
+        }
+      } else {
+        console.error("❌ Whisper pipeline not loaded!");
+        this._transcriptionDepth--;
+        throw new Error("Whisper pipeline not available");
+      }
+    } catch (err) {
+      console.error("❌ transcribeEntireAudio top-level error:", err);
+      this._transcriptionDepth = 0; // Reset on error
+      throw err;
+    } finally {
+      this._transcriptionInProgress = false; // Always clear flag
+    }
+  }
+  //
+  // Returns the full-file transcription as { result, cached }. Results are
+  // keyed on a hash of the audio Whisper hears plus the model and pipeline
+  // options, and kept in memory and IndexedDB, so re-segmenting the same
+  // recording with other settings skips Whisper.
+  //
+  async getTranscription() {
+    let key = null;
+    try {
+      key = await this.getTranscriptionCacheKey();
+    } catch (error) {
+      console.warn("⚠️ Could not compute the transcription cache key:", error);
+    }
+    if (key && !this.settings.forceRetranscribe) {
+      let result = this.transcriptionCache.get(key);
+      if (!result && this.sessionStore.isSupported()) {
+        try {
+          result = await this.sessionStore.getTranscription(key);
+        } catch (error) {
+          console.warn("⚠️ Could not read the transcription cache:", error);
+        }
+      }
+      if (result) {
+        console.log("⚡ Using cached transcription");
+        this.updateStatus(
+          '⚡ Using cached transcription - Whisper skipped. Tick "Force re-transcribe" to run it again.',
+          "info"
+        );
+        this.transcriptionCache.set(key, result);
+        return { result, cached: true };
+      }
+    }
+
+    const result = await this.transcribeEntireAudio();
+    // Failed runs come back empty and shouldn't stick
+    if (key && result.text && result.text.trim().length > 0) {
+      this.transcriptionCache.set(key, result);
+      if (this.sessionStore.isSupported()) {
+        this.sessionStore.putTranscription(key, result).catch((error) => {
+          console.warn("⚠️ Could not cache transcription:", error);
+        });
+      }
+    }
+    return { result, cached: false };
+  }
+  //
+  // Cache key for the full-file transcription: SHA-256 of the recognizer
+  // audio (so the clean-up chain is covered), the loaded model and precision,
+  // and the pipeline options. Null where hashing is unavailable (crypto.subtle
+  // only exists in secure contexts), in which case nothing is cached.
+  //
+  async getTranscriptionCacheKey() {
+    if (typeof crypto === "undefined" || !crypto.subtle) return null;
+    const buffer = this.getRecognizerBuffer();
+    let hash = this.audioHashes.get(buffer);
+    if (!hash) {
+      const digest = await crypto.subtle.digest(
+        "SHA-256",
+        buffer.getChannelData(0)
+      );
+      hash = Array.from(new Uint8Array(digest), (byte) =>
+        byte.toString(16).padStart(2, "0")
+      ).join("");
+      this.audioHashes.set(buffer, hash);
+    }
+    return JSON.stringify({
+      audio: hash,
+      model: this.whisperModel?.id,
+      quantized: this.whisperModel?.quantized,
+      options: WHISPER_TRANSCRIBE_OPTIONS,
+    });
+  }
+  //
+  // Re-transcribes the phrase part of every segment with the selected source language
+  // (or automatic language detection). The English pass is only used to find numbers;
+  // this stores the target-language text as `phraseText` on each segment.
+  //
+  async transcribePhrases(segments) {
+    const language = this.settings.phraseLanguage;
+    const recognizerBuffer = this.getRecognizerBuffer();
+    const sampleRate = recognizerBuffer.sampleRate;
+    const audioData = recognizerBuffer.getChannelData(0);
+
+    for (let i = 0; i < segments.length; i++) {
+      const segment = segments[i];
+      // The phrase starts where the spoken number ends
+      const phraseStart = segment.marker
+        ? Math.max(segment.startTime, segment.marker.endTime)
+        : segment.startTime;
+      const phraseEnd = segment.endTime;
+      if (phraseEnd - phraseStart < 0.3) continue;
+
+      this.updateStatus(
+        `🌐 Transcribing phrase ${i + 1}/${segments.length} (${
+          language === "auto" ? "auto-detect" : language
+        })...`,
+        "info"
+      );
+      this.updateProgress(
+        `Transcribing phrase ${i + 1} of ${segments.length}`,
+        i / segments.length
+      );
+
+      try {
+        const result = await this.whisperTranscription(
+          audioData.subarray(
+            Math.floor(phraseStart * sampleRate),
+            Math.ceil(phraseEnd * sampleRate)
+          ),
+          {
+            // null lets Whisper detect the language itself
+            language: language === "auto" ? null : language,
+            task: "transcribe",
+            return_timestamps: false,
+          }
+        );
+        segment.phraseText = (result.text || "").trim();
+        segment.phraseLanguage = language;
+      } catch (error) {
+        if (error.name === "AbortError") throw error;
+        console.warn(
+          `⚠️ Phrase transcription failed for segment ${segment.id}:`,
+          error
+        );
+      }
+    }
+  }
+  //
+  // Splits a Whisper chunk or label into lowercase number tokens.
+  // Strips punctuation such as "#951." or "fifty-one," and breaks hyphenated words.
+  // Underscores and other separators split tokens ("951_hola_amigo"), except
+  // for digit grouping like "1,000" or "9:51".
+  //
+  tokenizeNumberText(text) {
+    return text
+      .toLowerCase()
+      .replace(/(\d)[,.:](?=\d)/g, "$1")
+      .replace(/[_.,:;!?/\\|()[\]{}"]/g, " ")
+      .replace(/[^a-z0-9\s-]/g, "")
+      .split(/[\s-]+/)
+      .filter((token) => token.length > 0);
+  }
+  //
+  // Parses the longest prefix of tokens that forms a single English cardinal number.
+  // Accepts digits, number words and mixes like "9 hundred 51".
+  // Returns { value, consumed } or null when the first token is not a number.
+  //
+  parseNumberTokens(tokens) {
+    let total = 0;
+    let current = 0;
+    let lastType = null;
+    let consumed = 0;
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      const next = tokens[i + 1];
+      const afterScale = lastType === "hundred" || lastType === "thousand";
+      let type = null;
+      let value = 0;
+
+      if (/^\d+$/.test(token)) {
+        value = parseInt(token, 10);
+        if (
+          lastType === null ||
+          (afterScale && value < 100) ||
+          lastType === "and"
+        ) {
+          type = "digits";
+        }
+      } else if (token in NUMBER_WORD_UNITS) {
+        value = NUMBER_WORD_UNITS[token];
+        if (
+          lastType === null ||
+          lastType === "tens" ||
+          afterScale ||
+          lastType === "and"
+        ) {
+          type = "unit";
+        }
+      } else if (token in NUMBER_WORD_TEENS) {
+        value = NUMBER_WORD_TEENS[token];
+        if (lastType === null || afterScale || lastType === "and") {
+          type = "teen";
+        }
+      } else if (token in NUMBER_WORD_TENS) {
+        value = NUMBER_WORD_TENS[token];
+        if (lastType === null || afterScale || lastType === "and") {
+          type = "tens";
+        }
+      } else if (token === "hundred") {
+        if (current > 0 && current < 100 && lastType !== "hundred") {
+          type = "hundred";
+        }
+      } else if (token === "thousand") {
+        if (current > 0 && total === 0) type = "thousand";
+      } else if (token === "a" && lastType === null) {
+        // "a hundred", "a thousand"
+        if (next === "hundred" || next === "thousand") {
+          type = "unit";
+          value = 1;
+        }
+      } else if (token === "and" && afterScale) {
+        // "nine hundred and fifty-one" - only if another number word follows
+        const rest = this.parseNumberTokens(tokens.slice(i + 1));
+        if (rest && rest.value < 100) type = "and";
+      }
+
+      if (!type) break;
+
+      if (type === "hundred") {
+        current *= 100;
+      } else if (type === "thousand") {
+        total = (total + current) * 1000;
+        current = 0;
+      } else if (type !== "and") {
+        current += value;
+      }
+      lastType = type;
+      consumed = i + 1;
+    }
+
+    // A trailing "and" is not part of the number
+    if (lastType === "and") consumed--;
+    if (consumed === 0) return null;
+
+    return { value: total + current, consumed };
+  }
+  //
+  // Finds number markers in Whisper word chunks using the normalization layer.
+  // Merges adjacent chunks ("nine" "hundred" "fifty-one", "9" "51", "nine" "fifty-one")
+  // and returns each marker with its value and the chunk indices it was built from.
+  //
+  findNumberMarkers(chunks) {
+    const markers = [];
+    const maxGap = this.settings.numberMergeGap;
+    const maxDigits = this.settings.maxNumberDigits;
+
+    // Parses the longest run of whole chunks starting at `start` that forms
+    // one number, only growing across chunks that are close together in time.
+    const parseFrom = (start) => {
+      const tokens = [];
+      let best = null;
+      for (let j = start; j < chunks.length && j < start + 8; j++) {
+        if (j > start) {
+          const gap = chunks[j].timestamp[0] - chunks[j - 1].timestamp[1];
+          if (!(gap <= maxGap)) break;
+        }
+        const chunkTokens = this.tokenizeNumberText(chunks[j].text);
+        if (chunkTokens.length === 0) break;
+        tokens.push(...chunkTokens);
+
+        // A lone "a" only becomes a number once "hundred"/"thousand" follows
+        const parsed = this.parseNumberTokens(tokens);
+        if (parsed && parsed.consumed === tokens.length) {
+          best = {
+            value: parsed.value,
+            endChunk: j,
+            allDigits: tokens.every((token) => /^\d+$/.test(token)),
+          };
+        }
+      }
+      return best;
+    };
+
+    let i = 0;
+    while (i < chunks.length) {
+      let group = parseFrom(i);
+      if (!group) {
+        i++;
+        continue;
+      }
+
+      let digits = String(group.value);
+      let endChunk = group.endChunk;
+      let spoken = !group.allDigits;
+
+      // Join split numbers: "9" "51" -> 951, "nine" "fifty-one" -> 951
+      while (endChunk + 1 < chunks.length) {
+        const gap =
+          chunks[endChunk + 1].timestamp[0] - chunks[endChunk].timestamp[1];
+        if (!(gap <= maxGap)) break;
+
+        const next = parseFrom(endChunk + 1);
+        if (!next) break;
+
+        const joined = digits + String(next.value);
+        const digitJoin = group.allDigits && next.allDigits;
+        const spokenJoin =
+          !next.allDigits &&
+          group.value < 100 &&
+          next.value >= 10 &&
+          next.value < 100;
+        if ((!digitJoin && !spokenJoin) || joined.length > maxDigits) break;
+
+        digits = joined;
+        endChunk = next.endChunk;
+        spoken = spoken || !next.allDigits;
+        group = next;
+      }
+
+      const chunkIndices = [];
+      for (let j = i; j <= endChunk; j++) chunkIndices.push(j);
+
+      markers.push({
+        value: parseInt(digits, 10),
+        digits,
+        text: chunkIndices.map((j) => chunks[j].text.trim()).join(" "),
+        chunkIndices,
+        spoken,
+        startTime: chunks[i].timestamp[0],
+        endTime: chunks[endChunk].timestamp[1],
+      });
+      i = endChunk + 1;
+    }
+
+    return markers;
+  }
+  //
+  // Analyzes transcription to find numbered segments for language learning content.
+  // Identifies number markers like "951" or "nine hundred fifty-one" and groups
+  // subsequent words into content segments.
+  //
+  findSegmentsByNumberPattern(transcription) {
+    console.log("🔍 Finding segments by number patterns in transcription...");
+
+    const words = transcription.chunks || [];
+    const segments = [];
+
+    // Normalized number markers that match the configured number pattern, by first chunk
+    const markersByStart = new Map();
+    this.findNumberMarkers(words).forEach((marker) => {
+      if (this.settings.numberPattern.test(marker.digits)) {
+        markersByStart.set(marker.chunkIndices[0], marker);
+      }
+    });
+
+    const { groupingWindow, segmentStart, pauseGap } = this.settings;
+    const leadingWords = []; // Words before the first number
+    let currentSegment = null;
+    let previousEnd = null;
+    let lastNumber = null;
+
+    for (let i = 0; i < words.length; i++) {
+      const word = words[i];
+      const cleanText = word.text.trim();
+      const paused =
+        previousEnd !== null && word.timestamp[0] - previousEnd >= pauseGap;
+      // In "number-or-pause" mode a long enough gap also starts a segment
+      const afterPause = segmentStart === "number-or-pause" && paused;
+
+      let marker = markersByStart.get(i);
+      // A number word inside a phrase ("I have two cats") is part of it: spoken
+      // numbers only start a segment where none is open, after a pause, or
+      // when they continue the lesson numbering (allowing a few missed numbers)
+      if (marker && marker.spoken && currentSegment && !paused) {
+        const inSequence =
+          lastNumber !== null &&
+          marker.value > lastNumber &&
+          marker.value <= lastNumber + 3;
+        if (!inSequence) marker = null;
+      }
+
+      console.log(
+        `Word ${i}: "${cleanText}" - isNumber: ${!!marker}${
+          marker ? ` (${marker.value})` : ""
+        }`
+      );
+
+      if (marker) {
+        // End previous segment if it exists
+        if (currentSegment) {
+          segments.push(currentSegment);
+          console.log(
+            `✅ Added segment: ${currentSegment.text} (${currentSegment.startTime}s - ${currentSegment.endTime}s)`
+          );
+        }
+
+        // Start new segment with this number
+        lastNumber = marker.value;
+        currentSegment = {
+          startTime: marker.startTime,
+          endTime: marker.endTime,
+          words: marker.chunkIndices.map((j) => words[j]),
+          text: String(marker.value),
+          number: marker.value,
+          marker,
+        };
+        console.log(
+          `🆕 Started new segment with number: ${marker.value} (from "${marker.text}")`
+        );
+
+        // Skip the other chunks that belong to this marker
+        i = marker.chunkIndices[marker.chunkIndices.length - 1];
+      } else if (segments.length === 0 && !currentSegment) {
+        // Nothing has started yet - see leadingWords in applySegmentRules
+        leadingWords.push(word);
+      } else if (
+        currentSegment &&
+        !afterPause &&
+        word.timestamp[0] - currentSegment.startTime < groupingWindow
+      ) {
+        // Non-number word within the grouping window of the current segment
+        currentSegment.endTime = word.timestamp[1];
+        currentSegment.words.push(word);
+        currentSegment.text += " " + cleanText;
+        console.log(`➕ Added "${cleanText}" to current segment`);
+      } else {
+        // Too far from segment start (or after a pause) - end current segment
+        if (currentSegment) {
+          segments.push(currentSegment);
+          console.log(
+            `✅ Added segment: ${currentSegment.text} (${currentSegment.startTime}s - ${currentSegment.endTime}s)`
+          );
+        }
+        // Words until the next number are dropped, unless pauses start segments
+        currentSegment =
+          segmentStart === "number-or-pause"
+            ? this.createWordSegment([word])
+            : null;
+      }
+      previousEnd = words[i].timestamp[1];
+    }
+
+    // Don't forget the last segment
+    if (currentSegment) {
+      segments.push(currentSegment);
+      console.log(
+        `✅ Added final segment: ${currentSegment.text} (${currentSegment.startTime}s - ${currentSegment.endTime}s)`
+      );
+    }
+
+    const result = this.applySegmentRules(segments, leadingWords);
+    console.log(`📊 Found ${result.length} potential segments`);
+    return result;
+  }
+  //
+  // Applies the segmentation rules to the grouped segments: what happens to
+  // words before the first number, splitting segments over the maximum
+  // length, and dropping, merging or keeping segments under the minimum.
+  //
+  applySegmentRules(segments, leadingWords) {
+    const {
+      leadingWords: leadingRule,
+      maxSegmentDuration,
+      minSegmentDuration,
+      shortSegmentRule,
+      segmentStart,
+      pauseGap,
+      groupingWindow,
+    } = this.settings;
+    const split = (segment) =>
+      maxSegmentDuration > 0
+        ? this.splitLongSegment(segment, maxSegmentDuration)
+        : [segment];
+
+    let result = segments.flatMap(split);
+    if (leadingWords.length > 0 && leadingRule !== "drop") {
+      const intro = this.createWordSegment(leadingWords);
+      if (leadingRule === "attach" && result.length > 0) {
+        result[0] = this.joinSegments(intro, result[0]);
+      } else {
+        result = split(intro).concat(result);
+      }
+    }
+
+    const isShort = (segment) =>
+      segment.endTime - segment.startTime < minSegmentDuration;
+    if (shortSegmentRule === "keep") return result;
+    if (shortSegmentRule === "drop") {
+      return result.filter((segment) => !isShort(segment));
+    }
+
+    // "merge": short unnumbered pieces (leading words, split remainders,
+    // pause-started segments) join the previous segment, or the next one if
+    // that's not possible. Two numbered segments are never joined, and
+    // neither are segments further apart than a segment would group words.
+    const maxGap =
+      segmentStart === "number-or-pause" ? pauseGap : groupingWindow;
+    const canJoin = (first, second) =>
+      (first.number === null || second.number === null) &&
+      second.startTime - first.endTime <= maxGap;
+    const merged = [];
+    let pending = null; // Short piece waiting to join the next segment
+    result.forEach((segment) => {
+      let current = segment;
+      if (pending) {
+        if (canJoin(pending, current)) {
+          current = this.joinSegments(pending, current);
+        } else {
+          merged.push(pending);
+        }
+        pending = null;
+      }
+      const previous = merged[merged.length - 1];
+      if (!isShort(current) || current.number !== null) {
+        merged.push(current);
+      } else if (previous && canJoin(previous, current)) {
+        merged[merged.length - 1] = this.joinSegments(previous, current);
+      } else {
+        pending = current;
+      }
+    });
+    if (pending) merged.push(pending);
+    return merged;
+  }
+  //
+  // Builds an unnumbered segment from consecutive Whisper words.
+  //
+  createWordSegment(words) {
+    return {
+      startTime: words[0].timestamp[0],
+      endTime: words[words.length - 1].timestamp[1],
+      words,
+      text: words.map((word) => word.text.trim()).join(" "),
+      number: null,
+      marker: null,
+    };
+  }
+  //
+  // Joins two neighbouring segments. The first one's number wins.
+  //
+  joinSegments(first, second) {
+    const numbered = first.number !== null ? first : second;
+    return {
+      startTime: first.startTime,
+      endTime: Math.max(first.endTime, second.endTime),
+      words: first.words.concat(second.words),
+      text: [first.text, second.text].filter(Boolean).join(" "),
+      number: numbered.number,
+      marker: numbered.marker,
+    };
+  }
+  //
+  // Splits a segment longer than the maximum at the widest pause between its
+  // words, repeatedly, until every part fits or can't be split further. The
+  // number stays with the first part.
+  //
+  splitLongSegment(segment, maxDuration) {
+    if (segment.endTime - segment.startTime <= maxDuration) return [segment];
+
+    // Never split inside the spoken number
+    const markerCount = segment.marker ? segment.marker.chunkIndices.length : 0;
+    let splitIndex = -1;
+    let widestGap = -Infinity;
+    for (let i = Math.max(1, markerCount); i < segment.words.length; i++) {
+      const gap =
+        segment.words[i].timestamp[0] - segment.words[i - 1].timestamp[1];
+      if (gap > widestGap) {
+        widestGap = gap;
+        splitIndex = i;
+      }
+    }
+    if (splitIndex < 0) return [segment];
+
+    const firstWords = segment.words.slice(0, splitIndex);
+    const first = {
+      ...segment,
+      endTime: firstWords[firstWords.length - 1].timestamp[1],
+      words: firstWords,
+      text: this.segmentTextFromWords(firstWords, segment),
+    };
+    const rest = this.createWordSegment(segment.words.slice(splitIndex));
+    return this.splitLongSegment(first, maxDuration).concat(
+      this.splitLongSegment(rest, maxDuration)
+    );
+  }
+
+  //
+  // Detects silent regions in the recognizer buffer using short-time RMS energy.
+  // Returns [{ start, end }] in seconds for every run of frames below the
+  // silence threshold that lasts at least the minimum silence duration.
+  //
+  detectSilences(buffer = this.getRecognizerBuffer()) {
+    const sampleRate = buffer.sampleRate;
+    const data = buffer.getChannelData(0);
+    const frameSize = Math.round(sampleRate * 0.02); // 20ms frames
+    const hopSize = Math.round(sampleRate * 0.01); // 10ms hop
+    const threshold = Math.pow(10, this.settings.silenceThreshold / 20);
+    const silences = [];
+
+    let silenceStart = null;
+    for (let offset = 0; offset + frameSize <= data.length; offset += hopSize) {
+      let sum = 0;
+      for (let i = offset; i < offset + frameSize; i++) {
+        sum += data[i] * data[i];
+      }
+      const rms = Math.sqrt(sum / frameSize);
+
+      if (rms < threshold) {
+        if (silenceStart === null) silenceStart = offset;
+      } else if (silenceStart !== null) {
+        this.pushSilence(
+          silences,
+          silenceStart,
+          offset + frameSize - hopSize,
+          sampleRate
+        );
+        silenceStart = null;
+      }
+    }
+    if (silenceStart !== null) {
+      this.pushSilence(silences, silenceStart, data.length, sampleRate);
+    }
+
+    console.log(
+      `🔇 Found ${silences.length} silent regions (threshold ${this.settings.silenceThreshold} dB)`
+    );
+    return silences;
+  }
+  //
+  // Adds a silent region to the list if it lasts at least the minimum silence duration.
+  //
+  pushSilence(silences, startSample, endSample, sampleRate) {
+    const start = startSample / sampleRate;
+    const end = endSample / sampleRate;
+    if (end - start >= this.settings.minSilenceDuration) {
+      silences.push({ start, end });
+    }
+  }
+  //
+  // Returns candidate segment boundaries at the midpoint of each silent region.
+  //
+  getSilenceBoundaries(silences) {
+    return silences.map((silence) => (silence.start + silence.end) / 2);
+  }
+  //
+  // Builds segments from the sounding regions between silences.
+  // Regions shorter than the minimum segment duration are merged with the next one.
+  //
+  findSegmentsBySilence(silences) {
+    const duration = this.audioBuffer.duration;
+    const regions = [];
+    let cursor = 0;
+
+    silences.forEach((silence) => {
+      if (silence.start > cursor) {
+        regions.push({ startTime: cursor, endTime: silence.start });
+      }
+      cursor = silence.end;
+    });
+    if (cursor < duration) {
+      regions.push({ startTime: cursor, endTime: duration });
+    }
+
+    const segments = [];
+    let current = null;
+    regions.forEach((region) => {
+      if (current) {
+        current.endTime = region.endTime;
+      } else {
+        current = { ...region };
+      }
+      if (
+        current.endTime - current.startTime >=
+        this.settings.minSegmentDuration
+      ) {
+        segments.push({ ...current, words: [], text: "" });
+        current = null;
+      }
+    });
+    // A short tail is merged into the previous segment rather than dropped
+    if (current && segments.length > 0) {
+      segments[segments.length - 1].endTime = current.endTime;
+    }
+
+    console.log(`📊 Found ${segments.length} segments from silence gaps`);
+    return segments;
+  }
+  //
+  // Moves Whisper segment boundaries to the nearest silence edge within the snap window.
+  // Starts only snap back to the end of a preceding silence and ends only forward to the
+  // start of a following one, so clips include the full attack and release of the first
+  // and last words instead of moving into them.
+  //
+  snapSegmentsToSilence(segments, silences) {
+    const snapWindow = this.settings.silenceSnapWindow;
+    const inSilence = (time) =>
+      silences.some((silence) => time >= silence.start && time <= silence.end);
+    // Closest edge within the window, looking back (-1) or ahead (1) only
+    const nearest = (time, edges, direction) => {
+      let best = null;
+      edges.forEach((edge) => {
+        const distance = (edge - time) * direction;
+        if (
+          distance >= 0 &&
+          distance <= snapWindow &&
+          (best === null || distance < (best - time) * direction)
+        ) {
+          best = edge;
+        }
+      });
+      return best;
+    };
+
+    const starts = silences.map((silence) => silence.end);
+    const ends = silences.map((silence) => silence.start);
+
+    return segments.map((segment, i) => {
+      let startTime = segment.startTime;
+      let endTime = segment.endTime;
+
+      if (!inSilence(startTime)) {
+        const snapped = nearest(startTime, starts, -1);
+        if (snapped !== null) startTime = snapped;
+      }
+      if (!inSilence(endTime)) {
+        const snapped = nearest(endTime, ends, 1);
+        if (snapped !== null) endTime = snapped;
+      }
+
+      // Never overlap the neighbouring segments
+      const prev = segments[i - 1];
+      const next = segments[i + 1];
+      if (prev) startTime = Math.max(startTime, prev.endTime);
+      if (next) endTime = Math.min(endTime, next.startTime);
+      if (endTime <= startTime) {
+        startTime = segment.startTime;
+        endTime = segment.endTime;
+      }
+
+      return { ...segment, startTime, endTime };
+    });
+  }
+
+  //
+  // Extracts audio segments from the original full-quality buffer based on timestamps.
+  // Timestamps are in seconds, so they map directly onto the source sample rate.
+  // Creates separate audio buffers for each detected segment for playback and download.
+  //
+  async extractSegmentsFromTimestamps(segments) {
+    console.log(
+      `✂️ Extracting ${segments.length} audio segments based on Whisper timestamps...`
+    );
+
+    const audioSegments = [];
+    const sourceBuffer = this.getExportSource();
+    const ranges = this.computeClipRanges(segments, sourceBuffer);
+
+    for (let i = 0; i < segments.length; i++) {
+      const segment = segments[i];
+      const { clipStart, clipEnd } = ranges[i];
+
+      audioSegments.push({
+        id: i + 1,
+        startTime: segment.startTime,
+        endTime: segment.endTime,
+        clipStart,
+        clipEnd,
+        duration: clipEnd - clipStart,
+        number: segment.number,
+        marker: segment.marker,
+        text: segment.text,
+        phraseText: segment.phraseText,
+        phraseLanguage: segment.phraseLanguage,
+        gloss: segment.gloss,
+        buffer: this.sliceAudio(sourceBuffer, clipStart, clipEnd),
+        words: segment.words,
+      });
+    }
+
+    return audioSegments;
+  }
+  //
+  // Works out the actual cut points for each segment: adds pre-roll and post-roll
+  // padding, shares the gap between neighbours so padded clips never overlap,
+  // and optionally snaps each edge to the nearest zero crossing.
+  //
+  computeClipRanges(segments, sourceBuffer) {
+    const { preRoll, postRoll } = this.settings;
+    const totalDuration = sourceBuffer.length / sourceBuffer.sampleRate;
+
+    // Point in the gap between two segments where one clip may end and the next
+    // begin, dividing the gap in proportion to the post-roll and pre-roll
+    const splitPoint = (prev, next) => {
+      const gap = Math.max(0, next.startTime - prev.endTime);
+      const share =
+        preRoll + postRoll > 0 ? postRoll / (preRoll + postRoll) : 0.5;
+      return prev.endTime + gap * share;
+    };
+
+    return segments.map((segment, i) => {
+      const prev = segments[i - 1];
+      const next = segments[i + 1];
+      const minStart = prev
+        ? Math.min(segment.startTime, splitPoint(prev, segment))
+        : 0;
+      const maxEnd = next
+        ? Math.max(segment.endTime, splitPoint(segment, next))
+        : totalDuration;
+
+      let clipStart = Math.max(minStart, segment.startTime - preRoll);
+      let clipEnd = Math.min(maxEnd, segment.endTime + postRoll);
+
+      if (this.settings.snapToZeroCrossing) {
+        clipStart = this.findZeroCrossing(
+          sourceBuffer,
+          clipStart,
+          minStart,
+          clipEnd
+        );
+        clipEnd = this.findZeroCrossing(
+          sourceBuffer,
+          clipEnd,
+          clipStart,
+          maxEnd
+        );
+      }
+
+      return { clipStart, clipEnd };
+    });
+  }
+  //
+  // Returns the time of the zero crossing nearest to `time` (within 10ms),
+  // staying between `minTime` and `maxTime`. Falls back to `time` if none is found.
+  //
+  findZeroCrossing(sourceBuffer, time, minTime, maxTime) {
+    const sampleRate = sourceBuffer.sampleRate;
+    const data = sourceBuffer.getChannelData(0);
+    const center = Math.round(time * sampleRate);
+    const radius = Math.round(sampleRate * 0.01);
+    const lower = Math.max(1, Math.ceil(minTime * sampleRate));
+    const upper = Math.min(data.length - 1, Math.floor(maxTime * sampleRate));
+
+    for (let offset = 0; offset <= radius; offset++) {
+      for (const index of [center - offset, center + offset]) {
+        if (index < lower || index > upper) continue;
+        if (data[index - 1] <= 0 !== data[index] <= 0 || data[index] === 0) {
+          return index / sampleRate;
+        }
+      }
+    }
+    return time;
+  }
+  //
+  // Copies a time range of every channel from the source buffer into a new buffer
+  // and applies short linear fade-in/fade-out ramps.
+  //
+  sliceAudio(sourceBuffer, startTime, endTime) {
+    const sampleRate = sourceBuffer.sampleRate;
+    const startSample = Math.floor(startTime * sampleRate);
+    const endSample = Math.floor(endTime * sampleRate);
+    const segmentLength = Math.max(1, endSample - startSample);
+    const fadeLength = Math.min(
+      Math.floor(this.settings.fadeDuration * sampleRate),
+      Math.floor(segmentLength / 2)
+    );
+
+    const segmentBuffer = this.audioContext.createBuffer(
+      sourceBuffer.numberOfChannels,
+      segmentLength,
+      sampleRate
+    );
+
+    for (let channel = 0; channel < sourceBuffer.numberOfChannels; channel++) {
+      const channelData = sourceBuffer.getChannelData(channel);
+      const segmentChannelData = segmentBuffer.getChannelData(channel);
+
+      for (let sample = 0; sample < segmentLength; sample++) {
+        const sourceIndex = startSample + sample;
+        if (sourceIndex < channelData.length) {
+          segmentChannelData[sample] = channelData[sourceIndex];
+        }
+      }
+
+      // Fade in and out to avoid clicks at the cut points
+      for (let sample = 0; sample < fadeLength; sample++) {
+        const gain = sample / fadeLength;
+        segmentChannelData[sample] *= gain;
+        segmentChannelData[segmentLength - 1 - sample] *= gain;
+      }
+    }
+
+    return segmentBuffer;
+  }
+  //
+  // Measures a clip's integrated loudness (LUFS) and sample peak (dBFS), plus
+  // its true peak (dBTP) when asked, since that needs the oversampled signal.
+  // Results are cached per buffer, so edited clips are measured again.
+  //
+  analyzeLoudness(buffer, includeTruePeak = false) {
+    let analysis = this.loudnessCache.get(buffer);
+    if (!analysis) {
+      analysis = {
+        loudness: this.loudnessMeter.integratedLoudness(buffer),
+        peak: this.loudnessMeter.samplePeak(buffer),
+        truePeak: null,
+      };
+      this.loudnessCache.set(buffer, analysis);
+    }
+    if (includeTruePeak && analysis.truePeak === null) {
+      analysis.truePeak = this.loudnessMeter.truePeak(buffer);
+    }
+    return analysis;
+  }
+  //
+  // Gain in dB that normalization applies to a segment: brings its sample peak
+  // to the peak target, or its loudness to the LUFS target without pushing the
+  // true peak over the ceiling. Silent clips are left alone.
+  //
+  getNormalizationGain(segment) {
+    const { normalization, loudnessTarget, peakCeiling } = this.settings;
+    if (normalization === "off" || !segment.buffer) return 0;
+
+    const analysis = this.analyzeLoudness(
+      segment.buffer,
+      normalization === "loudness"
+    );
+    if (normalization === "peak") {
+      return Number.isFinite(analysis.peak) ? peakCeiling - analysis.peak : 0;
+    }
+    if (!Number.isFinite(analysis.loudness)) return 0;
+    return Math.min(
+      loudnessTarget - analysis.loudness,
+      peakCeiling - analysis.truePeak
+    );
+  }
+  //
+  // Returns a copy of a buffer with a gain (dB) applied to every channel.
+  //
+  applyGain(buffer, gainDb) {
+    if (gainDb === 0) return buffer;
+    const gain = 10 ** (gainDb / 20);
+    const output = this.audioContext.createBuffer(
+      buffer.numberOfChannels,
+      buffer.length,
+      buffer.sampleRate
+    );
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+      const input = buffer.getChannelData(channel);
+      const data = output.getChannelData(channel);
+      for (let i = 0; i < input.length; i++) {
+        data[i] = input[i] * gain;
+      }
+    }
+    return output;
+  }
+  //
+  // Flags clips whose level suggests a bad take: clipping, or loudness more
+  // than 6 LU away from the median of all clips.
+  //
+  getLevelIssue(analysis, medianLoudness) {
+    if (analysis.peak >= -0.1) return "Clipping";
+    if (!Number.isFinite(analysis.loudness)) return "Silent";
+    if (medianLoudness === null) return null;
+    if (analysis.loudness < medianLoudness - 6) return "Quiet";
+    if (analysis.loudness > medianLoudness + 6) return "Loud";
+    return null;
+  }
+  //
+  // Identifies the clean-up settings and noise region the cached clean audio
+  // was made with.
+  //
+  getDspKey() {
+    const { dspTarget, highPassFrequency, humFrequency, noiseReduction } =
+      this.settings;
+    return JSON.stringify({
+      dspTarget,
+      highPassFrequency,
+      humFrequency,
+      noiseReduction,
+      noiseRegion: this.noiseRegion,
+    });
+  }
+  //
+  // Runs the clean-up chain on the recognizer and/or export audio, depending
+  // on the target setting. Results are cached on the queue item until the
+  // settings or noise region change.
+  //
+  async prepareCleanAudio() {
+    const { dspTarget, highPassFrequency, humFrequency, noiseReduction } =
+      this.settings;
+    if (dspTarget === "off" || !this.audioBuffer) {
+      this.cleanAudio = null;
+      return;
+    }
+
+    const key = this.getDspKey();
+    if (this.cleanAudio?.key === key) return;
+
+    const audioFile = this.audioFile;
+    const options = {
+      highPass: highPassFrequency,
+      hum: humFrequency,
+      noiseRegion: this.noiseRegion,
+      noiseReduction,
+    };
+    this.updateStatus("🎚️ Cleaning up audio...", "info");
+    const recognizer =
+      dspTarget === "export"
+        ? null
+        : await this.audioDsp.process(this.audioBuffer, options);
+    const exportBuffer =
+      dspTarget === "recognizer"
+        ? null
+        : await this.audioDsp.process(
+            this.originalBuffer || this.audioBuffer,
+            options
+          );
+
+    // Another file may have been activated, or the settings changed, while rendering
+    if (this.audioFile !== audioFile || this.getDspKey() !== key) return;
+    this.cleanAudio = { key, recognizer, export: exportBuffer };
+  }
+  //
+  // Mono 16kHz audio fed to Whisper and silence detection.
+  //
+  getRecognizerBuffer() {
+    return this.cleanAudio?.recognizer || this.audioBuffer;
+  }
+  //
+  // Full-quality audio that clips are cut from.
+  //
+  getExportSource() {
+    return this.cleanAudio?.export || this.originalBuffer || this.audioBuffer;
+  }
+  //
+  // Re-renders the clean audio after a setting or noise region change and, if
+  // the export audio changed, cuts the clips again. Segment boundaries are
+  // kept; run Process again to re-transcribe the cleaned audio.
+  //
+  async refreshCleanAudio() {
+    if (!this.audioBuffer || this.isProcessing) return;
+
+    const previousSource = this.getExportSource();
+    try {
+      await this.prepareCleanAudio();
+    } catch (error) {
+      console.error("❌ Error cleaning up audio:", error);
+      this.updateStatus(`Audio clean-up failed: ${error.message}`, "error");
+      return;
+    }
+    if (this.segments.length === 0) return;
+
+    if (this.getExportSource() !== previousSource) {
+      this.segments.forEach((segment) => {
+        segment.buffer = null;
+      });
+      this.reextractSegments(this.segments.map((_, index) => index));
+      this.displayResults();
+    }
+    this.updateStatus(
+      this.settings.dspTarget === "off"
+        ? "Audio clean-up off - clips use the original audio."
+        : "🎚️ Clean-up updated. Process again to re-transcribe the cleaned audio.",
+      "success"
+    );
+  }
+  //
+  // Uses the gap around the editor playhead (between two segments, or before
+  // the first / after the last) as the noise region for noise reduction.
+  //
+  useGapAsNoiseRegion() {
+    const editor = this.waveformEditor;
+    if (!editor) return;
+
+    const time = editor.getPlayhead();
+    if (editor.segmentAt(time) >= 0) {
+      this.updateStatus(
+        "Move the playhead into a quiet gap between segments first.",
+        "warning"
+      );
+      return;
+    }
+
+    let start = 0;
+    let end = this.audioBuffer.duration;
+    this.segments.forEach((segment) => {
+      if (segment.endTime <= time) start = Math.max(start, segment.endTime);
+      if (segment.startTime >= time) end = Math.min(end, segment.startTime);
+    });
+    this.noiseRegion = { start, end };
+    this.updateNoiseRegionInputs();
+    this.refreshCleanAudio();
+  }
+  //
+  // Shows the active file's noise region in the settings panel.
+  //
+  updateNoiseRegionInputs() {
+    const startInput = document.getElementById("noiseStart");
+    const endInput = document.getElementById("noiseEnd");
+    if (!startInput || !endInput) return;
+    startInput.value = this.noiseRegion
+      ? this.noiseRegion.start.toFixed(2)
+      : "";
+    endInput.value = this.noiseRegion ? this.noiseRegion.end.toFixed(2) : "";
+  }
+
+  //
+  // Displays extracted audio segments in the UI with playback and download controls.
+  // Creates HTML elements for each segment showing text, duration, and timestamps.
+  //
+  displayResults() {
+    const resultsSection = document.getElementById("resultsSection");
+    const segmentsList = document.getElementById("segmentsContainer");
+
+    if (!segmentsList) {
+      console.error("❌ Segments container not found!");
+      return;
+    }
+
+    // Keep focus on the edited field across re-renders
+    const focused = document.activeElement;
+    const focusTarget =
+      focused && segmentsList.contains(focused)
+        ? {
+            index: focused.closest(".segment-card")?.dataset.index,
+            field: focused.dataset.field,
+          }
+        : null;
+
+    segmentsList.innerHTML = "";
+    const baseNames = this.getSegmentBaseNames();
+
+    // Check the detected numbers against the expected lesson sequence
+    this.sequenceReport = this.validateSequence(this.segments);
+    this.renderSequenceReport(this.sequenceReport);
+    this.renderSegmentDiff();
+
+    // Level analysis for every clip, with the median to spot outliers
+    const levels = this.segments.map((segment) =>
+      this.analyzeLoudness(segment.buffer)
+    );
+    const loudnessValues = levels
+      .map((level) => level.loudness)
+      .filter(Number.isFinite)
+      .sort((a, b) => a - b);
+    const medianLoudness = loudnessValues.length
+      ? loudnessValues[Math.floor(loudnessValues.length / 2)]
+      : null;
+
+    this.segments.forEach((segment, index) => {
+      const segmentDiv = document.createElement("div");
+      const issue = this.sequenceReport.issues.find(
+        (item) => item.index === index
+      );
+      segmentDiv.className = issue ? "segment-card flagged" : "segment-card";
+      const change = this.segmentDiff?.added.has(segment)
+        ? "added"
+        : this.segmentDiff?.changed.has(segment)
+        ? "changed"
+        : null;
+      if (change) segmentDiv.classList.add(`diff-${change}`);
+      if (this.waveformEditor?.selectedIndex === index) {
+        segmentDiv.classList.add("selected");
+      }
+      segmentDiv.dataset.index = index;
+      segmentDiv.addEventListener("click", (e) => {
+        if (e.target.closest("button, input")) return;
+        this.waveformEditor?.select(index);
+      });
+
+      const phraseField =
+        segment.phraseText !== undefined
+          ? `<label class="edit-field text-field" title="Phrase (${this.escapeHtml(
+              segment.phraseLanguage
+            )})">
+                        <i class="fas fa-language"></i>
+                        <input type="text" data-field="phraseText"
+                            value="${this.escapeHtml(
+                              segment.phraseText
+                            )}" placeholder="Phrase">
+                    </label>`
+          : "";
+      const issueBadge = issue
+        ? `<span class="segment-badge warning"><i class="fas fa-exclamation-triangle"></i> ${issue.label}</span>`
+        : "";
+      const diffBadge = change
+        ? `<span class="segment-badge diff-${change}">${
+            change === "added" ? "New" : "Changed"
+          }</span>`
+        : "";
+      const level = levels[index];
+      const levelIssue = this.getLevelIssue(level, medianLoudness);
+      const gain = this.getNormalizationGain(segment);
+      const levelText = [
+        Number.isFinite(level.loudness)
+          ? `${level.loudness.toFixed(1)} LUFS`
+          : "silent",
+        `peak ${
+          Number.isFinite(level.peak) ? level.peak.toFixed(1) : "-∞"
+        } dBFS`,
+        gain !== 0 ? `gain ${gain > 0 ? "+" : ""}${gain.toFixed(1)} dB` : "",
+      ]
+        .filter(Boolean)
+        .join(" · ");
+
+      segmentDiv.innerHTML = `
+                <div class="segment-header">
+                    <h3 class="segment-title">Segment ${segment.id}</h3>
+                    ${diffBadge}
+                    ${issueBadge}
+                    <span class="segment-badge">${this.formatTime(
+                      segment.duration
+                    )}</span>
+                </div>
+                <div class="segment-edit">
+                    <label class="edit-field number-field" title="Detected number">
+                        <span>#</span>
+                        <input type="number" data-field="number" min="0" step="1"
+                            value="${segment.number ?? ""}" placeholder="—">
+                    </label>
+                    <label class="edit-field text-field" title="Transcript">
+                        <i class="fas fa-quote-left"></i>
+                        <input type="text" data-field="text"
+                            value="${this.escapeHtml(
+                              segment.text
+                            )}" placeholder="Transcript">
+                    </label>
+                    ${phraseField}
+                    <label class="edit-field text-field" title="English gloss (Anki export)">
+                        <i class="fas fa-comment-dots"></i>
+                        <input type="text" data-field="gloss"
+                            value="${this.escapeHtml(
+                              segment.gloss ?? ""
+                            )}" placeholder="English gloss">
+                    </label>
+                </div>
+                <div class="segment-info">
+                    <div class="info-item">
+                        <i class="fas fa-file-audio"></i>
+                        <span>${this.escapeHtml(
+                          this.getSegmentExportFiles(segment, baseNames[index])
+                            .map(
+                              (file) =>
+                                `${file.name}.${this.getOutputExtension()}`
+                            )
+                            .join(" + ")
+                        )}</span>
+                    </div>
+                    <div class="info-item${
+                      levelIssue ? " level-warning" : ""
+                    }" title="Integrated loudness and sample peak">
+                        <i class="fas fa-${
+                          levelIssue ? "exclamation-triangle" : "volume-up"
+                        }"></i>
+                        <span>${
+                          levelIssue ? levelIssue + ": " : ""
+                        }${levelText}</span>
+                    </div>
+                    <div class="info-item">
+                        <i class="fas fa-clock"></i>
+                        <span>${this.formatTime(
+                          segment.startTime
+                        )} - ${this.formatTime(segment.endTime)}</span>
+                    </div>
+                </div>
+                <div class="segment-actions">
+                    <button class="download-btn" onclick="audioLinguist.playSegment(${index})">
+                        <i class="fas fa-play"></i> Play
+                    </button>
+                    <button class="download-btn" onclick="audioLinguist.downloadSegment(${index})">
+                        <i class="fas fa-download"></i> Download
+                    </button>
+                </div>
+            `;
+
+      segmentDiv.querySelectorAll("input[data-field]").forEach((input) => {
+        input.addEventListener("change", () =>
+          this.updateSegmentField(index, input.dataset.field, input.value)
+        );
+        input.addEventListener("keydown", (e) => {
+          if (e.key === "Enter") input.blur();
+        });
+      });
+
+      segmentsList.appendChild(segmentDiv);
+    });
+
+    if (focusTarget) {
+      const input = segmentsList.querySelector(
+        `.segment-card[data-index="${focusTarget.index}"] [data-field="${focusTarget.field}"]`
+      );
+      if (input) input.focus();
+    }
+
+    resultsSection.style.display = "block";
+
+    // Update summary and bulk download button
+    const totalSegments = document.getElementById("totalSegments");
+    const totalDuration = document.getElementById("totalDuration");
+    const downloadAllBtn = document.getElementById("downloadAllBtn");
+    if (totalSegments) totalSegments.textContent = this.segments.length;
+    if (totalDuration) {
+      totalDuration.textContent = this.formatTime(
+        this.segments.reduce((sum, segment) => sum + segment.duration, 0)
+      );
+    }
+    if (downloadAllBtn) {
+      downloadAllBtn.style.display =
+        this.segments.length > 0 ? "inline-flex" : "none";
+    }
+
+    this.updateWaveformEditor();
+    this.updateHistoryButtons();
+  }
+  //
+  // Escapes text for safe insertion into HTML markup and attribute values.
+  //
+  escapeHtml(text) {
+    return String(text ?? "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
+  //
+  // Stores an inline edit of a segment's number, transcript, phrase or gloss.
+  // Edits feed file names, the manifest and subtitle exports.
+  //
+  updateSegmentField(index, field, value) {
+    const segment = this.segments[index];
+    if (!segment) return;
+
+    let newValue;
+    if (field === "number") {
+      const trimmed = value.trim();
+      newValue = trimmed === "" ? undefined : parseInt(trimmed, 10);
+      if (newValue !== undefined && isNaN(newValue)) {
+        this.updateStatus("Segment number must be a whole number.", "warning");
+        this.displayResults();
+        return;
+      }
+    } else if (
+      field === "text" ||
+      field === "phraseText" ||
+      field === "gloss"
+    ) {
+      newValue = value.trim();
+    } else {
+      return;
+    }
+
+    if (segment[field] === newValue) return;
+
+    this.recordEdit(`Edit ${field} of segment ${segment.id}`);
+    segment[field] = newValue;
+    this.displayResults();
+  }
+  //
+  // Saves a snapshot of the segment list before an edit so it can be undone.
+  // Audio buffers are shared between snapshots since edits never modify them in place.
+  //
+  recordEdit(label) {
+    this.undoStack.push({ label, segments: this.snapshotSegments() });
+    if (this.undoStack.length > 100) this.undoStack.shift();
+    this.redoStack = [];
+    console.log(`📝 ${label}`);
+    this.scheduleSessionSave();
+  }
+  //
+  // Copies the segment list deeply enough that later edits don't change the copy.
+  //
+  snapshotSegments() {
+    return this.segments.map((segment) => ({
+      ...segment,
+      words: segment.words.slice(),
+    }));
+  }
+  //
+  // Restores the segment list from before the most recent edit.
+  //
+  undo() {
+    const entry = this.undoStack.pop();
+    if (!entry) return;
+
+    this.redoStack.push({
+      label: entry.label,
+      segments: this.snapshotSegments(),
+    });
+    this.segments = entry.segments;
+    this.segmentDiff = null;
+    this.reextractMissingClips();
+    this.updateStatus(`↩️ Undid: ${entry.label}`, "info");
+    this.displayResults();
+    this.scheduleSessionSave();
+  }
+  //
+  // Re-applies the most recently undone edit.
+  //
+  redo() {
+    const entry = this.redoStack.pop();
+    if (!entry) return;
+
+    this.undoStack.push({
+      label: entry.label,
+      segments: this.snapshotSegments(),
+    });
+    this.segments = entry.segments;
+    this.segmentDiff = null;
+    this.reextractMissingClips();
+    this.updateStatus(`↪️ Redid: ${entry.label}`, "info");
+    this.displayResults();
+    this.scheduleSessionSave();
+  }
+  //
+  // Cuts clips for restored history entries whose audio was released while
+  // their file wasn't active.
+  //
+  reextractMissingClips() {
+    const missing = this.segments
+      .map((segment, index) => (segment.buffer ? -1 : index))
+      .filter((index) => index >= 0);
+    if (missing.length > 0) this.reextractSegments(missing);
+  }
+  //
+  // Clears the edit history, e.g. when a new set of segments is produced.
+  //
+  resetHistory() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.segmentDiff = null;
+    this.updateHistoryButtons();
+  }
+  //
+  // Enables the undo/redo buttons and shows what they would change.
+  //
+  updateHistoryButtons() {
+    const undoBtn = document.getElementById("undoBtn");
+    const redoBtn = document.getElementById("redoBtn");
+    const lastUndo = this.undoStack[this.undoStack.length - 1];
+    const lastRedo = this.redoStack[this.redoStack.length - 1];
+
+    if (undoBtn) {
+      undoBtn.disabled = !lastUndo;
+      undoBtn.title = lastUndo ? `Undo: ${lastUndo.label}` : "Nothing to undo";
+    }
+    if (redoBtn) {
+      redoBtn.disabled = !lastRedo;
+      redoBtn.title = lastRedo ? `Redo: ${lastRedo.label}` : "Nothing to redo";
+    }
+  }
+  //
+  // Creates the waveform editor on first use and loads the current file and segments.
+  //
+  updateWaveformEditor() {
+    const canvas = document.getElementById("waveformCanvas");
+    if (!canvas || typeof WaveformEditor === "undefined" || !this.audioBuffer) {
+      return;
+    }
+
+    if (!this.waveformEditor) {
+      this.waveformEditor = new WaveformEditor(canvas, {
+        audioContext: this.audioContext,
+        onBoundsChange: (index, startTime, endTime) =>
+          this.updateSegmentBounds(index, startTime, endTime),
+        onSelect: (index) => this.highlightSegmentCard(index),
+        onPlaybackChange: (playing) => {
+          const icon = document.querySelector("#wfPlayBtn i");
+          if (icon) icon.className = playing ? "fas fa-stop" : "fas fa-play";
+        },
+      });
+    }
+
+    this.waveformEditor.load(this.audioBuffer, this.getExportSource());
+    this.waveformEditor.setSegments(this.segments);
+    this.updateEditorButtons();
+  }
+  //
+  // Marks the card of the selected region and scrolls it into view.
+  //
+  highlightSegmentCard(index) {
+    document.querySelectorAll(".segment-card").forEach((card) => {
+      card.classList.toggle("selected", Number(card.dataset.index) === index);
+    });
+    const card = document.querySelector(`.segment-card[data-index="${index}"]`);
+    if (card) card.scrollIntoView({ block: "nearest", behavior: "smooth" });
+    this.updateEditorButtons();
+  }
+  //
+  // Enables toolbar buttons that apply to the current selection and playhead.
+  //
+  updateEditorButtons() {
+    const editor = this.waveformEditor;
+    const selected = editor ? editor.selectedIndex : -1;
+    const setEnabled = (id, enabled) => {
+      const button = document.getElementById(id);
+      if (button) button.disabled = !enabled;
+    };
+
+    setEnabled(
+      "wfMergeBtn",
+      selected >= 0 && selected < this.segments.length - 1
+    );
+    setEnabled("wfDeleteBtn", selected >= 0);
+  }
+  //
+  // Plays or stops the full recording from the editor playhead.
+  //
+  toggleEditorPlayback() {
+    if (this.waveformEditor) this.waveformEditor.togglePlayback();
+  }
+  //
+  // Applies new boundaries from the waveform editor and regenerates the clip.
+  //
+  updateSegmentBounds(index, startTime, endTime) {
+    const segment = this.segments[index];
+    if (!segment) return;
+
+    this.recordEdit(`Move boundaries of segment ${segment.id}`);
+    segment.startTime = startTime;
+    segment.endTime = endTime;
+    console.log(
+      `↔️ Segment ${segment.id} moved to ${startTime.toFixed(
+        2
+      )}s - ${endTime.toFixed(2)}s`
+    );
+    this.reextractSegments([index]);
+    this.displayResults();
+  }
+  //
+  // Splits the segment under the playhead in two at the playhead position.
+  // Words are divided by their timestamps; the number stays with the first half.
+  //
+  splitSegmentAtPlayhead() {
+    const editor = this.waveformEditor;
+    if (!editor) return;
+
+    const time = editor.getPlayhead();
+    const index = editor.segmentAt(time);
+    const segment = this.segments[index];
+    if (
+      !segment ||
+      time - segment.startTime < 0.1 ||
+      segment.endTime - time < 0.1
+    ) {
+      this.updateStatus(
+        "Move the playhead inside a segment to split it.",
+        "warning"
+      );
+      return;
+    }
+
+    this.recordEdit(`Split segment ${segment.id}`);
+    const firstWords = segment.words.filter((word) => word.timestamp[0] < time);
+    const secondWords = segment.words.filter(
+      (word) => word.timestamp[0] >= time
+    );
+    const second = {
+      startTime: time,
+      endTime: segment.endTime,
+      number: undefined,
+      marker: undefined,
+      words: secondWords,
+      text: this.segmentTextFromWords(secondWords, segment),
+    };
+
+    segment.endTime = time;
+    segment.text = this.segmentTextFromWords(firstWords, segment);
+    segment.words = firstWords;
+    this.segments.splice(index + 1, 0, second);
+
+    this.renumberSegments();
+    this.reextractSegments([index, index + 1]);
+    editor.select(index);
+    this.displayResults();
+  }
+  //
+  // Merges the selected segment with the one that follows it.
+  //
+  mergeSelectedSegment() {
+    const editor = this.waveformEditor;
+    const index = editor ? editor.selectedIndex : -1;
+    const first = this.segments[index];
+    const second = this.segments[index + 1];
+    if (!first || !second) return;
+
+    this.recordEdit(`Merge segments ${first.id} and ${second.id}`);
+    first.endTime = second.endTime;
+    first.words = first.words.concat(second.words);
+    first.text = [first.text, second.text].filter(Boolean).join(" ");
+    if (first.phraseText !== undefined || second.phraseText !== undefined) {
+      first.phraseText = [first.phraseText, second.phraseText]
+        .filter(Boolean)
+        .join(" ");
+      first.phraseLanguage = first.phraseLanguage ?? second.phraseLanguage;
+    }
+    if (first.gloss || second.gloss) {
+      first.gloss = [first.gloss, second.gloss].filter(Boolean).join("; ");
+    }
+    if (first.number === undefined) {
+      first.number = second.number;
+      first.marker = second.marker;
+    }
+    this.segments.splice(index + 1, 1);
+
+    this.renumberSegments();
+    this.reextractSegments([index]);
+    this.displayResults();
+  }
+  //
+  // Removes the selected segment.
+  //
+  deleteSelectedSegment() {
+    const editor = this.waveformEditor;
+    const index = editor ? editor.selectedIndex : -1;
+    if (!this.segments[index]) return;
+
+    this.recordEdit(`Delete segment ${this.segments[index].id}`);
+    this.segments.splice(index, 1);
+    this.renumberSegments();
+    // Neighbours can now use the freed gap for padding
+    this.reextractSegments([index - 1, index]);
+    editor.select(-1);
+    this.displayResults();
+  }
+  //
+  // Adds a new segment at the playhead, filling the gap up to the next segment
+  // (at most the minimum segment duration, or two seconds).
+  //
+  addSegmentAtPlayhead() {
+    const editor = this.waveformEditor;
+    if (!editor) return;
+
+    const time = editor.getPlayhead();
+    if (editor.segmentAt(time) !== -1) {
+      this.updateStatus(
+        "Move the playhead to a gap between segments to add one.",
+        "warning"
+      );
+      return;
+    }
+
+    const index = this.segments.findIndex(
+      (segment) => segment.startTime > time
+    );
+    const insertAt = index === -1 ? this.segments.length : index;
+    const limit =
+      index === -1 ? this.audioBuffer.duration : this.segments[index].startTime;
+    const endTime = Math.min(
+      limit,
+      time + Math.max(this.settings.minSegmentDuration, 2)
+    );
+    if (endTime - time < 0.1) return;
+
+    this.recordEdit("Add segment");
+    this.segments.splice(insertAt, 0, {
+      startTime: time,
+      endTime,
+      number: undefined,
+      marker: undefined,
+      words: [],
+      text: "",
+    });
+
+    this.renumberSegments();
+    this.reextractSegments([insertAt - 1, insertAt, insertAt + 1]);
+    editor.select(insertAt);
+    this.displayResults();
+  }
+  //
+  // Rebuilds a segment's text from a subset of its words.
+  // Chunks that formed the number marker are shown as the number itself.
+  //
+  segmentTextFromWords(words, segment) {
+    const markerCount = segment.marker ? segment.marker.chunkIndices.length : 0;
+    const markerWords = new Set(segment.words.slice(0, markerCount));
+    const parts = [];
+    let numberAdded = false;
+
+    words.forEach((word) => {
+      if (markerWords.has(word)) {
+        if (!numberAdded) parts.push(String(segment.number));
+        numberAdded = true;
+      } else {
+        parts.push(word.text.trim());
+      }
+    });
+    return parts.join(" ");
+  }
+  //
+  // Keeps segment ids sequential after segments are added or removed.
+  //
+  renumberSegments() {
+    this.segments.forEach((segment, index) => {
+      segment.id = index + 1;
+    });
+  }
+  //
+  // Regenerates the audio buffers of the given segments (and their neighbours,
+  // whose padding depends on the shared gap) after boundaries change.
+  //
+  reextractSegments(indices) {
+    const sourceBuffer = this.getExportSource();
+    const ranges = this.computeClipRanges(this.segments, sourceBuffer);
+    const affected = new Set();
+    indices.forEach((index) => {
+      [index - 1, index, index + 1].forEach((i) => {
+        if (i >= 0 && i < this.segments.length) affected.add(i);
+      });
+    });
+
+    affected.forEach((i) => {
+      const segment = this.segments[i];
+      const { clipStart, clipEnd } = ranges[i];
+      if (
+        segment.buffer &&
+        segment.clipStart === clipStart &&
+        segment.clipEnd === clipEnd
+      ) {
+        return;
+      }
+      segment.clipStart = clipStart;
+      segment.clipEnd = clipEnd;
+      segment.duration = clipEnd - clipStart;
+      segment.buffer = this.sliceAudio(sourceBuffer, clipStart, clipEnd);
+    });
+  }
+
+  //
+  // Compares detected segment numbers against a strictly sequential lesson.
+  // Returns missing numbers, duplicates and out-of-order segments with suggested fixes.
+  //
+  validateSequence(segments) {
+    const report = {
+      first: null,
+      last: null,
+      missing: [],
+      duplicates: [],
+      issues: [],
+    };
+    const numbers = segments.map((segment) =>
+      Number.isInteger(segment.number) ? segment.number : null
+    );
+    const known = numbers.filter((number) => number !== null);
+    if (known.length < 2) return report;
+
+    // The expected sequence is the longest increasing run of numbers (allowing
+    // gaps of a few missing numbers); anything outside it is out of order.
+    // `deviation` counts how far each step deviates from the segment spacing.
+    const maxStep = 5;
+    const chain = numbers.map(() => ({ length: 0, deviation: 0, prev: -1 }));
+    numbers.forEach((number, i) => {
+      if (number === null) return;
+      chain[i] = { length: 1, deviation: 0, prev: -1 };
+      for (let j = 0; j < i; j++) {
+        const step = number - numbers[j];
+        if (numbers[j] === null || step <= 0 || step > maxStep * (i - j)) {
+          continue;
+        }
+        // Prefer chains whose steps match the segment positions
+        const length = chain[j].length + 1;
+        const deviation = chain[j].deviation + Math.abs(step - (i - j));
+        if (
+          length > chain[i].length ||
+          (length === chain[i].length && deviation < chain[i].deviation)
+        ) {
+          chain[i] = { length, deviation, prev: j };
+        }
+      }
+    });
+
+    let end = -1;
+    chain.forEach((link, i) => {
+      if (
+        link.length > 0 &&
+        (end === -1 ||
+          link.length > chain[end].length ||
+          (link.length === chain[end].length &&
+            link.deviation < chain[end].deviation))
+      ) {
+        end = i;
+      }
+    });
+    const inSequence = numbers.map(() => false);
+    for (let i = end; i !== -1; i = chain[i].prev) inSequence[i] = true;
+
+    const sequential = numbers.filter((number, i) => inSequence[i]);
+    if (sequential.length === 0) return report;
+    report.first = Math.min(...sequential);
+    report.last = Math.max(...sequential);
+
+    // Duplicates
+    const positions = new Map();
+    numbers.forEach((number, i) => {
+      if (number === null) return;
+      if (!positions.has(number)) positions.set(number, []);
+      positions.get(number).push(i);
+    });
+    positions.forEach((indices, number) => {
+      if (indices.length > 1) report.duplicates.push({ number, indices });
+    });
+
+    // Missing numbers within the detected range
+    for (let n = report.first; n <= report.last; n++) {
+      if (!positions.has(n)) report.missing.push(n);
+    }
+
+    // Segments outside the sequence, with likely corrections
+    numbers.forEach((number, i) => {
+      if (inSequence[i]) return;
+
+      const isDuplicate = number !== null && positions.get(number).length > 1;
+      const issue = {
+        index: i,
+        number,
+        label:
+          number === null
+            ? "No number"
+            : isDuplicate
+            ? "Duplicate"
+            : "Out of order",
+        suggestion: this.suggestSequenceCorrection(numbers, i, report.missing),
+      };
+      report.issues.push(issue);
+    });
+
+    return report;
+  }
+  //
+  // Suggests a corrected number for the segment at `index` from its neighbours.
+  // Prefers digit swaps and off-by-one errors that land on a missing number.
+  //
+  suggestSequenceCorrection(numbers, index, missing) {
+    const number = numbers[index];
+    const findNeighbour = (step) => {
+      for (let i = index + step; i >= 0 && i < numbers.length; i += step) {
+        if (numbers[i] !== null)
+          return { value: numbers[i], distance: Math.abs(i - index) };
+      }
+      return null;
+    };
+    const prev = findNeighbour(-1);
+    const next = findNeighbour(1);
+
+    // The number implied by the surrounding sequence
+    let expected = null;
+    if (
+      prev &&
+      next &&
+      next.value - prev.value === prev.distance + next.distance
+    ) {
+      expected = prev.value + prev.distance;
+    } else if (prev) {
+      expected = prev.value + prev.distance;
+    } else if (next) {
+      expected = next.value - next.distance;
+    }
+
+    // Only suggest numbers that are not already taken by another segment
+    const isCandidate = (value) =>
+      (value === expected && !numbers.includes(value)) ||
+      missing.includes(value);
+
+    if (number !== null) {
+      // Digit swaps: "915" -> "951"
+      const digits = String(number).split("");
+      for (let i = 0; i < digits.length - 1; i++) {
+        const swapped = digits.slice();
+        [swapped[i], swapped[i + 1]] = [swapped[i + 1], swapped[i]];
+        const value = parseInt(swapped.join(""), 10);
+        if (value !== number && isCandidate(value)) {
+          return { value, reason: "digit swap" };
+        }
+      }
+
+      // Off-by-one
+      for (const value of [number - 1, number + 1]) {
+        if (isCandidate(value)) return { value, reason: "off by one" };
+      }
+    }
+
+    if (expected !== null && isCandidate(expected)) {
+      return { value: expected, reason: "fits sequence" };
+    }
+    return null;
+  }
+  //
+  // Renders the sequence report panel above the segment cards.
+  // Lists missing numbers, duplicates and flagged segments with one-click fixes.
+  //
+  renderSequenceReport(report) {
+    const container = document.getElementById("sequenceReport");
+    if (!container) return;
+
+    const hasProblems =
+      report.missing.length > 0 ||
+      report.duplicates.length > 0 ||
+      report.issues.length > 0;
+
+    if (report.first === null) {
+      container.style.display = "none";
+      container.innerHTML = "";
+      return;
+    }
+
+    const range = `${report.first}–${report.last}`;
+    if (!hasProblems) {
+      container.className = "sequence-report ok";
+      container.innerHTML = `<i class="fas fa-check-circle"></i> Sequence ${range} is complete with no gaps or duplicates.`;
+      container.style.display = "block";
+      return;
+    }
+
+    const issueItems = report.issues
+      .map((issue) => {
+        const segment = this.segments[issue.index];
+        const fix = issue.suggestion
+          ? ` → likely <strong>${issue.suggestion.value}</strong> (${issue.suggestion.reason})
+             <button class="report-fix-btn" onclick="audioLinguist.applySequenceSuggestion(${issue.index})">Apply</button>`
+          : "";
+        return `<li>Segment ${segment.id} at ${this.formatTime(
+          segment.startTime
+        )}: ${issue.label.toLowerCase()} ${
+          issue.number !== null ? `<strong>${issue.number}</strong>` : ""
+        }${fix}</li>`;
+      })
+      .join("");
+
+    container.className = "sequence-report warning";
+    container.innerHTML = `
+      <h3><i class="fas fa-exclamation-triangle"></i> Sequence check: ${range}</h3>
+      ${
+        report.missing.length > 0
+          ? `<p><strong>Missing:</strong> ${report.missing.join(", ")}</p>`
+          : ""
+      }
+      ${
+        report.duplicates.length > 0
+          ? `<p><strong>Duplicates:</strong> ${report.duplicates
+              .map((dup) => `${dup.number} (×${dup.indices.length})`)
+              .join(", ")}</p>`
+          : ""
+      }
+      ${issueItems ? `<ul>${issueItems}</ul>` : ""}
+    `;
+    container.style.display = "block";
+  }
+  //
+  // Applies the suggested number for a flagged segment and refreshes the results.
+  //
+  applySequenceSuggestion(index) {
+    const issue = this.sequenceReport?.issues.find(
+      (item) => item.index === index
+    );
+    const segment = this.segments[index];
+    if (!issue || !issue.suggestion || !segment) return;
+
+    this.recordEdit(`Renumber segment ${segment.id}`);
+    console.log(
+      `🔧 Segment ${segment.id}: ${issue.number} → ${issue.suggestion.value}`
+    );
+    segment.number = issue.suggestion.value;
+    this.displayResults();
+  }
+
+  //
+  // Plays an extracted audio segment through the audio context.
+  // Creates a buffer source node and connects it to the audio output destination.
+  //
+  async playSegment(index) {
+    const segment = this.segments[index];
+    if (!segment) return;
+
+    try {
+      // Play at the level the clip is exported with
+      const source = this.audioContext.createBufferSource();
+      const gain = this.audioContext.createGain();
+      source.buffer = segment.buffer;
+      gain.gain.value = 10 ** (this.getNormalizationGain(segment) / 20);
+      source.connect(gain);
+      gain.connect(this.audioContext.destination);
+      source.start();
+
+      console.log(`🔊 Playing segment ${segment.id}: "${segment.text}"`);
     } catch (error) {
-      console.error("❌ Whisper transcription failed:", error);
-      throw error;
+      console.error("Error playing segment:", error);
+      this.updateStatus(`Error playing segment: ${error.message}`, "error");
     }
-  } //
-  // Transcribes the entire audio file with recursion prevention safeguards.
-  // Prepares audio data, performs quality checks, and attempts transcription with multiple configs.
+  }
   //
-  async transcribeEntireAudio() {
-    // Add debug tracking to catch recursion issues
-    console.log("🎤 Starting transcription of entire audio file...");
-    
-    // Check for an existing transcription in progress - prevent recursion
-    if (this._transcriptionInProgress) {
-      console.warn("🔄 Transcription already in progress, preventing recursion");
-      throw new Error("Transcription recursion detected");
+  // Creates and downloads the audio file(s) for a single segment in the
+  // selected output format.
+  //
+  async downloadSegment(index) {
+    const segment = this.segments[index];
+    if (!segment) return;
+
+    try {
+      // Encode each file (whole clip, or prompt and phrase)
+      const baseName = this.getSegmentBaseNames()[index];
+      const extension = this.getOutputExtension();
+      for (const file of this.getSegmentExportFiles(segment, baseName)) {
+        this.triggerDownload(
+          await this.encodeAudio(
+            file.buffer,
+            this.getClipMetadata(segment, file, index)
+          ),
+          `${file.name}.${extension}`
+        );
+      }
+
+      console.log(`💾 Downloaded segment ${segment.id}`);
+    } catch (error) {
+      console.error("Error downloading segment:", error);
+      this.updateStatus(`Error downloading segment: ${error.message}`, "error");
     }
-    
-    this._transcriptionInProgress = true;
-    
+  }
+  //
+  // Packages every extracted segment into a single ZIP archive with JSZip.
+  // Adds manifest.json and manifest.csv files describing each segment.
+  //
+  async downloadAllSegments() {
+    if (this.segments.length === 0) {
+      this.updateStatus("No segments to download yet.", "warning");
+      return;
+    }
+
+    if (!window.JSZip) {
+      this.updateStatus(
+        "ZIP library not loaded. Please check your connection and reload.",
+        "error"
+      );
+      return;
+    }
+
+    const downloadAllBtn = document.getElementById("downloadAllBtn");
+    if (downloadAllBtn) downloadAllBtn.disabled = true;
+
     try {
-      // Original code with recursion prevention
-      if (!this._transcriptionDepth) this._transcriptionDepth = 0;
-      this._transcriptionDepth++;
+      this.updateStatus(
+        `📦 Packaging ${this.segments.length} segments into ZIP...`,
+        "info"
+      );
 
-      // Prevent infinite recursion
-      if (this._transcriptionDepth > 2) {
-        this._transcriptionDepth = 0;
-        throw new Error(
-          "Maximum transcription depth reached - prevented potential infinite recursion"
+      const zip = new window.JSZip();
+      await this.addSegmentsToZip(zip);
+      const zipBlob = await this.generateZipBlob(zip);
+
+      this.triggerDownload(zipBlob, `${this.getExportBaseName()}_segments.zip`);
+      this.updateStatus(
+        `💾 Downloaded ${this.segments.length} segments as ZIP.`,
+        "success"
+      );
+    } catch (error) {
+      console.error("Error creating ZIP:", error);
+      this.updateStatus(`Error creating ZIP: ${error.message}`, "error");
+    } finally {
+      if (downloadAllBtn) downloadAllBtn.disabled = false;
+    }
+  }
+  //
+  // Adds the current file's clips plus manifest.json and manifest.csv to a ZIP
+  // or ZIP folder.
+  //
+  async addSegmentsToZip(folder) {
+    const baseNames = this.getSegmentBaseNames();
+    const extension = this.getOutputExtension();
+    for (const [index, segment] of this.segments.entries()) {
+      for (const file of this.getSegmentExportFiles(
+        segment,
+        baseNames[index]
+      )) {
+        folder.file(
+          `${file.name}.${extension}`,
+          await this.encodeAudio(
+            file.buffer,
+            this.getClipMetadata(segment, file, index)
+          )
         );
       }
+    }
 
-      console.log("🎤 Transcribing entire audio file with Whisper...");
+    const manifest = this.buildManifest();
+    folder.file("manifest.json", JSON.stringify(manifest, null, 2));
+    folder.file("manifest.csv", this.manifestToCsv(manifest));
+  }
+  //
+  // Compresses a ZIP into a Blob, reporting progress in whole percent.
+  //
+  async generateZipBlob(zip) {
+    let lastPercent = -1;
+    return zip.generateAsync({ type: "blob" }, (metadata) => {
+      const percent = Math.floor(metadata.percent);
+      if (percent === lastPercent) return;
+      lastPercent = percent;
+      this.updateStatus(`📦 Compressing ZIP... ${percent}%`, "info");
+    });
+  }
+  //
+  // Exports every processed file in the queue as one ZIP, with one folder per
+  // source file holding its clips and manifests.
+  //
+  async downloadQueueZip() {
+    this.saveActiveQueueItem();
+    const items = this.queue.filter(
+      (item) => item.status === "done" && item.segments.length > 0
+    );
+    if (items.length === 0) {
+      this.updateStatus("No processed files to download yet.", "warning");
+      return;
+    }
 
-      // Audio is already converted to mono 16kHz during upload
-      const audioData = this.audioBuffer.getChannelData(0);
-      
-      // Create a clean copy of audio data to prevent circular references
-      const cleanAudioData = new Float32Array(audioData.length);
-      for (let i = 0; i < audioData.length; i++) {
-        cleanAudioData[i] = audioData[i];
-      }
+    if (!window.JSZip) {
+      this.updateStatus(
+        "ZIP library not loaded. Please check your connection and reload.",
+        "error"
+      );
+      return;
+    }
 
-      console.log("📊 Audio data ready for Whisper:", {
-        sampleRate: 16000,
-        duration: cleanAudioData.length / 16000,
-        samples: cleanAudioData.length,
-        channels: 1,
-      });
+    const downloadQueueBtn = document.getElementById("downloadQueueBtn");
+    if (downloadQueueBtn) downloadQueueBtn.disabled = true;
 
-      if (this.whisperPipeline) {
-        console.log("🎤 Calling Whisper pipeline directly..."); 
-        // Check audio quality
-        const audioStats = {
-          minValue: Math.min(...cleanAudioData.slice(0, 10000)), // Sample first 10k samples to avoid stack issues
-          maxValue: Math.max(...cleanAudioData.slice(0, 10000)),
-          sampleRate: 16000,
-          duration: cleanAudioData.length / 16000,
-        };
-        console.log("🔍 Audio quality check:", audioStats);
-        
-        try {
-          const configs = [
-            {
-              name: "Config 1: English with word timestamps",
-              options: {
-                language: "en",
-                task: "transcribe",
-                return_timestamps: "word",
-                chunk_length_s: 30,
-                stride_length_s: 5,
-                sampling_rate: 16000, // Audio is already resampled to 16kHz
-              },
-            },
-          ];
-          for (const config of configs) {
-            console.log(`🧪 Trying ${config.name}...`);
-            try {
-              // Pass the already resampled 16kHz mono Float32Array to Whisper pipeline
-              const result = await this.whisperTranscription(
-                cleanAudioData,
-                config.options
-              );
-              console.log("\n🎯 === WHISPER FULL RESPONSE ===");
-              console.log(`✅ ${config.name} result:`, result);
-              console.log("📝 Full transcription text:", result.text);
-              console.log("📊 Response structure:", {
-                hasText: !!result.text,
-                hasChunks: !!result.chunks,
-                hasWords: !!result.words,
-                chunkCount: result.chunks?.length || 0,
-                wordCount: result.words?.length || 0,
-              });
-              if (result.chunks && result.chunks.length > 0) {
-                console.log("\n📋 CHUNKS DETAILS:");
-                result.chunks.forEach((chunk, i) => {
-                  console.log(`  Chunk ${i}:`, {
-                    text: chunk.text,
-                    timestamp: chunk.timestamp,
-                    duration: chunk.timestamp
-                      ? (chunk.timestamp[1] - chunk.timestamp[0]).toFixed(2) +
-                        "s"
-                      : "unknown",
-                  });
-                });
-              }
-              console.log("\n🔍 Raw result object:", result);
-              console.log("=== END WHISPER RESPONSE ===\n");
-              if (result.text && result.text.trim().length > 0) {
-                console.log(`🎉 Success with ${config.name}!`);
-                this._transcriptionDepth--; // Decrement depth counter on success
-                return result;
-              } else {
-                console.log(
-                  `⚠️ ${config.name} returned empty text, trying next config...`
-                );
-              }
-            } catch (configError) {
-              console.log(`❌ ${config.name} failed:`, configError.message);
-            }
-          } // If all configs failed, return empty result
-          console.warn(
-            "⚠️ All Whisper configurations failed or returned empty results"
-          );
-          this._transcriptionDepth--;
-          return { text: "", chunks: [] };
-        } catch (error) {
-          console.error("❌ Whisper pipeline failed:", error);
-          this._transcriptionDepth--;
-          throw error;
+    const active = this.queue[this.activeQueueIndex];
+    try {
+      const zip = new window.JSZip();
+      const usedNames = new Set();
+      for (const [i, item] of items.entries()) {
+        this.updateStatus(
+          `📦 Packaging file ${i + 1}/${items.length} into ZIP...`,
+          "info"
+        );
+
+        // Export helpers read the working state, so load each file in turn,
+        // decoding the ones whose audio was released
+        this.loadQueueItemState(item);
+        if (!this.audioBuffer) {
+          await this.loadQueueItemAudio();
+          if (!this.audioBuffer) {
+            throw new Error(`Could not decode ${item.audioFile.name}`);
+          }
         }
-      } else {
-        console.error("❌ Whisper pipeline not loaded!");
-        this._transcriptionDepth--;
-        throw new Error("Whisper pipeline not available");
+        const baseName = this.sanitizeFilename(this.getExportBaseName());
+        let folderName = baseName;
+        for (let n = 2; usedNames.has(folderName.toLowerCase()); n++) {
+          folderName = `${baseName}_${n}`;
+        }
+        usedNames.add(folderName.toLowerCase());
+        await this.addSegmentsToZip(zip.folder(folderName));
+        // Free each file's clips before the next one is decoded
+        if (item !== active) this.releaseQueueItemAudio(item);
       }
-    } catch (err) {
-      console.error("❌ transcribeEntireAudio top-level error:", err);
-      this._transcriptionDepth = 0; // Reset on error
-      throw err;
+
+      const zipBlob = await this.generateZipBlob(zip);
+      const segmentCount = items.reduce(
+        (sum, item) => sum + item.segments.length,
+        0
+      );
+      this.triggerDownload(
+        zipBlob,
+        `${this.sanitizeFilename(
+          this.settings.lessonName || "audio-linguist"
+        )}_batch.zip`
+      );
+      this.updateStatus(
+        `💾 Downloaded ${segmentCount} segments from ${items.length} files as ZIP.`,
+        "success"
+      );
+    } catch (error) {
+      console.error("Error creating ZIP:", error);
+      this.updateStatus(`Error creating ZIP: ${error.message}`, "error");
     } finally {
-      this._transcriptionInProgress = false; // Always clear flag
+      items.forEach((item) => {
+        if (item !== active) this.releaseQueueItemAudio(item);
+      });
+      if (active) this.loadQueueItemState(active);
+      if (downloadQueueBtn) downloadQueueBtn.disabled = false;
     }
   }
   //
-  // Analyzes transcription to find numbered segments for language learning content.
-  // Identifies numbers like "951" and groups subsequent words into content segments.
+  // Builds the manifest entries describing every segment in the export.
+  // Each entry lists the file name, detected number, text and timing.
+  //
+  buildManifest() {
+    const baseNames = this.getSegmentBaseNames();
+    return this.segments.map((segment, index) => {
+      const files = this.getSegmentExportFiles(segment, baseNames[index]);
+      const fileFor = (role) => {
+        const file = files.find((item) => item.role === role);
+        return file ? `${file.name}.${this.getOutputExtension()}` : null;
+      };
+      const splitTime = this.settings.splitPromptAndPhrase
+        ? this.getPromptSplitTime(segment)
+        : null;
+
+      return {
+        file: fileFor("segment"),
+        promptFile: fileFor("prompt"),
+        phraseFile: fileFor("phrase"),
+        number: segment.number ?? null,
+        text: segment.text,
+        phraseText: segment.phraseText ?? null,
+        phraseLanguage: segment.phraseLanguage ?? null,
+        gloss: segment.gloss || null,
+        startTime: Number(segment.startTime.toFixed(3)),
+        endTime: Number(segment.endTime.toFixed(3)),
+        splitTime: splitTime === null ? null : Number(splitTime.toFixed(3)),
+        duration: Number(segment.duration.toFixed(3)),
+      };
+    });
+  }
+  //
+  // Serializes manifest entries into CSV with a header row.
+  // Quotes fields containing commas, quotes or newlines per RFC 4180.
+  //
+  manifestToCsv(manifest) {
+    const columns = [
+      "file",
+      "promptFile",
+      "phraseFile",
+      "number",
+      "text",
+      "phraseText",
+      "phraseLanguage",
+      "gloss",
+      "startTime",
+      "endTime",
+      "splitTime",
+      "duration",
+    ];
+    const escape = (value) => {
+      const str = value === null || value === undefined ? "" : String(value);
+      return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+
+    const rows = manifest.map((entry) =>
+      columns.map((column) => escape(entry[column])).join(",")
+    );
+    return [columns.join(","), ...rows].join("\r\n") + "\r\n";
+  }
+  //
+  // Builds timed cues for the label/subtitle exports: one per segment, plus one
+  // per stored word when word cues are requested. Times are the segment
+  // boundaries (not the padded clip), sorted by start time.
+  //
+  buildCues(includeWords = false) {
+    const baseNames = this.getSegmentBaseNames();
+    const cues = [];
+
+    this.segments.forEach((segment, index) => {
+      const lines = [segment.text.trim()];
+      if (segment.phraseText) lines.push(segment.phraseText);
+      cues.push({
+        id: `segment-${segment.id}`,
+        start: segment.startTime,
+        end: segment.endTime,
+        text: lines.join("\n"),
+        label: baseNames[index],
+      });
+
+      if (!includeWords) return;
+      const words = segment.words || [];
+      words.forEach((word, w) => {
+        const [start, end] = word.timestamp || [];
+        if (start == null) return;
+        // Whisper sometimes leaves the last word open-ended
+        const next = words[w + 1]?.timestamp?.[0];
+        const wordEnd = end ?? next ?? Math.min(start + 0.3, segment.endTime);
+        cues.push({
+          id: `segment-${segment.id}-word-${w + 1}`,
+          start,
+          end: Math.max(wordEnd, start),
+          text: word.text.trim(),
+          label: word.text.trim(),
+        });
+      });
+    });
+
+    return cues.sort((a, b) => a.start - b.start || b.end - a.end);
+  }
+  //
+  // Formats seconds as an HH:MM:SS,mmm subtitle timestamp.
+  // SRT uses a comma before the milliseconds, WebVTT a period.
+  //
+  formatCueTime(seconds, separator = ",") {
+    const totalMs = Math.max(0, Math.round(seconds * 1000));
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+    const pad = (value, length = 2) => String(value).padStart(length, "0");
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(
+      ms,
+      3
+    )}`;
+  }
+  //
+  // Serializes cues as a SubRip (.srt) subtitle file.
   //
-  findSegmentsByNumberPattern(transcription) {
-    console.log("🔍 Finding segments by number patterns in transcription...");
-
-    const words = transcription.chunks || [];
-    const segments = [];
+  cuesToSrt(cues) {
+    return cues
+      .map(
+        (cue, index) =>
+          `${index + 1}\r\n${this.formatCueTime(
+            cue.start
+          )} --> ${this.formatCueTime(cue.end)}\r\n${cue.text}\r\n`
+      )
+      .join("\r\n");
+  }
+  //
+  // Serializes cues as a WebVTT (.vtt) file. "-->" can't appear in cue text,
+  // so it is replaced.
+  //
+  cuesToVtt(cues) {
+    const body = cues
+      .map(
+        (cue) =>
+          `${cue.id}\n${this.formatCueTime(
+            cue.start,
+            "."
+          )} --> ${this.formatCueTime(cue.end, ".")}\n${cue.text.replace(
+            /-->/g,
+            "->"
+          )}\n`
+      )
+      .join("\n");
+    return `WEBVTT\n\n${body}`;
+  }
+  //
+  // Serializes cues as an Audacity label track: tab-separated start, end and
+  // label per line. Segment labels use the export file names, so Audacity's
+  // "Export Multiple" produces the same files as the app.
+  //
+  cuesToAudacityLabels(cues) {
+    return cues
+      .map(
+        (cue) =>
+          `${cue.start.toFixed(6)}\t${cue.end.toFixed(6)}\t${cue.label.replace(
+            /[\t\r\n]+/g,
+            " "
+          )}\n`
+      )
+      .join("");
+  }
+  //
+  // Downloads the segmentation of the whole file as SRT, WebVTT or an
+  // Audacity label track, optionally with per-word cues.
+  //
+  downloadLabels(format) {
+    if (this.segments.length === 0) {
+      this.updateStatus("No segments to export yet.", "warning");
+      return;
+    }
 
-    // Look for English number patterns (like "951", "952", etc.)
-    const englishNumberPattern = /^\d+$/; // Match pure numbers like "951"
+    const includeWords = !!document.getElementById("includeWordCues")?.checked;
+    const cues = this.buildCues(includeWords);
+    const exports = {
+      srt: {
+        text: this.cuesToSrt(cues),
+        ext: "srt",
+        type: "application/x-subrip",
+      },
+      vtt: { text: this.cuesToVtt(cues), ext: "vtt", type: "text/vtt" },
+      audacity: {
+        text: this.cuesToAudacityLabels(cues),
+        ext: "txt",
+        type: "text/plain",
+      },
+    };
+    const { text, ext, type } = exports[format];
 
-    let currentSegment = null;
+    const suffix = format === "audacity" ? "_labels" : "";
+    this.triggerDownload(
+      new Blob([text], { type: `${type};charset=utf-8` }),
+      `${this.getExportBaseName()}${suffix}.${ext}`
+    );
+    this.updateStatus(
+      `💾 Exported ${cues.length} ${
+        format === "audacity" ? "labels" : "cues"
+      } as .${ext}.`,
+      "success"
+    );
+  }
+  //
+  // Returns the target-language text of a segment: the second-pass phrase
+  // transcript when there is one, otherwise the transcript without its number.
+  //
+  getPhraseText(segment) {
+    if (segment.phraseText) return segment.phraseText;
+    const text = (segment.text || "").trim();
+    if (segment.number === null || segment.number === undefined) return text;
+    return text.replace(new RegExp(`^${segment.number}\\b[\\s.:,-]*`), "");
+  }
+  //
+  // Turns a card template's placeholders ({number}, {phrase}, {gloss}, {text},
+  // {audio}, {promptAudio} and {phraseAudio}) into references to the note
+  // type's fields, e.g. {audio} -> {{Audio}}. Other text, including Anki's
+  // own {{FrontSide}}, is kept as it is.
+  //
+  toAnkiTemplate(template) {
+    return template.replace(/\{(\w+)\}/g, (match, key) =>
+      ANKI_FIELDS[key] === undefined ? match : `{{${ANKI_FIELDS[key]}}}`
+    );
+  }
+  //
+  // Builds an Anki package (.apkg) that Anki imports in one step: a note type
+  // with the configured card templates, a note per segment in the chosen
+  // deck and every clip as media. Media names are prefixed with the deck
+  // name since Anki's media folder is shared.
+  //
+  async downloadAnkiDeck() {
+    if (this.segments.length === 0) {
+      this.updateStatus("No segments to export yet.", "warning");
+      return;
+    }
 
-    for (let i = 0; i < words.length; i++) {
-      const word = words[i];
-      const cleanText = word.text.trim();
-      const isEnglishNumber = englishNumberPattern.test(cleanText);
+    if (!window.JSZip) {
+      this.updateStatus(
+        "ZIP library not loaded. Please check your connection and reload.",
+        "error"
+      );
+      return;
+    }
+    if (!this.ankiPackage.isSupported()) {
+      this.updateStatus(
+        "Anki export needs the bundled SQLite library (vendor/sql.js) and WebAssembly.",
+        "error"
+      );
+      return;
+    }
 
-      console.log(`Word ${i}: "${cleanText}" - isNumber: ${isEnglishNumber}`);
+    try {
+      const deckName =
+        this.settings.ankiDeckName ||
+        this.settings.lessonName ||
+        this.getExportBaseName();
+      const mediaPrefix = this.sanitizeFilename(deckName).replace(
+        /[\[\]\s]+/g,
+        "_"
+      );
+      const tag = deckName.replace(/\s+/g, "_");
+      const baseNames = this.getSegmentBaseNames();
 
-      if (isEnglishNumber) {
-        // End previous segment if it exists
-        if (
-          currentSegment &&
-          currentSegment.endTime - currentSegment.startTime >=
-            this.settings.minSegmentDuration
-        ) {
-          segments.push(currentSegment);
-          console.log(
-            `✅ Added segment: ${currentSegment.text} (${currentSegment.startTime}s - ${currentSegment.endTime}s)`
+      const extension = this.getOutputExtension();
+      const media = {};
+      const notes = [];
+      const usedKeys = new Set();
+      for (const [index, segment] of this.segments.entries()) {
+        this.updateStatus(
+          `🃏 Encoding Anki media ${index + 1}/${this.segments.length}...`,
+          "info"
+        );
+        const sounds = { segment: "", prompt: "", phrase: "" };
+        for (const file of this.getSegmentExportFiles(
+          segment,
+          baseNames[index]
+        )) {
+          const mediaName = `${mediaPrefix}_${file.name}.${extension}`;
+          media[mediaName] = await this.encodeAudio(
+            file.buffer,
+            this.getClipMetadata(segment, file, index)
           );
+          sounds[file.role] = `[sound:${mediaName}]`;
         }
 
-        // Start new segment with this number
-        currentSegment = {
-          startTime: word.timestamp[0],
-          endTime: word.timestamp[1],
-          words: [word],
-          text: cleanText,
-          number: parseInt(cleanText),
+        const values = {
+          number: this.escapeHtml(segment.number),
+          phrase: this.escapeHtml(this.getPhraseText(segment)),
+          gloss: this.escapeHtml(segment.gloss),
+          text: this.escapeHtml(segment.text),
+          audio: sounds.segment || sounds.prompt + sounds.phrase,
+          promptAudio: sounds.prompt,
+          phraseAudio: sounds.phrase || sounds.segment,
         };
-        console.log(`🆕 Started new segment with number: ${cleanText}`);
-      } else {
-        // Non-number word - add to current segment if we have one
-        if (currentSegment) {
-          const timeSinceSegmentStart =
-            word.timestamp[0] - currentSegment.startTime;
-
-          // Add word to segment if it's within reasonable time (e.g., 10 seconds)
-          if (timeSinceSegmentStart < 10.0) {
-            currentSegment.endTime = word.timestamp[1];
-            currentSegment.words.push(word);
-            currentSegment.text += " " + cleanText;
-            console.log(`➕ Added "${cleanText}" to current segment`);
-          } else {
-            // Too far from segment start - end current segment
-            if (
-              currentSegment.endTime - currentSegment.startTime >=
-              this.settings.minSegmentDuration
-            ) {
-              segments.push(currentSegment);
-              console.log(
-                `✅ Added segment: ${currentSegment.text} (${currentSegment.startTime}s - ${currentSegment.endTime}s)`
-              );
-            }
-            currentSegment = null;
-          }
-        }
+        // Numbered notes are matched by number when a deck is imported again
+        let key =
+          segment.number !== null && segment.number !== undefined
+            ? `number:${segment.number}`
+            : `segment:${index}`;
+        if (usedKeys.has(key)) key += `:${index}`;
+        usedKeys.add(key);
+        notes.push({
+          key,
+          fields: Object.keys(ANKI_FIELDS).map((field) => values[field]),
+          tags: [tag],
+        });
       }
+
+      this.updateStatus("🃏 Building Anki collection...", "info");
+      const zip = await this.ankiPackage.build({
+        deckName,
+        noteType: {
+          name: "Audio Linguist",
+          fields: Object.values(ANKI_FIELDS),
+          front: this.toAnkiTemplate(this.settings.ankiFrontTemplate),
+          back: this.toAnkiTemplate(this.settings.ankiBackTemplate),
+          css: ".card { font-family: arial; font-size: 20px; text-align: center; }",
+        },
+        notes,
+        media,
+      });
+
+      const zipBlob = await this.generateZipBlob(zip);
+      this.triggerDownload(zipBlob, `${this.sanitizeFilename(deckName)}.apkg`);
+      this.updateStatus(
+        `🃏 Exported ${this.segments.length} Anki notes with audio.`,
+        "success"
+      );
+    } catch (error) {
+      console.error("Error creating Anki export:", error);
+      this.updateStatus(
+        `Error creating Anki export: ${error.message}`,
+        "error"
+      );
+    }
+  }
+  //
+  // Builds segments from an existing boundary file (Audacity labels, CUE sheet
+  // or the app's manifest JSON) for the current file, skipping transcription.
+  //
+  async importBoundaries(file) {
+    if (this.isProcessing) {
+      this.updateStatus("Processing already in progress.", "warning");
+      return;
+    }
+    if (!this.audioBuffer) {
+      this.updateStatus(
+        "Select an audio file and wait for it to convert before importing boundaries.",
+        "warning"
+      );
+      return;
     }
 
-    // Don't forget the last segment
-    if (
-      currentSegment &&
-      currentSegment.endTime - currentSegment.startTime >=
-        this.settings.minSegmentDuration
-    ) {
-      segments.push(currentSegment);
-      console.log(
-        `✅ Added final segment: ${currentSegment.text} (${currentSegment.startTime}s - ${currentSegment.endTime}s)`
+    try {
+      const text = await file.text();
+      const segments = this.parseBoundaryFile(file.name, text);
+      if (segments.length === 0) {
+        throw new Error("no segments found");
+      }
+
+      await this.prepareCleanAudio();
+      this.segments = await this.extractSegmentsFromTimestamps(segments);
+      // Imported boundaries replace the transcription's, so changing the
+      // segmentation settings doesn't re-segment over them
+      this.transcription = null;
+      this.resetHistory();
+      this.setActiveQueueStatus("done");
+      this.updateStatus(
+        `📥 Imported ${this.segments.length} segments from "${file.name}" - transcription skipped.`,
+        "success"
+      );
+      this.displayResults();
+      this.saveSession();
+    } catch (error) {
+      console.error("❌ Error importing boundaries:", error);
+      this.updateStatus(
+        `Could not import "${file.name}": ${error.message}`,
+        "error"
       );
     }
+  }
+  //
+  // Picks a parser by file extension, then clamps the boundaries to the audio
+  // and drops empty entries.
+  //
+  parseBoundaryFile(name, text) {
+    const extension = name.split(".").pop().toLowerCase();
+    const duration = (this.originalBuffer || this.audioBuffer).duration;
 
-    console.log(`📊 Found ${segments.length} potential segments`);
-    return segments;
+    let segments;
+    if (extension === "json") {
+      segments = this.parseManifestJson(text);
+    } else if (extension === "cue") {
+      segments = this.parseCueSheet(text, duration);
+    } else {
+      segments = this.parseAudacityLabels(text, duration);
+    }
+
+    return segments
+      .map((segment) => ({
+        ...segment,
+        startTime: Math.max(0, segment.startTime),
+        endTime: Math.min(duration, segment.endTime),
+      }))
+      .filter((segment) => segment.endTime - segment.startTime > 0.01)
+      .sort((a, b) => a.startTime - b.startTime);
   }
-  
   //
-  // Extracts audio segments from the main audio buffer based on timestamps.
-  // Creates separate audio buffers for each detected segment for playback and download.
+  // Parses an Audacity label track: tab-separated start, end and label per line.
+  // Point labels start a segment that runs until the next label. Labels inside
+  // another label (e.g. exported word cues) are skipped.
   //
-  async extractSegmentsFromTimestamps(segments) {
-    console.log(
-      `✂️ Extracting ${segments.length} audio segments based on Whisper timestamps...`
-    );
+  parseAudacityLabels(text, duration) {
+    const labels = [];
+    text.split(/\r?\n/).forEach((line) => {
+      // Spectral selection lines start with "\" and belong to the label above
+      if (!line.trim() || line.startsWith("\\")) return;
 
-    const audioSegments = [];
-    const sampleRate = this.audioBuffer.sampleRate;
+      const [start, end, ...label] = line.split("\t");
+      const startTime = parseFloat(start);
+      const endTime = parseFloat(end);
+      if (!isFinite(startTime) || !isFinite(endTime)) {
+        throw new Error(`invalid label line "${line.trim()}"`);
+      }
+      labels.push({ startTime, endTime, label: label.join(" ").trim() });
+    });
+    labels.sort((a, b) => a.startTime - b.startTime || b.endTime - a.endTime);
 
-    for (let i = 0; i < segments.length; i++) {
-      const segment = segments[i];
-      const startSample = Math.floor(segment.startTime * sampleRate);
-      const endSample = Math.floor(segment.endTime * sampleRate);
-      const duration = segment.endTime - segment.startTime;
-
-      // Extract audio data
-      const segmentLength = endSample - startSample;
-      const segmentBuffer = this.audioContext.createBuffer(
-        this.audioBuffer.numberOfChannels,
-        segmentLength,
-        sampleRate
+    const segments = [];
+    let lastEnd = -Infinity;
+    labels.forEach((label, i) => {
+      const isPoint = label.endTime <= label.startTime;
+      if (!isPoint && label.endTime <= lastEnd) return;
+
+      const endTime = isPoint
+        ? labels.slice(i + 1).find((next) => next.startTime > label.startTime)
+            ?.startTime ?? duration
+        : label.endTime;
+      segments.push(
+        this.createImportedSegment(label.startTime, endTime, label.label)
       );
+      lastEnd = Math.max(lastEnd, endTime);
+    });
+    return segments;
+  }
+  //
+  // Parses a CUE sheet: each TRACK's INDEX 01 (mm:ss:ff, 75 frames per second)
+  // starts a segment that runs until the next track. TITLE becomes the label.
+  //
+  parseCueSheet(text, duration) {
+    const tracks = [];
+    let track = null;
 
-      for (
-        let channel = 0;
-        channel < this.audioBuffer.numberOfChannels;
-        channel++
+    text.split(/\r?\n/).forEach((rawLine) => {
+      const line = rawLine.trim();
+      let match;
+      if ((match = line.match(/^TRACK\s+(\d+)/i))) {
+        track = { number: parseInt(match[1], 10), title: "", start: null };
+        tracks.push(track);
+      } else if (track && (match = line.match(/^TITLE\s+"?(.*?)"?$/i))) {
+        track.title = match[1];
+      } else if (
+        track &&
+        (match = line.match(/^INDEX\s+01\s+(\d+):(\d+):(\d+)/i))
       ) {
-        const channelData = this.audioBuffer.getChannelData(channel);
-        const segmentChannelData = segmentBuffer.getChannelData(channel);
-
-        for (let sample = 0; sample < segmentLength; sample++) {
-          const sourceIndex = startSample + sample;
-          if (sourceIndex < channelData.length) {
-            segmentChannelData[sample] = channelData[sourceIndex];
-          }
-        }
+        const [, minutes, seconds, frames] = match.map(Number);
+        track.start = minutes * 60 + seconds + frames / 75;
       }
+    });
 
-      audioSegments.push({
-        id: i + 1,
-        startTime: segment.startTime,
-        endTime: segment.endTime,
-        duration: duration,
-        text: segment.text,
-        buffer: segmentBuffer,
-        words: segment.words,
-      });
+    const timed = tracks.filter((item) => item.start !== null);
+    if (timed.length === 0) {
+      throw new Error("no TRACK entries with INDEX 01 found");
     }
-
-    return audioSegments;
+    return timed.map((item, i) =>
+      this.createImportedSegment(
+        item.start,
+        i + 1 < timed.length ? timed[i + 1].start : duration,
+        item.title || String(item.number)
+      )
+    );
   }
-
   //
-  // Displays extracted audio segments in the UI with playback and download controls.
-  // Creates HTML elements for each segment showing text, duration, and timestamps.
+  // Parses the app's own manifest.json, restoring numbers, transcripts and the
+  // prompt/phrase split point so a corrected session can be re-exported.
   //
-  displayResults() {
-    const resultsSection = document.getElementById("resultsSection");
-    const segmentsList = document.getElementById("segmentsContainer");
-
-    if (!segmentsList) {
-      console.error("❌ Segments container not found!");
-      return;
+  parseManifestJson(text) {
+    const data = JSON.parse(text);
+    const entries = Array.isArray(data) ? data : data.segments;
+    if (!Array.isArray(entries)) {
+      throw new Error("expected a manifest array");
     }
 
-    segmentsList.innerHTML = "";
-
-    this.segments.forEach((segment, index) => {
-      const segmentDiv = document.createElement("div");
-      segmentDiv.className = "segment-card";
+    return entries.map((entry, i) => {
+      const startTime = Number(entry.startTime);
+      const endTime = Number(entry.endTime);
+      if (!isFinite(startTime) || !isFinite(endTime)) {
+        throw new Error(`entry ${i + 1} has no startTime/endTime`);
+      }
 
-      segmentDiv.innerHTML = `
-                <div class="segment-header">
-                    <h3 class="segment-title">Segment ${segment.id}</h3>
-                    <span class="segment-badge">${this.formatTime(
-                      segment.duration
-                    )}</span>
-                </div>
-                <div class="segment-info">
-                    <div class="info-item">
-                        <i class="fas fa-quote-left"></i>
-                        <span>"${segment.text}"</span>
-                    </div>
-                    <div class="info-item">
-                        <i class="fas fa-clock"></i>
-                        <span>${this.formatTime(
-                          segment.startTime
-                        )} - ${this.formatTime(segment.endTime)}</span>
-                    </div>
-                </div>
-                <div class="segment-actions">
-                    <button class="download-btn" onclick="audioLinguist.playSegment(${index})">
-                        <i class="fas fa-play"></i> Play
-                    </button>
-                    <button class="download-btn" onclick="audioLinguist.downloadSegment(${index})">
-                        <i class="fas fa-download"></i> Download
-                    </button>
-                </div>
-            `;
+      const number = entry.number ?? null;
+      const segment = {
+        startTime,
+        endTime,
+        number,
+        text: entry.text ?? (number !== null ? String(number) : ""),
+        phraseText: entry.phraseText ?? undefined,
+        phraseLanguage: entry.phraseLanguage ?? undefined,
+        gloss: entry.gloss ?? undefined,
+        words: [],
+        marker: null,
+      };
 
-      segmentsList.appendChild(segmentDiv);
+      // Rebuild a minimal marker so the prompt/phrase split survives the round trip
+      if (
+        number !== null &&
+        entry.splitTime !== null &&
+        entry.splitTime !== undefined
+      ) {
+        segment.marker = {
+          value: number,
+          digits: String(number),
+          text: String(number),
+          chunkIndices: [],
+          startTime,
+          endTime: Number(entry.splitTime),
+        };
+      }
+      return segment;
     });
-
-    resultsSection.style.display = "block";
   }
+  //
+  // Creates a segment from an imported label, reading a leading number
+  // ("951", "nine hundred fifty-one") from the label text when there is one.
+  //
+  createImportedSegment(startTime, endTime, label) {
+    const parsed = this.parseNumberTokens(this.tokenizeNumberText(label));
+    const number = parsed ? parsed.value : null;
+    return {
+      startTime,
+      endTime,
+      number,
+      text: label || (number !== null ? String(number) : ""),
+      words: [],
+      marker: null,
+    };
+  }
+  //
+  // Builds unique base names (without extension) from the filename template.
+  // Duplicate names (e.g. a number detected twice) get a "_2", "_3" suffix.
+  //
+  getSegmentBaseNames() {
+    const used = new Set();
 
+    return this.segments.map((segment) => {
+      const base = this.sanitizeFilename(this.renderFilenameTemplate(segment));
+      let name = base;
+      for (let n = 2; used.has(name.toLowerCase()); n++) {
+        name = `${base}_${n}`;
+      }
+      used.add(name.toLowerCase());
+      return name;
+    });
+  }
   //
-  // Plays an extracted audio segment through the audio context.
-  // Creates a buffer source node and connects it to the audio output destination.
+  // Lists the audio files exported for a segment: the whole clip, or the number
+  // announcement ("_prompt") and the target-language phrase ("_phrase") when
+  // prompt/phrase splitting is enabled and the segment has a number marker.
+  // Buffers are only cut and normalized when `buffer` is read.
   //
-  async playSegment(index) {
-    const segment = this.segments[index];
-    if (!segment) return;
+  getSegmentExportFiles(segment, baseName) {
+    const splitTime = this.settings.splitPromptAndPhrase
+      ? this.getPromptSplitTime(segment)
+      : null;
 
-    try {
-      const source = this.audioContext.createBufferSource();
-      source.buffer = segment.buffer;
-      source.connect(this.audioContext.destination);
-      source.start();
+    // Normalization gain comes from the whole segment so its parts match
+    const normalize = (buffer) =>
+      this.applyGain(buffer, this.getNormalizationGain(segment));
 
-      console.log(`🔊 Playing segment ${segment.id}: "${segment.text}"`);
-    } catch (error) {
-      console.error("Error playing segment:", error);
-      this.updateStatus(`Error playing segment: ${error.message}`, "error");
+    if (splitTime === null) {
+      return [
+        {
+          name: baseName,
+          role: "segment",
+          get buffer() {
+            return normalize(segment.buffer);
+          },
+        },
+      ];
     }
+
+    const sourceBuffer = this.getExportSource();
+    const slice = (start, end) =>
+      normalize(this.sliceAudio(sourceBuffer, start, end));
+    return [
+      {
+        name: `${baseName}_prompt`,
+        role: "prompt",
+        get buffer() {
+          return slice(segment.clipStart, splitTime);
+        },
+      },
+      {
+        name: `${baseName}_phrase`,
+        role: "phrase",
+        get buffer() {
+          return slice(splitTime, segment.clipEnd);
+        },
+      },
+    ];
   }
   //
-  // Creates and downloads a WAV file for a single audio segment.
-  // Converts the audio buffer to a WAV blob and triggers browser download.
+  // Returns the time where the number announcement ends and the phrase begins:
+  // the end timestamp of the number marker's last word chunk, snapped to a zero
+  // crossing when enabled. Returns null if the segment has no usable marker.
   //
-  async downloadSegment(index) {
-    const segment = this.segments[index];
-    if (!segment) return;
+  getPromptSplitTime(segment) {
+    if (!segment.marker) return null;
 
-    try {
-      // Convert buffer to WAV
-      const wavBlob = this.bufferToWav(segment.buffer);
-
-      // Create download link
-      const url = URL.createObjectURL(wavBlob);
-      const a = document.createElement("a");
-      a.href = url;
-      a.download = `segment_${segment.id.toString().padStart(3, "0")}.wav`;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
+    const sourceBuffer = this.getExportSource();
+    const clipStart = segment.clipStart ?? segment.startTime;
+    const clipEnd = segment.clipEnd ?? segment.endTime;
+    let splitTime = segment.marker.endTime;
 
-      console.log(`💾 Downloaded segment ${segment.id}`);
-    } catch (error) {
-      console.error("Error downloading segment:", error);
-      this.updateStatus(`Error downloading segment: ${error.message}`, "error");
+    // The marker may lie outside the clip after manual boundary edits
+    if (!(splitTime > clipStart + 0.05 && splitTime < clipEnd - 0.05)) {
+      return null;
+    }
+    if (this.settings.snapToZeroCrossing) {
+      splitTime = this.findZeroCrossing(
+        sourceBuffer,
+        splitTime,
+        clipStart,
+        clipEnd
+      );
     }
+    return splitTime;
   }
   //
-  // Converts an audio buffer to a WAV file format blob.
-  // Creates WAV header and converts float audio samples to 16-bit PCM format.
+  // Expands the filename template placeholders for a segment.
+  // Supports {number}, {text}, {lesson} and {id}; falls back to the segment id
+  // when no number was detected.
   //
-  bufferToWav(buffer) {
-    const length = buffer.length;
-    const arrayBuffer = new ArrayBuffer(44 + length * 2);
-    const view = new DataView(arrayBuffer);
+  renderFilenameTemplate(segment) {
+    const template = this.settings.filenameTemplate.trim() || "{number}";
+    const paddedId = segment.id.toString().padStart(3, "0");
+    const number =
+      segment.number !== null &&
+      segment.number !== undefined &&
+      !isNaN(segment.number)
+        ? String(segment.number)
+        : `segment_${paddedId}`;
+    const text = (segment.text || "").trim().replace(/\s+/g, "_").slice(0, 40);
 
-    // WAV header
-    const writeString = (offset, string) => {
-      for (let i = 0; i < string.length; i++) {
-        view.setUint8(offset + i, string.charCodeAt(i));
+    return template.replace(/\{(\w+)\}/g, (match, key) => {
+      switch (key) {
+        case "number":
+          return number;
+        case "text":
+          return text;
+        case "lesson":
+          return this.settings.lessonName || this.getExportBaseName();
+        case "id":
+          return paddedId;
+        default:
+          return match;
       }
-    };
+    });
+  }
+  //
+  // Replaces characters that are not allowed in file names on common
+  // operating systems and trims leading/trailing dots and separators.
+  //
+  sanitizeFilename(name) {
+    const cleaned = name
+      .replace(/[<>:"/\\|?*\u0000-\u001f]/g, "_")
+      .replace(/_{2,}/g, "_")
+      .replace(/^[\s._-]+|[\s._-]+$/g, "")
+      .slice(0, 120);
 
-    writeString(0, "RIFF");
-    view.setUint32(4, 36 + length * 2, true);
-    writeString(8, "WAVE");
-    writeString(12, "fmt ");
-    view.setUint32(16, 16, true);
-    view.setUint16(20, 1, true);
-    view.setUint16(22, 1, true);
-    view.setUint32(24, buffer.sampleRate, true);
-    view.setUint32(28, buffer.sampleRate * 2, true);
-    view.setUint16(32, 2, true);
-    view.setUint16(34, 16, true);
-    writeString(36, "data");
-    view.setUint32(40, length * 2, true);
-
-    // Convert float samples to 16-bit PCM
-    const channelData = buffer.getChannelData(0);
-    let offset = 44;
-    for (let i = 0; i < length; i++) {
-      const sample = Math.max(-1, Math.min(1, channelData[i]));
-      view.setInt16(
-        offset,
-        sample < 0 ? sample * 0x8000 : sample * 0x7fff,
-        true
-      );
-      offset += 2;
+    // Reserved device names on Windows
+    if (!cleaned || /^(con|prn|aux|nul|com\d|lpt\d)$/i.test(cleaned)) {
+      return `segment_${cleaned || "untitled"}`;
     }
+    return cleaned;
+  }
+  //
+  // Returns the source file name without extension, used to name bulk exports.
+  //
+  getExportBaseName() {
+    if (!this.audioFile) return "audio";
+    return this.audioFile.name.replace(/\.[^.]+$/, "");
+  }
+  //
+  // Triggers a browser download for a Blob using a temporary object URL.
+  //
+  triggerDownload(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+  //
+  // File extension for exported clips in the selected output format.
+  //
+  getOutputExtension() {
+    return OUTPUT_FORMATS[this.settings.outputFormat].extension;
+  }
+  //
+  // Encodes a clip in the selected output format and returns it as a Blob,
+  // resampling first when an output sample rate is set. `metadata` is the
+  // tag set from getClipMetadata (written to WAV files).
+  //
+  async encodeAudio(buffer, metadata = {}) {
+    const { outputSampleRate, bitDepth, dither } = this.settings;
+    const source =
+      outputSampleRate && outputSampleRate !== buffer.sampleRate
+        ? await this.audioEncoders.resample(buffer, outputSampleRate)
+        : buffer;
 
-    return new Blob([arrayBuffer], { type: "audio/wav" });
+    const bitrate = this.settings.outputBitrate;
+    switch (this.settings.outputFormat) {
+      case "mp3":
+        return this.audioEncoders.encodeMp3(source, bitrate);
+      case "opus":
+        return this.audioEncoders.encodeOpus(source, bitrate);
+      case "flac":
+        // FLAC stores integers only, so 32-bit float exports as 24-bit
+        return this.audioEncoders.encodeFlac(
+          source,
+          Math.min(24, bitDepth),
+          dither
+        );
+      default:
+        return this.audioEncoders.encodeWav(source, {
+          bitDepth,
+          float: bitDepth === 32,
+          dither,
+          metadata,
+        });
+    }
+  }
+  //
+  // Tags for an exported clip: the segment number and phrase as the title
+  // (the number alone for _prompt files), the lesson as the album and the
+  // segment's position as the track number.
+  //
+  getClipMetadata(segment, file, index) {
+    const label = segment.number ?? segment.id;
+    const phrase = file.role === "prompt" ? "" : this.getPhraseText(segment);
+    return {
+      title: phrase ? `${label} - ${phrase}` : String(label),
+      album: this.settings.lessonName || this.getExportBaseName(),
+      track: index + 1,
+      software: "Audio Linguist",
+    };
   }
 }
 
@@ -0,0 +1,178 @@
+//
+// Loudness analysis for exported clips, following ITU-R BS.1770 / EBU R128:
+// K-weighted, gated integrated loudness (LUFS), sample peak and true peak
+// (dBTP, measured on a 4x oversampled signal).
+//
+
+class LoudnessMeter {
+  //
+  // Returns the two K-weighting biquads (high shelf, then high pass) for a
+  // sample rate, as { b: [b0, b1, b2], a: [a1, a2] }. The analog prototypes
+  // match the 48kHz coefficients published in BS.1770.
+  //
+  kWeightingFilters(sampleRate) {
+    // Stage 1: high shelf modelling the acoustic effect of the head
+    let f0 = 1681.974450955533;
+    const gainDb = 3.999843853973347;
+    let q = 0.7071752369554196;
+    let k = Math.tan((Math.PI * f0) / sampleRate);
+    const vh = 10 ** (gainDb / 20);
+    const vb = vh ** 0.4996667741545416;
+    let a0 = 1 + k / q + k * k;
+    const shelf = {
+      b: [
+        (vh + (vb * k) / q + k * k) / a0,
+        (2 * (k * k - vh)) / a0,
+        (vh - (vb * k) / q + k * k) / a0,
+      ],
+      a: [(2 * (k * k - 1)) / a0, (1 - k / q + k * k) / a0],
+    };
+
+    // Stage 2: RLB high pass
+    f0 = 38.13547087602444;
+    q = 0.5003270373238773;
+    k = Math.tan((Math.PI * f0) / sampleRate);
+    a0 = 1 + k / q + k * k;
+    const highPass = {
+      b: [1, -2, 1],
+      a: [(2 * (k * k - 1)) / a0, (1 - k / q + k * k) / a0],
+    };
+
+    return [shelf, highPass];
+  }
+  //
+  // Runs a channel through the K-weighting filters.
+  //
+  kWeight(data, sampleRate) {
+    let output = Float64Array.from(data);
+    this.kWeightingFilters(sampleRate).forEach(({ b, a }) => {
+      const input = output;
+      output = new Float64Array(input.length);
+      let x1 = 0;
+      let x2 = 0;
+      let y1 = 0;
+      let y2 = 0;
+      for (let i = 0; i < input.length; i++) {
+        const x = input[i];
+        const y = b[0] * x + b[1] * x1 + b[2] * x2 - a[0] * y1 - a[1] * y2;
+        x2 = x1;
+        x1 = x;
+        y2 = y1;
+        y1 = y;
+        output[i] = y;
+      }
+    });
+    return output;
+  }
+  //
+  // Channel weights from BS.1770: 1 for front channels, 1.41 for surrounds and
+  // 0 for LFE (only recognized in the 5.1 layout).
+  //
+  channelWeights(channelCount) {
+    if (channelCount === 6) return [1, 1, 1, 0, 1.41, 1.41];
+    return new Array(channelCount).fill(1);
+  }
+  //
+  // Integrated loudness in LUFS: 400ms blocks with 75% overlap, an absolute
+  // gate at -70 LUFS and a relative gate 10 LU below the ungated mean. Clips
+  // shorter than one block are measured as a single block. Returns -Infinity
+  // for silence.
+  //
+  integratedLoudness(buffer) {
+    const { sampleRate, length } = buffer;
+    const blockSize = Math.round(0.4 * sampleRate);
+    const hop = Math.round(0.1 * sampleRate);
+    const blockCount =
+      length > blockSize ? Math.floor((length - blockSize) / hop) + 1 : 1;
+
+    // Weighted mean square of every block, summed over channels
+    const energies = new Float64Array(blockCount);
+    this.channelWeights(buffer.numberOfChannels).forEach((weight, channel) => {
+      if (weight === 0) return;
+      const filtered = this.kWeight(buffer.getChannelData(channel), sampleRate);
+      const cumulative = new Float64Array(length + 1);
+      for (let i = 0; i < length; i++) {
+        cumulative[i + 1] = cumulative[i] + filtered[i] * filtered[i];
+      }
+      for (let block = 0; block < blockCount; block++) {
+        const start = block * hop;
+        const end = Math.min(length, start + blockSize);
+        energies[block] +=
+          (weight * (cumulative[end] - cumulative[start])) / (end - start);
+      }
+    });
+
+    const loudness = (energy) => -0.691 + 10 * Math.log10(energy);
+    const mean = (values) =>
+      values.reduce((sum, value) => sum + value, 0) / values.length;
+
+    const absolute = Array.from(energies).filter((e) => loudness(e) > -70);
+    if (absolute.length === 0) return -Infinity;
+    const relativeGate = loudness(mean(absolute)) - 10;
+    return loudness(mean(absolute.filter((e) => loudness(e) > relativeGate)));
+  }
+  //
+  // Highest absolute sample value across all channels, in dBFS.
+  //
+  samplePeak(buffer) {
+    let peak = 0;
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+      const data = buffer.getChannelData(channel);
+      for (let i = 0; i < data.length; i++) {
+        const value = Math.abs(data[i]);
+        if (value > peak) peak = value;
+      }
+    }
+    return 20 * Math.log10(peak);
+  }
+  //
+  // True peak in dBTP: the highest peak of the signal oversampled 4x (2x at
+  // 96kHz and above) with a windowed-sinc interpolator, which catches
+  // inter-sample peaks that clip after conversion or lossy encoding.
+  //
+  truePeak(buffer) {
+    const factor =
+      buffer.sampleRate < 96000 ? 4 : buffer.sampleRate < 192000 ? 2 : 1;
+    const taps = 12;
+    const half = taps / 2;
+
+    // One set of taps per interpolated phase; phase 0 is the sample itself
+    const phases = [];
+    for (let phase = 1; phase < factor; phase++) {
+      const coefficients = new Float64Array(taps);
+      let sum = 0;
+      for (let tap = 0; tap < taps; tap++) {
+        const distance = tap - half + 1 - phase / factor;
+        const sinc =
+          distance === 0
+            ? 1
+            : Math.sin(Math.PI * distance) / (Math.PI * distance);
+        const window = 0.5 * (1 + Math.cos((Math.PI * distance) / half));
+        coefficients[tap] = sinc * window;
+        sum += coefficients[tap];
+      }
+      phases.push(coefficients.map((value) => value / sum));
+    }
+
+    let peak = 0;
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+      const data = buffer.getChannelData(channel);
+      for (let i = 0; i < data.length; i++) {
+        const value = Math.abs(data[i]);
+        if (value > peak) peak = value;
+
+        for (const coefficients of phases) {
+          let interpolated = 0;
+          for (let tap = 0; tap < taps; tap++) {
+            const index = i - half + 1 + tap;
+            if (index >= 0 && index < data.length) {
+              interpolated += data[index] * coefficients[tap];
+            }
+          }
+          if (Math.abs(interpolated) > peak) peak = Math.abs(interpolated);
+        }
+      }
+    }
+    return 20 * Math.log10(peak);
+  }
+}
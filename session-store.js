@@ -0,0 +1,161 @@
+//
+// Saved sessions in IndexedDB, so a transcription and the edits made to its
+// segments survive a page reload or a crash. Session records (Whisper result,
+// segments without audio, settings) are kept apart from the source files so
+// saving an edit doesn't copy the whole recording again. A third store caches
+// Whisper results by audio hash, model and options.
+//
+
+class SessionStore {
+  constructor(name = "audio-linguist", version = 2) {
+    this.name = name;
+    this.version = version;
+    this.database = null; // Promise for the open IDBDatabase
+  }
+  //
+  // IndexedDB is missing in some private browsing modes and file:// contexts.
+  //
+  isSupported() {
+    return typeof indexedDB !== "undefined";
+  }
+  //
+  // Opens the database once, creating the stores on first use and adding
+  // any that an older version of the database lacks.
+  //
+  open() {
+    if (!this.database) {
+      this.database = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.name, this.version);
+        request.onupgradeneeded = (event) => {
+          const db = request.result;
+          if (event.oldVersion < 1) {
+            db.createObjectStore("sessions", {
+              keyPath: "id",
+              autoIncrement: true,
+            });
+            db.createObjectStore("files"); // Source file Blobs by session id
+          }
+          if (event.oldVersion < 2) {
+            db.createObjectStore("transcriptions"); // Whisper results by cache key
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.database;
+  }
+  //
+  // Runs `work` in a transaction over the given stores and resolves with its
+  // return value once the transaction has committed.
+  //
+  async transaction(storeNames, mode, work) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeNames, mode);
+      const stores = storeNames.map((name) => transaction.objectStore(name));
+      let result;
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+      work(...stores, (value) => {
+        result = value;
+      });
+    });
+  }
+  //
+  // Adds a session with its source file and resolves with the new id.
+  //
+  create(session, file) {
+    return this.transaction(
+      ["sessions", "files"],
+      "readwrite",
+      (sessions, files, done) => {
+        const request = sessions.add(session);
+        request.onsuccess = () => {
+          files.put(file, request.result);
+          done(request.result);
+        };
+      }
+    );
+  }
+  //
+  // Merges changes into a stored session. Missing sessions are ignored.
+  //
+  update(id, changes) {
+    return this.transaction(["sessions"], "readwrite", (sessions) => {
+      const request = sessions.get(id);
+      request.onsuccess = () => {
+        if (request.result) sessions.put({ ...request.result, ...changes, id });
+      };
+    });
+  }
+  //
+  // Resolves with every session, most recently updated first.
+  //
+  list() {
+    return this.transaction(["sessions"], "readonly", (sessions, done) => {
+      const request = sessions.getAll();
+      request.onsuccess = () =>
+        done(request.result.sort((a, b) => b.updatedAt - a.updatedAt));
+    });
+  }
+  //
+  // Resolves with a session and its source file, or null if it's gone.
+  //
+  load(id) {
+    return this.transaction(
+      ["sessions", "files"],
+      "readonly",
+      (sessions, files, done) => {
+        const sessionRequest = sessions.get(id);
+        const fileRequest = files.get(id);
+        fileRequest.onsuccess = () => {
+          done(
+            sessionRequest.result && fileRequest.result
+              ? { ...sessionRequest.result, file: fileRequest.result }
+              : null
+          );
+        };
+      }
+    );
+  }
+  //
+  // Removes a session and its source file.
+  //
+  delete(id) {
+    return this.transaction(
+      ["sessions", "files"],
+      "readwrite",
+      (sessions, files) => {
+        sessions.delete(id);
+        files.delete(id);
+      }
+    );
+  }
+  //
+  // Resolves with the cached Whisper result for a key, or undefined.
+  //
+  getTranscription(key) {
+    return this.transaction(
+      ["transcriptions"],
+      "readonly",
+      (transcriptions, done) => {
+        const request = transcriptions.get(key);
+        request.onsuccess = () => done(request.result?.result);
+      }
+    );
+  }
+  //
+  // Caches a Whisper result under a key.
+  //
+  putTranscription(key, result) {
+    return this.transaction(
+      ["transcriptions"],
+      "readwrite",
+      (transcriptions) => {
+        transcriptions.put({ result, createdAt: Date.now() }, key);
+      }
+    );
+  }
+}
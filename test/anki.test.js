@@ -0,0 +1,175 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const JSZip = require("jszip");
+const { createApp, createTone } = require("./helpers");
+
+// The bundled sql.js build index.html loads, for reading packages back
+const initSqlJs = require("../vendor/sql.js/sql-wasm.js");
+
+//
+// Just enough FileReader for JSZip's browser build to read Blobs.
+//
+class FileReader {
+  readAsArrayBuffer(blob) {
+    blob.arrayBuffer().then(
+      (result) => this.onload({ target: { result } }),
+      (error) => this.onerror(error)
+    );
+  }
+}
+
+//
+// An app with two processed segments whose downloads are captured. JSZip's
+// browser build and sql.js run in the sandbox as they do on the page.
+//
+function createAnkiApp() {
+  const document = {
+    getElementById: () => null,
+    querySelector: () => null,
+    addEventListener() {},
+    createElement: () => ({}), // JSZip probes for script elements
+  };
+  // Blob.arrayBuffer() answers with this realm's buffers, so JSZip's type
+  // checks must use the same constructors
+  const app = createApp({ FileReader, document, ArrayBuffer, Uint8Array }, [
+    require.resolve("jszip/dist/jszip.min.js"),
+    "vendor/sql.js/sql-wasm.js",
+  ]);
+  Object.assign(app.settings, {
+    normalization: "off",
+    lessonName: "Spanish 1",
+    ankiBackTemplate: "{number} <b>{phrase}</b> {{FrontSide}} {unknown}",
+  });
+  app.segments = [
+    { id: 1, number: 951, text: "951 hola", startTime: 0, endTime: 1 },
+    {
+      id: 2,
+      number: 952,
+      text: "952 buenos dias",
+      phraseText: "buenos días",
+      gloss: "good <morning>",
+      startTime: 2,
+      endTime: 3,
+    },
+  ].map((segment) => ({ ...segment, buffer: createTone(1, 0.5, 16000) }));
+  app.downloads = [];
+  app.triggerDownload = (blob, filename) =>
+    app.downloads.push({ blob, filename });
+  return app;
+}
+
+//
+// Opens a downloaded .apkg: its media map, files and SQLite collection.
+//
+async function openPackage(blob) {
+  const zip = await JSZip.loadAsync(await blob.arrayBuffer());
+  const SQL = await initSqlJs();
+  const db = new SQL.Database(
+    await zip.file("collection.anki2").async("uint8array")
+  );
+  const rows = (sql) => {
+    const [result] = db.exec(sql);
+    return result
+      ? result.values.map((values) =>
+          Object.fromEntries(
+            values.map((value, i) => [result.columns[i], value])
+          )
+        )
+      : [];
+  };
+  return {
+    zip,
+    db,
+    rows,
+    media: JSON.parse(await zip.file("media").async("string")),
+  };
+}
+
+test("Anki export is an .apkg with a note and card per segment", async () => {
+  const app = createAnkiApp();
+  await app.downloadAnkiDeck();
+
+  assert.strictEqual(app.downloads.length, 1);
+  assert.strictEqual(app.downloads[0].filename, "Spanish 1.apkg");
+  const { zip, db, rows, media } = await openPackage(app.downloads[0].blob);
+
+  // Media are stored by number, with the map giving their real names
+  assert.deepEqual(Object.values(media).sort(), [
+    "Spanish_1_951.wav",
+    "Spanish_1_952.wav",
+  ]);
+  for (const index of Object.keys(media)) {
+    const bytes = await zip.file(index).async("uint8array");
+    assert.strictEqual(Buffer.from(bytes.subarray(0, 4)).toString(), "RIFF");
+  }
+
+  const [col] = rows("SELECT * FROM col");
+  assert.strictEqual(col.ver, 11);
+  const model = Object.values(JSON.parse(col.models))[0];
+  assert.deepEqual(
+    model.flds.map((field) => field.name),
+    ["Number", "Phrase", "Gloss", "Text", "Audio", "PromptAudio", "PhraseAudio"]
+  );
+  assert.strictEqual(model.tmpls[0].qfmt, "{{Audio}}");
+  assert.strictEqual(
+    model.tmpls[0].afmt,
+    "{{Number}} <b>{{Phrase}}</b> {{FrontSide}} {unknown}"
+  );
+  const deck = Object.values(JSON.parse(col.decks)).find(
+    (deck) => deck.name === "Spanish 1"
+  );
+  assert.ok(deck);
+
+  const notes = rows("SELECT * FROM notes ORDER BY id");
+  assert.deepEqual(
+    notes.map((note) => note.flds.split("\x1f")),
+    [
+      [
+        "951",
+        "hola",
+        "",
+        "951 hola",
+        "[sound:Spanish_1_951.wav]",
+        "",
+        "[sound:Spanish_1_951.wav]",
+      ],
+      [
+        "952",
+        "buenos días",
+        "good &lt;morning&gt;",
+        "952 buenos dias",
+        "[sound:Spanish_1_952.wav]",
+        "",
+        "[sound:Spanish_1_952.wav]",
+      ],
+    ]
+  );
+  notes.forEach((note) => {
+    assert.strictEqual(note.mid, model.id);
+    assert.strictEqual(note.tags, " Spanish_1 ");
+    assert.ok(note.csum > 0);
+  });
+
+  const cards = rows("SELECT * FROM cards ORDER BY due");
+  assert.deepEqual(
+    cards.map((card) => [card.nid, card.did, card.ord, card.due]),
+    notes.map((note, i) => [note.id, deck.id, 0, i + 1])
+  );
+  db.close();
+});
+
+test("exporting a deck again reuses its ids and note guids", async () => {
+  const app = createAnkiApp();
+  await app.downloadAnkiDeck();
+  await app.downloadAnkiDeck();
+
+  const [first, second] = await Promise.all(
+    app.downloads.map(({ blob }) => openPackage(blob))
+  );
+  const ids = ({ rows }) => ({
+    guids: rows("SELECT guid FROM notes ORDER BY id").map((row) => row.guid),
+    models: Object.keys(JSON.parse(rows("SELECT models FROM col")[0].models)),
+  });
+  assert.deepEqual(ids(first), ids(second));
+  assert.strictEqual(new Set(ids(first).guids).size, 2);
+});
@@ -0,0 +1,285 @@
+//
+// Round-trip tests for the export encoders against reference decoders:
+// libFLAC (@wasm-audio-decoders/flac), libopus with an Ogg demuxer
+// (ogg-opus-decoder) and mpg123 (mpg123-decoder), all built to WebAssembly.
+//
+
+const test = require("node:test");
+const assert = require("node:assert");
+const vm = require("vm");
+const {
+  loadScripts,
+  FakeAudioBuffer,
+  createTone,
+  createNoise,
+} = require("./helpers");
+
+// The bundled lamejs and libopus builds index.html loads
+const context = loadScripts([
+  "vendor/lamejs/lame.min.js",
+  "vendor/opusscript/opusscript_native_wasm.js",
+  "audio-encoders.js",
+]);
+const encoders = new (vm.runInContext("AudioEncoders", context))();
+
+async function decodeFlac(blob) {
+  const { FLACDecoder } = await import("@wasm-audio-decoders/flac");
+  const decoder = new FLACDecoder();
+  await decoder.ready;
+  try {
+    return await decoder.decodeFile(new Uint8Array(await blob.arrayBuffer()));
+  } finally {
+    decoder.free();
+  }
+}
+
+//
+// Encodes a buffer as FLAC, decodes it with libFLAC and checks that every
+// sample matches the integer samples that were encoded.
+//
+async function assertFlacRoundTrip(buffer, bitsPerSample) {
+  const decoded = await decodeFlac(encoders.encodeFlac(buffer, bitsPerSample));
+  assert.deepStrictEqual(decoded.errors, []);
+  assert.strictEqual(decoded.sampleRate, buffer.sampleRate);
+  assert.strictEqual(decoded.bitDepth, bitsPerSample);
+  assert.strictEqual(decoded.channelData.length, buffer.numberOfChannels);
+  assert.strictEqual(decoded.samplesDecoded, buffer.length);
+
+  // The decoder scales samples by 1 / (2^(n-1) - 1)
+  const scale = 2 ** (bitsPerSample - 1) - 1;
+  for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+    const expected = encoders.toIntegerSamples(
+      buffer.getChannelData(channel),
+      bitsPerSample
+    );
+    const actual = decoded.channelData[channel];
+    for (let i = 0; i < expected.length; i++) {
+      const sample = Math.round(actual[i] * scale);
+      if (sample !== expected[i]) {
+        assert.fail(
+          `channel ${channel} sample ${i}: decoded ${sample}, encoded ${expected[i]}`
+        );
+      }
+    }
+  }
+}
+
+test("FLAC: 16-bit stereo tone decodes bit-exact", () =>
+  assertFlacRoundTrip(createTone(2, 1.3, 44100), 16));
+
+test("FLAC: 24-bit mono at 96kHz decodes bit-exact", () =>
+  assertFlacRoundTrip(createTone(1, 0.5, 96000), 24));
+
+test("FLAC: white noise (verbatim subframes) decodes bit-exact", async () => {
+  await assertFlacRoundTrip(createNoise(2, 0.5, 48000, 0.99), 16);
+  // 24-bit stereo: the side channel needs 25 bits
+  await assertFlacRoundTrip(createNoise(2, 0.3, 48000, 0.99), 24);
+});
+
+test("FLAC: random walks (low predictor orders) decode bit-exact", async () => {
+  // Summing noise once or twice makes the order 1 and 2 predictors fit best
+  for (const sums of [1, 2]) {
+    const buffer = createNoise(1, 0.5, 44100);
+    const data = buffer.getChannelData(0);
+    for (let n = 0; n < sums; n++) {
+      for (let i = 1; i < data.length; i++) data[i] += data[i - 1];
+    }
+    const peak = data.reduce((max, value) => Math.max(max, Math.abs(value)));
+    data.forEach((value, i) => {
+      data[i] = (0.9 * value) / peak;
+    });
+    await assertFlacRoundTrip(buffer, 16);
+  }
+});
+
+test("FLAC: silence and identical channels decode bit-exact", async () => {
+  await assertFlacRoundTrip(new FakeAudioBuffer(2, 10000, 44100), 16);
+
+  const mono = createTone(1, 0.5, 44100);
+  const dual = new FakeAudioBuffer(2, mono.length, 44100);
+  dual.channels = [mono.channels[0], mono.channels[0].slice()];
+  await assertFlacRoundTrip(dual, 16);
+});
+
+test("FLAC: full-scale clipping decodes bit-exact", async () => {
+  const buffer = new FakeAudioBuffer(1, 9000, 44100);
+  buffer.channels[0].forEach((_, i, data) => {
+    data[i] = i % 7 < 3 ? 1.5 : -1.5;
+  });
+  await assertFlacRoundTrip(buffer, 16);
+  await assertFlacRoundTrip(buffer, 24);
+});
+
+test("FLAC: odd lengths and block boundaries decode bit-exact", async () => {
+  // A last frame of a single sample is valid FLAC, but too short for the
+  // frame splitter (codec-parser) in front of libFLAC here to find it
+  for (const length of [1, 10, 4095, 4096, 4098, 8200]) {
+    const buffer = createNoise(1, length / 44100, 44100);
+    await assertFlacRoundTrip(buffer, 16);
+  }
+});
+
+test("FLAC: six channels and uncommon sample rates decode bit-exact", async () => {
+  await assertFlacRoundTrip(createTone(6, 0.3, 22050), 16);
+  for (const sampleRate of [8000, 11025, 37800, 100000]) {
+    await assertFlacRoundTrip(createTone(2, 0.2, sampleRate), 16);
+  }
+});
+
+//
+// Independent Ogg page reader: checks capture pattern, CRC (computed bit by
+// bit, not from the encoder's table), sequence numbers and flags, and
+// returns the pages with their packets reassembled from the lacing values.
+//
+function readOggPages(bytes) {
+  const crc = (page) => {
+    let value = 0;
+    for (let i = 0; i < page.length; i++) {
+      value ^= (i >= 22 && i < 26 ? 0 : page[i]) << 24;
+      for (let bit = 0; bit < 8; bit++) {
+        value = value & 0x80000000 ? (value << 1) ^ 0x04c11db7 : value << 1;
+      }
+    }
+    return value >>> 0;
+  };
+
+  const pages = [];
+  let offset = 0;
+  while (offset < bytes.length) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset + offset);
+    assert.strictEqual(
+      String.fromCharCode(...bytes.subarray(offset, offset + 4)),
+      "OggS"
+    );
+    const segments = bytes[offset + 26];
+    const lacing = bytes.subarray(offset + 27, offset + 27 + segments);
+    const bodySize = lacing.reduce((sum, value) => sum + value, 0);
+    const size = 27 + segments + bodySize;
+    const page = bytes.subarray(offset, offset + size);
+    assert.strictEqual(view.getUint32(22, true), crc(page), "page CRC");
+
+    const packets = [];
+    let packetStart = 27 + segments;
+    let packetSize = 0;
+    lacing.forEach((value) => {
+      packetSize += value;
+      if (value < 255) {
+        packets.push(page.subarray(packetStart, packetStart + packetSize));
+        packetStart += packetSize;
+        packetSize = 0;
+      }
+    });
+    assert.strictEqual(packetSize, 0, "packets end within their page");
+
+    pages.push({
+      flags: page[5],
+      granule: view.getUint32(6, true) + view.getUint32(10, true) * 2 ** 32,
+      serial: view.getUint32(14, true),
+      sequence: view.getUint32(18, true),
+      packets,
+    });
+    offset += size;
+  }
+  return pages;
+}
+
+//
+// Root mean square level of a channel.
+//
+function rms(data) {
+  return Math.sqrt(
+    data.reduce((sum, value) => sum + value * value, 0) / data.length
+  );
+}
+
+test("Opus: bundled libopus output has valid pages and decodes", async () => {
+  const { OggOpusDecoder } = await import("ogg-opus-decoder");
+  for (const [channels, kbps] of [
+    [1, 64],
+    [2, 128], // Packets over 255 bytes, so pages fill up on lacing values
+  ]) {
+    const buffer = createTone(channels, 2.3, 48000, 0.4);
+    const ogg = new Uint8Array(
+      await (await encoders.encodeOpus(buffer, kbps)).arrayBuffer()
+    );
+
+    const pages = readOggPages(ogg);
+    pages.forEach((page, i) => {
+      assert.strictEqual(page.sequence, i);
+      assert.strictEqual(page.serial, pages[0].serial);
+    });
+    assert.strictEqual(pages[0].flags, 0x02, "first page begins the stream");
+    assert.strictEqual(
+      pages[pages.length - 1].flags,
+      0x04,
+      "last page ends it"
+    );
+    const preSkip = pages[0].packets[0][10] | (pages[0].packets[0][11] << 8);
+    assert.strictEqual(
+      pages[pages.length - 1].granule,
+      preSkip + buffer.length
+    );
+    const audio = pages.slice(2).flatMap((page) => page.packets);
+    assert.strictEqual(
+      audio.length,
+      Math.ceil((buffer.length + preSkip) / 960)
+    );
+    if (kbps === 128) {
+      assert.ok(audio.some((packet) => packet.length > 255));
+    }
+
+    const decoder = new OggOpusDecoder();
+    await decoder.ready;
+    const decoded = await decoder.decodeFile(ogg);
+    decoder.free();
+    assert.deepStrictEqual(decoded.errors, []);
+    assert.strictEqual(decoded.channelData.length, channels);
+    assert.strictEqual(decoded.samplesDecoded, buffer.length);
+    // The tone survives: same level as the source, within 1 dB
+    for (let channel = 0; channel < channels; channel++) {
+      const source = rms(buffer.getChannelData(channel));
+      const output = rms(decoded.channelData[channel]);
+      assert.ok(
+        Math.abs(20 * Math.log10(output / source)) < 1,
+        `${source} vs ${output}`
+      );
+    }
+  }
+});
+
+test("MP3: lamejs output decodes with mpg123", async () => {
+  const { MPEGDecoder } = await import("mpg123-decoder");
+  for (const [channels, sampleRate] of [
+    [1, 44100],
+    [2, 22050],
+  ]) {
+    const buffer = createTone(channels, 1.5, sampleRate, 0.4);
+    const mp3 = await encoders.encodeMp3(buffer, 128);
+
+    const decoder = new MPEGDecoder();
+    await decoder.ready;
+    const decoded = decoder.decode(new Uint8Array(await mp3.arrayBuffer()));
+    decoder.free();
+    assert.deepStrictEqual(decoded.errors, []);
+    assert.strictEqual(decoded.sampleRate, sampleRate);
+    // mpg123 always outputs stereo, so read the mode from the first frame
+    const bytes = new Uint8Array(await mp3.arrayBuffer());
+    const sync = bytes.findIndex(
+      (byte, i) => byte === 0xff && (bytes[i + 1] & 0xe0) === 0xe0
+    );
+    assert.strictEqual(bytes[sync + 3] >> 6 === 3 ? 1 : 2, channels);
+    // Encoder delay and padding add less than three frames
+    const extra = decoded.samplesDecoded - buffer.length;
+    assert.ok(extra >= 0 && extra < 3 * 1152, `${extra} extra samples`);
+
+    // The tone survives: same level as the source, within 1 dB
+    const source = rms(buffer.getChannelData(0));
+    const output =
+      rms(decoded.channelData[0]) *
+      Math.sqrt(decoded.samplesDecoded / buffer.length);
+    assert.ok(
+      Math.abs(20 * Math.log10(output / source)) < 1,
+      `${source} vs ${output}`
+    );
+  }
+});
@@ -0,0 +1,180 @@
+//
+// Loads the app's browser scripts into a sandbox for Node tests. The sandbox
+// has just enough of window and document for the classes to be constructed;
+// AudioLinguist skips init(), so nothing touches the page. fetch reads files
+// from the repo, as the page's relative URLs would.
+//
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ROOT = path.join(__dirname, "..");
+
+function loadScripts(files, globals = {}) {
+  const storage = new Map();
+  const context = vm.createContext({
+    console: { log() {}, warn() {}, error: console.error },
+    document: {
+      getElementById: () => null,
+      querySelector: () => null,
+      addEventListener() {},
+    },
+    localStorage: {
+      getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+      setItem: (key, value) => storage.set(key, String(value)),
+      removeItem: (key) => storage.delete(key),
+    },
+    Blob,
+    TextEncoder,
+    TextDecoder,
+    crypto: globalThis.crypto,
+    setTimeout,
+    clearTimeout,
+    fetch: async (url) => {
+      const bytes = fs.readFileSync(path.resolve(ROOT, url));
+      return {
+        ok: true,
+        arrayBuffer: async () => new Uint8Array(bytes).buffer,
+      };
+    },
+    ...globals,
+  });
+  context.window = context;
+  files.forEach((file) => {
+    const source = fs.readFileSync(path.resolve(ROOT, file), "utf8");
+    vm.runInContext(source, context, { filename: file });
+  });
+  return context;
+}
+
+//
+// A document whose getElementById returns the selects (with their options)
+// and inputs (with their attributes) declared in index.html, for code that
+// checks values against the form controls.
+//
+function createControlsDocument() {
+  const html = fs.readFileSync(path.join(ROOT, "index.html"), "utf8");
+  const attributes = (tag) =>
+    Object.fromEntries(
+      [...tag.matchAll(/([\w-]+)="([^"]*)"/g)].map((match) => match.slice(1))
+    );
+  const controls = new Map();
+  for (const [, tag, body] of html.matchAll(
+    /<select([^>]*)>([\s\S]*?)<\/select>/g
+  )) {
+    controls.set(attributes(tag).id, {
+      tagName: "SELECT",
+      options: [...body.matchAll(/<option([^>]*)>/g)].map((option) =>
+        attributes(option[1])
+      ),
+    });
+  }
+  for (const [tag] of html.matchAll(/<input[^>]*>/g)) {
+    const { id, ...rest } = attributes(tag);
+    controls.set(id, { tagName: "INPUT", ...rest });
+  }
+  return {
+    getElementById: (id) => controls.get(id) || null,
+    querySelector: () => null,
+    addEventListener() {},
+  };
+}
+
+//
+// Creates an AudioLinguist with its default settings and no page behind it.
+// `scripts` are loaded first, like the libraries index.html includes.
+//
+function createApp(globals, scripts = []) {
+  const context = loadScripts(
+    [
+      ...scripts,
+      "audio-encoders.js",
+      "loudness.js",
+      "audio-dsp.js",
+      "session-store.js",
+      "anki-package.js",
+      "audio-splitter.js",
+    ],
+    globals
+  );
+  const AudioLinguist = vm.runInContext("AudioLinguist", context);
+  AudioLinguist.prototype.init = function () {};
+  const app = new AudioLinguist();
+  app.updateStatus = () => {};
+  return app;
+}
+
+//
+// Minimal AudioBuffer: planar Float32 channels at a sample rate.
+//
+class FakeAudioBuffer {
+  constructor(channels, length, sampleRate) {
+    this.numberOfChannels = channels;
+    this.length = length;
+    this.sampleRate = sampleRate;
+    this.duration = length / sampleRate;
+    this.channels = Array.from(
+      { length: channels },
+      () => new Float32Array(length)
+    );
+  }
+  getChannelData(channel) {
+    return this.channels[channel];
+  }
+}
+
+//
+// A buffer holding a sine tone per channel (a different pitch on each).
+//
+function createTone(channels, seconds, sampleRate, amplitude = 0.5) {
+  const buffer = new FakeAudioBuffer(
+    channels,
+    Math.round(seconds * sampleRate),
+    sampleRate
+  );
+  buffer.channels.forEach((data, channel) => {
+    const frequency = 220 * (channel + 1);
+    for (let i = 0; i < data.length; i++) {
+      data[i] =
+        amplitude * Math.sin((2 * Math.PI * frequency * i) / sampleRate);
+    }
+  });
+  return buffer;
+}
+
+//
+// A buffer of deterministic white noise (a small LCG, so runs are repeatable).
+//
+function createNoise(channels, seconds, sampleRate, amplitude = 0.5) {
+  const buffer = new FakeAudioBuffer(
+    channels,
+    Math.round(seconds * sampleRate),
+    sampleRate
+  );
+  let seed = 12345;
+  buffer.channels.forEach((data) => {
+    for (let i = 0; i < data.length; i++) {
+      seed = (seed * 1103515245 + 12345) >>> 0;
+      data[i] = amplitude * (seed / 2 ** 31 - 1);
+    }
+  });
+  return buffer;
+}
+
+//
+// A Whisper word chunk.
+//
+function word(text, start, end) {
+  return { text, timestamp: [start, end] };
+}
+
+module.exports = {
+  loadScripts,
+  createControlsDocument,
+  createApp,
+  word,
+  FakeAudioBuffer,
+  createTone,
+  createNoise,
+};
@@ -0,0 +1,99 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createApp, createControlsDocument } = require("./helpers");
+
+const createPresetApp = () => createApp({ document: createControlsDocument() });
+
+test("built-in presets fit the form controls", () => {
+  const app = createPresetApp();
+  app.getPresets().forEach((preset) => {
+    assert.doesNotThrow(() => app.validatePreset(preset), preset.name);
+  });
+});
+
+test("presets with values the controls can't take are rejected", () => {
+  const app = createPresetApp();
+  const invalid = {
+    segmentationMode: "bogus", // Not a select option
+    groupingWindow: -5, // Below the slider minimum
+    minSegmentDuration: 1.2, // Between slider steps
+    maxNumberDigits: 12, // Above the slider maximum
+    shortSegmentRule: "Merge", // Options are case-sensitive
+  };
+  Object.entries(invalid).forEach(([key, value]) => {
+    assert.throws(
+      () => app.validatePreset({ name: "Shared", settings: { [key]: value } }),
+      new RegExp(`invalid value for ${key}`)
+    );
+  });
+});
+
+test("presets within the controls are accepted", () => {
+  const app = createPresetApp();
+  const preset = app.validatePreset({
+    name: " Team ",
+    settings: {
+      segmentationMode: "silence",
+      groupingWindow: 20,
+      minSegmentDuration: 1.5,
+      silenceThreshold: -55,
+      minSilenceDuration: 0.7,
+      numberPattern: "^\\d{3}$",
+      unknownSetting: true, // Ignored
+    },
+  });
+  assert.strictEqual(preset.name, "Team");
+  assert.deepEqual(Object.keys(preset.settings), [
+    "segmentationMode",
+    "minSegmentDuration",
+    "groupingWindow",
+    "silenceThreshold",
+    "minSilenceDuration",
+    "numberPattern",
+  ]);
+});
+
+//
+// A select element that runs its listeners when an event is dispatched.
+//
+function createSelect(values) {
+  const listeners = {};
+  return {
+    tagName: "SELECT",
+    type: "select-one",
+    value: values[0],
+    disabled: false,
+    options: values.map((value) => ({ value })),
+    addEventListener: (type, listener) => (listeners[type] = listener),
+    dispatchEvent(event) {
+      listeners[event.type]?.({ target: this });
+    },
+  };
+}
+
+test("restored settings keep a non-default bitrate", () => {
+  const controls = {
+    outputFormat: createSelect(["wav", "mp3", "opus", "flac"]),
+    outputBitrate: createSelect([""]),
+  };
+  const app = createApp({
+    Event,
+    document: {
+      getElementById: (id) => controls[id] || null,
+      querySelector: () => null,
+      querySelectorAll: () => [],
+      addEventListener() {},
+    },
+  });
+  app.setupSettingsControls();
+
+  app.applySettings({ outputFormat: "mp3", outputBitrate: 96 });
+  assert.strictEqual(app.settings.outputFormat, "mp3");
+  assert.strictEqual(app.settings.outputBitrate, 96);
+  assert.strictEqual(String(controls.outputBitrate.value), "96");
+
+  // Other formats still start at their own default
+  controls.outputFormat.value = "opus";
+  controls.outputFormat.dispatchEvent(new Event("change"));
+  assert.strictEqual(app.settings.outputBitrate, 64);
+});
@@ -0,0 +1,132 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createApp, FakeAudioBuffer, createTone } = require("./helpers");
+
+//
+// An app whose decoding returns a tone per file instead of using Web Audio,
+// counting how often each file is decoded.
+//
+function createQueueApp() {
+  const app = createApp();
+  const decodes = new Map();
+  app.audioContext = {
+    createBuffer: (channels, length, sampleRate) =>
+      new FakeAudioBuffer(channels, length, sampleRate),
+  };
+  app.convertAudioTo16kMono = async function () {
+    const file = this.audioFile;
+    decodes.set(file.name, (decodes.get(file.name) || 0) + 1);
+    this.originalBuffer = createTone(2, 4, 8000);
+    this.audioBuffer = createTone(1, 4, 8000);
+  };
+  app.displayResults = () => {};
+  app.renderQueue = () => {};
+  app.updateNoiseRegionInputs = () => {};
+  return { app, decodes };
+}
+
+test("inactive queue items release their audio and get it back", async () => {
+  const { app, decodes } = createQueueApp();
+  const first = app.createQueueItem({ name: "a.wav", size: 1 });
+  const second = app.createQueueItem({ name: "b.wav", size: 1 });
+  app.queue.push(first, second);
+
+  await app.activateQueueItem(0);
+  app.segments = [
+    { id: 1, startTime: 0.5, endTime: 1.5, words: [], buffer: null },
+    { id: 2, startTime: 2, endTime: 3, words: [], buffer: null },
+  ];
+  app.reextractSegments([0, 1]);
+  app.recordEdit("Test edit");
+  first.status = "done";
+
+  await app.activateQueueItem(1);
+  assert.strictEqual(first.audioBuffer, null);
+  assert.strictEqual(first.originalBuffer, null);
+  assert.ok(first.segments.every((segment) => segment.buffer === null));
+  assert.ok(
+    first.undoStack[0].segments.every((segment) => segment.buffer === null)
+  );
+
+  await app.activateQueueItem(0);
+  assert.strictEqual(decodes.get("a.wav"), 2);
+  assert.strictEqual(app.originalBuffer.numberOfChannels, 2);
+  assert.ok(app.segments.every((segment) => segment.buffer));
+  assert.strictEqual(app.segments[0].clipStart, first.segments[0].clipStart);
+
+  // Undoing back to a released snapshot cuts its clips again
+  app.undo();
+  assert.ok(app.segments.every((segment) => segment.buffer));
+});
+
+test("a pending session save is written for the file it was made in", async () => {
+  const { app } = createQueueApp();
+  const saved = [];
+  app.sessionStore.isSupported = () => true;
+  app.writeSession = async (file, record) => saved.push([file.name, record]);
+  app.renderSessions = () => {};
+  app.queue.push(
+    app.createQueueItem({ name: "a.wav", size: 1 }),
+    app.createQueueItem({ name: "b.wav", size: 1 })
+  );
+
+  await app.activateQueueItem(0);
+  app.segments = [{ id: 1, startTime: 0.5, endTime: 1.5, words: [] }];
+  app.scheduleSessionSave();
+  await app.activateQueueItem(1);
+  await app.sessionSave;
+
+  assert.strictEqual(app.sessionSaveTimer, null);
+  assert.deepStrictEqual(
+    saved.map(([name, record]) => [name, record.segments.length]),
+    [["a.wav", 1]]
+  );
+});
+
+test("unreadable dropped folders report an error", async () => {
+  const { app } = createQueueApp();
+  const statuses = [];
+  app.updateStatus = (message, type) => statuses.push([message, type]);
+  app.collectDroppedFiles = () =>
+    Promise.reject(new Error("A requested file could not be read"));
+  app.handleDrop({ preventDefault() {}, stopPropagation() {} });
+  await new Promise((resolve) => setTimeout(resolve, 0));
+
+  assert.deepStrictEqual(statuses, [
+    [
+      "Could not read dropped files: A requested file could not be read",
+      "error",
+    ],
+  ]);
+  assert.strictEqual(app.queue.length, 0);
+});
+
+test("cancelling during clean-up skips the later stages and keeps the worker", async () => {
+  const { app } = createQueueApp();
+  app.queue.push(app.createQueueItem({ name: "a.wav", size: 1 }));
+  await app.activateQueueItem(0);
+
+  let finishCleanUp;
+  app.showProgress = () => {};
+  app.hideProgress = () => {};
+  app.settings.dspTarget = "recognizer";
+  app.audioDsp.process = () =>
+    new Promise((resolve) => (finishCleanUp = resolve));
+  const stages = [];
+  app.getTranscription = async () => stages.push("transcribe");
+  app.extractSegmentsFromTimestamps = async () => stages.push("extract");
+  let terminated = 0;
+  app.whisperWorker = { terminate: () => terminated++ };
+  app.loadWhisperModel = async () => stages.push("reload");
+
+  const processing = app.processAudio();
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  app.cancelProcessing();
+  finishCleanUp(createTone(1, 4, 8000));
+  await processing;
+
+  assert.deepStrictEqual(stages, []);
+  assert.strictEqual(terminated, 0);
+  assert.strictEqual(app.queue[0].status, "cancelled");
+  assert.strictEqual(app.isProcessing, false);
+});
@@ -0,0 +1,184 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createApp, createTone } = require("./helpers");
+
+//
+// Concatenates byte arrays, numbers and ASCII strings into one ArrayBuffer.
+//
+function bytesOf(...parts) {
+  const chunks = parts.map((part) => {
+    if (typeof part === "string") {
+      return Uint8Array.from(part, (char) => char.charCodeAt(0));
+    }
+    return part instanceof ArrayBuffer
+      ? new Uint8Array(part)
+      : Uint8Array.from(part);
+  });
+  const output = new Uint8Array(
+    chunks.reduce((sum, chunk) => sum + chunk.length, 0)
+  );
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return output.buffer;
+}
+
+const uint32 = (value) => [
+  value >>> 24,
+  (value >>> 16) & 0xff,
+  (value >>> 8) & 0xff,
+  value & 0xff,
+];
+const uint32le = (value) => uint32(value).reverse();
+
+//
+// An MP4 box with the given type and body parts.
+//
+function box(type, ...body) {
+  const content = new Uint8Array(bytesOf(...body));
+  return [...uint32(8 + content.length), ...Buffer.from(type), ...content];
+}
+
+//
+// A track whose media header has the timescale and handler type given.
+//
+function track(handler, timescale) {
+  return box(
+    "trak",
+    box(
+      "mdia",
+      box("mdhd", [0, 0, 0, 0], uint32(0), uint32(0), uint32(timescale), [
+        ...uint32(0),
+        0,
+        0,
+        0,
+        0,
+      ]),
+      box("hdlr", [0, 0, 0, 0], uint32(0), handler, uint32(0))
+    )
+  );
+}
+
+test("reads the sample rate from WAV headers", async () => {
+  const app = createApp();
+  const wav = app.audioEncoders.encodeWav(createTone(2, 0.1, 44100), {
+    metadata: { title: "1 - hola" },
+  });
+  assert.strictEqual(app.readSourceSampleRate(await wav.arrayBuffer()), 44100);
+});
+
+//
+// Two consecutive MP3 frames with the given header and frame length.
+//
+function mp3Frames(header, length) {
+  const frame = [...header, ...new Array(length - 4).fill(0)];
+  return [...frame, ...frame];
+}
+
+test("reads the sample rate from MP3 frames after an ID3 tag", () => {
+  const app = createApp();
+  const id3 = bytesOf("ID3", [4, 0, 0, 0, 0, 0, 4], [0, 0, 0, 0]); // 4-byte tag
+  // MPEG-1 layer III 128kbps at 44.1kHz, then MPEG-2 layer III 64kbps at 22.05kHz
+  assert.strictEqual(
+    app.readSourceSampleRate(
+      bytesOf(id3, mp3Frames([0xff, 0xfb, 0x90, 0x64], 417))
+    ),
+    44100
+  );
+  assert.strictEqual(
+    app.readSourceSampleRate(bytesOf(mp3Frames([0xff, 0xf3, 0x80, 0xc4], 208))),
+    22050
+  );
+});
+
+test("only searches for MP3 frames past junk in files known to be MP3", () => {
+  const app = createApp();
+  const data = bytesOf(
+    new Array(100).fill(7),
+    mp3Frames([0xff, 0xfb, 0x90, 0x64], 417)
+  );
+  assert.strictEqual(app.readSourceSampleRate(data), null);
+  assert.strictEqual(app.readSourceSampleRate(data, true), 44100);
+});
+
+test("ignores MP3 sync bytes that are not followed by a second frame", () => {
+  const app = createApp();
+  const header = [0xff, 0xfb, 0x90, 0x64];
+  assert.strictEqual(
+    app.readSourceSampleRate(bytesOf(header, new Array(600).fill(0)), true),
+    null
+  );
+});
+
+test("reads the sample rate from FLAC STREAMINFO", async () => {
+  const app = createApp();
+  const flac = app.audioEncoders.encodeFlac(createTone(2, 0.2, 44100), 16);
+  assert.strictEqual(app.readSourceSampleRate(await flac.arrayBuffer()), 44100);
+});
+
+test("reads the sample rate from Ogg Vorbis and Opus headers", () => {
+  const app = createApp();
+  const page = (packet) =>
+    bytesOf("OggS", new Array(22).fill(0), [1, packet.byteLength], packet);
+  const vorbis = bytesOf(
+    "\x01vorbis",
+    uint32le(0),
+    [2],
+    uint32le(32000),
+    [0, 0, 0, 0]
+  );
+  const opus = bytesOf("OpusHead", [1, 2, 0x38, 1], uint32le(44100), [0, 0, 0]);
+  assert.strictEqual(app.readSourceSampleRate(page(vorbis)), 32000);
+  assert.strictEqual(app.readSourceSampleRate(page(opus)), 48000);
+});
+
+test("reads the sample rate of the sound track in M4A files", () => {
+  const app = createApp();
+  const m4a = bytesOf(
+    box("ftyp", "M4A ", uint32(0)),
+    box("mdat", new Array(64).fill(0)),
+    box("moov", track("vide", 90000), track("soun", 22050))
+  );
+  assert.strictEqual(app.readSourceSampleRate(m4a), 22050);
+});
+
+test("returns null for unknown data", () => {
+  const app = createApp();
+  assert.strictEqual(
+    app.readSourceSampleRate(bytesOf(new Array(32).fill(7))),
+    null
+  );
+  // A WebM (EBML) header whose element IDs contain MP3-like sync bytes
+  const webm = bytesOf(
+    [0x1a, 0x45, 0xdf, 0xa3, 0x9f, 0x42, 0x86, 0x81, 0x01],
+    [0x42, 0x82, 0x84],
+    "webm",
+    [0xff, 0xfb, 0x90, 0x64],
+    new Array(64).fill(0),
+    [0xff, 0xe3, 0x18, 0x00],
+    new Array(64).fill(0)
+  );
+  assert.strictEqual(app.readSourceSampleRate(webm), null);
+});
+
+test("decodes at the file's rate instead of the device rate", async () => {
+  const contexts = [];
+  class OfflineAudioContext {
+    constructor(channels, length, sampleRate) {
+      this.sampleRate = sampleRate;
+      contexts.push(this);
+    }
+    async decodeAudioData() {
+      return createTone(1, 0.1, this.sampleRate);
+    }
+  }
+  const app = createApp({ OfflineAudioContext });
+  app.audioContext = new OfflineAudioContext(1, 1, 48000);
+  const wav = app.audioEncoders.encodeWav(createTone(1, 0.1, 44100));
+
+  const decoded = await app.decodeSourceAudio(await wav.arrayBuffer());
+  assert.strictEqual(decoded.sampleRate, 44100);
+  assert.strictEqual(contexts.length, 2);
+});
@@ -0,0 +1,180 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createApp, word, createTone } = require("./helpers");
+
+// Plain arrays, so results from the sandbox compare with local values
+const summarize = (segments) =>
+  segments.map(({ number, startTime, endTime }) => [
+    number,
+    startTime,
+    endTime,
+  ]);
+
+test("merge keeps short numbered segments apart", () => {
+  const app = createApp();
+  Object.assign(app.settings, {
+    shortSegmentRule: "merge",
+    minSegmentDuration: 2,
+  });
+  const chunks = [
+    word("1", 3, 3.4),
+    word("hola", 3.6, 4),
+    word("amigo", 4.1, 4.6),
+    word("2", 8, 8.4),
+    word("buenos", 8.6, 9.2),
+    word("dias", 9.3, 10),
+    word("y", 14, 14.2),
+    word("mas", 15, 15.8),
+    word("3", 30, 30.4),
+    word("x", 30.5, 30.8),
+  ];
+  const segments = app.findSegmentsByNumberPattern({ chunks });
+  assert.deepEqual(summarize(segments), [
+    [1, 3, 4.6],
+    [2, 8, 15.8],
+    [3, 30, 30.8],
+  ]);
+});
+
+test("merge joins short unnumbered pieces to a close neighbour", () => {
+  const app = createApp();
+  Object.assign(app.settings, {
+    shortSegmentRule: "merge",
+    minSegmentDuration: 1,
+    leadingWords: "segment",
+    segmentStart: "number-or-pause",
+    pauseGap: 2,
+  });
+  const chunks = [
+    word("welcome", 0, 0.5), // Short intro, next segment is close
+    word("1", 1, 1.4),
+    word("uno", 1.6, 2.5),
+    word("bien", 5, 5.4), // Short piece after a pause, too far from both sides
+    word("2", 9, 9.4),
+    word("dos", 9.5, 10.5),
+  ];
+  const segments = app.findSegmentsByNumberPattern({ chunks });
+  assert.deepEqual(summarize(segments), [
+    [1, 0, 2.5],
+    [null, 5, 5.4],
+    [2, 9, 10.5],
+  ]);
+});
+
+test("hybrid snapping only moves boundaries away from the words", () => {
+  const app = createApp();
+  app.settings.silenceSnapWindow = 0.5;
+  const silences = [
+    { start: 0.2, end: 0.6 }, // Before the start
+    { start: 1.1, end: 1.2 }, // Pause inside the phrase, closer to the start
+    { start: 2.9, end: 2.95 }, // Pause inside the phrase, closer to the end
+    { start: 3.3, end: 4 }, // After the end
+  ];
+  const [segment] = app.snapSegmentsToSilence(
+    [{ startTime: 1, endTime: 3 }],
+    silences
+  );
+  assert.strictEqual(segment.startTime, 0.6);
+  assert.strictEqual(segment.endTime, 3.3);
+});
+
+test("number words inside a phrase don't start segments", () => {
+  const app = createApp();
+  const chunks = [
+    word("nine", 0, 0.3),
+    word("fifty-one", 0.3, 0.8),
+    word("I", 1, 1.1),
+    word("have", 1.15, 1.3),
+    word("two", 1.35, 1.6),
+    word("cats", 1.65, 2),
+    // Continues the numbering, so no pause is needed
+    word("nine", 3, 3.3),
+    word("fifty-two", 3.3, 3.8),
+    word("three", 4, 4.4),
+    word("dogs", 4.5, 5),
+    // Any spoken number after a pause starts a segment
+    word("ten", 7, 7.4),
+    word("adios", 7.6, 9.5),
+  ];
+  const segments = app.findSegmentsByNumberPattern({ chunks });
+  assert.deepEqual(summarize(segments), [
+    [951, 0, 2],
+    [952, 3, 5],
+    [10, 7, 9.5],
+  ]);
+  assert.strictEqual(segments[0].text, "951 I have two cats");
+});
+
+test("number tokens split on underscores but keep digit grouping", () => {
+  const app = createApp();
+  const tokens = (text) => [...app.tokenizeNumberText(text)];
+  assert.deepEqual(tokens("951_hola_amigo"), ["951", "hola", "amigo"]);
+  assert.deepEqual(tokens("#951."), ["951"]);
+  assert.deepEqual(tokens("1,000"), ["1000"]);
+  assert.deepEqual(tokens("9:51"), ["951"]);
+  assert.deepEqual(tokens("fifty-one,"), ["fifty", "one"]);
+});
+
+test("Audacity labels exported with {number}_{text} import with their numbers", () => {
+  const app = createApp();
+  app.settings.filenameTemplate = "{number}_{text}";
+  app.segments = [
+    { id: 1, number: 951, text: "951 hola amigo", startTime: 1, endTime: 3 },
+    { id: 2, number: 952, text: "952 buenos dias", startTime: 4, endTime: 6 },
+  ].map((segment) => ({ ...segment, words: [] }));
+
+  const labels = app.cuesToAudacityLabels(app.buildCues());
+  const imported = app.parseAudacityLabels(labels, 10);
+  assert.deepEqual(summarize(imported), [
+    [951, 1, 3],
+    [952, 4, 6],
+  ]);
+});
+
+test("re-segmenting transcribes the phrases of changed segments", async () => {
+  const app = createApp();
+  const chunks = [
+    word("1", 3, 3.4),
+    word("hola", 3.6, 4),
+    word("amigo", 4.1, 6),
+    word("2", 8, 8.4),
+    word("buenos", 8.6, 9.2),
+    word("dias", 9.3, 10),
+    word("y", 14, 14.2),
+    word("mas", 15, 15.8),
+  ];
+  Object.assign(app.settings, { phraseLanguage: "es", groupingWindow: 10 });
+  app.transcription = { text: "", chunks };
+  app.audioBuffer = createTone(1, 20, 16000);
+  app.queue.push({ status: "done" });
+  app.activeQueueIndex = 0;
+  app.whisperModel = { key: "whisper-base" };
+  app.extractSegmentsFromTimestamps = async (segments) => segments;
+  app.displayResults = () => {};
+  app.scheduleSessionSave = () => {};
+  const phrases = [];
+  app.whisperTranscription = async (audio, options) => {
+    phrases.push([audio.length / 16000, options.language]);
+    return { text: " buenos dias" };
+  };
+  app.segments = app.buildSegments(app.transcription);
+  app.segments.forEach((segment) => {
+    segment.phraseText = segment.text.replace(/^\d+ /, "");
+    segment.phraseLanguage = "es";
+  });
+
+  // Segment 2 loses "y mas"; segment 1 is unchanged and keeps its phrase
+  app.settings.groupingWindow = 5;
+  await app.resegment();
+
+  assert.deepEqual(
+    app.segments.map((segment) => [segment.number, segment.phraseText]),
+    [
+      [1, "hola amigo"],
+      [2, "buenos dias"],
+    ]
+  );
+  assert.ok(app.segmentDiff.changed.has(app.segments[1]));
+  // Only the changed phrase, from after its number to its new end
+  assert.deepEqual(phrases, [[1.6, "es"]]);
+});
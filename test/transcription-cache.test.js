@@ -0,0 +1,45 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createApp, createTone } = require("./helpers");
+
+//
+// An app with a fake Whisper run that counts its calls and no IndexedDB.
+//
+function createTranscribingApp(globals) {
+  const app = createApp(globals);
+  const runs = [];
+  app.audioBuffer = createTone(1, 1, 16000);
+  app.transcribeEntireAudio = async () => {
+    runs.push(app.audioBuffer);
+    return { text: " hola", chunks: [] };
+  };
+  return { app, runs };
+}
+
+test("transcriptions are cached per recording", async () => {
+  const { app, runs } = createTranscribingApp();
+  assert.strictEqual((await app.getTranscription()).cached, false);
+  assert.strictEqual((await app.getTranscription()).cached, true);
+  assert.strictEqual(runs.length, 1);
+});
+
+test("without crypto.subtle, transcription runs uncached", async () => {
+  // Plain-HTTP pages have crypto.getRandomValues but no crypto.subtle
+  const { app, runs } = createTranscribingApp({
+    crypto: { getRandomValues: (array) => array },
+  });
+  const first = await app.getTranscription();
+  assert.strictEqual(first.cached, false);
+  assert.strictEqual(first.result.text, " hola");
+  assert.strictEqual((await app.getTranscription()).cached, false);
+  assert.strictEqual(runs.length, 2);
+});
+
+test("a failing cache key falls back to transcribing", async () => {
+  const { app, runs } = createTranscribingApp();
+  app.getTranscriptionCacheKey = async () => {
+    throw new Error("digest failed");
+  };
+  assert.strictEqual((await app.getTranscription()).cached, false);
+  assert.strictEqual(runs.length, 1);
+});
@@ -0,0 +1,524 @@
+/**
+ * Audio Linguist - Waveform Editor
+ * Canvas waveform and timeline for reviewing and adjusting segment boundaries
+ */
+
+class WaveformEditor {
+  //
+  // Creates the editor on a canvas element.
+  // Callbacks notify the owner when a boundary is dragged, a region is selected
+  // or playback starts and stops.
+  //
+  constructor(
+    canvas,
+    { audioContext, onBoundsChange, onSelect, onPlaybackChange } = {}
+  ) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext("2d");
+    this.audioContext = audioContext;
+    this.onBoundsChange = onBoundsChange || (() => {});
+    this.onSelect = onSelect || (() => {});
+    this.onPlaybackChange = onPlaybackChange || (() => {});
+
+    this.displayBuffer = null; // Buffer the waveform is drawn from
+    this.playbackBuffer = null; // Buffer played back from the playhead
+    this.peaks = null;
+    this.segments = [];
+    this.selectedIndex = -1;
+    this.playhead = 0;
+    this.duration = 0;
+
+    // View window
+    this.viewStart = 0;
+    this.pixelsPerSecond = 0; // 0 = fit the whole file
+
+    // Interaction state
+    this.drag = null;
+    this.source = null;
+    this.playStartedAt = 0;
+    this.playOffset = 0;
+    this.animationFrame = null;
+
+    this.setupEvents();
+  }
+  //
+  // Loads the audio to display and play. Peaks are computed once per buffer;
+  // the playback buffer can be swapped (e.g. for cleaned audio) on its own.
+  //
+  load(displayBuffer, playbackBuffer) {
+    this.playbackBuffer = playbackBuffer || displayBuffer;
+    if (this.displayBuffer === displayBuffer) return;
+
+    this.stop();
+    this.displayBuffer = displayBuffer;
+    this.duration = displayBuffer.duration;
+    this.peaks = this.computePeaks(displayBuffer.getChannelData(0));
+    this.viewStart = 0;
+    this.pixelsPerSecond = 0;
+    this.playhead = 0;
+    this.selectedIndex = -1;
+  }
+  //
+  // Sets the segment list drawn as regions. The array is read, never modified.
+  //
+  setSegments(segments) {
+    this.segments = segments;
+    if (this.selectedIndex >= segments.length) this.selectedIndex = -1;
+    this.draw();
+  }
+  //
+  // Summarizes samples into min/max pairs per bin so redraws stay fast
+  // even for long recordings.
+  //
+  computePeaks(data) {
+    const binSize = 256;
+    const binCount = Math.ceil(data.length / binSize);
+    const min = new Float32Array(binCount);
+    const max = new Float32Array(binCount);
+
+    for (let bin = 0; bin < binCount; bin++) {
+      let lo = 0;
+      let hi = 0;
+      const end = Math.min(data.length, (bin + 1) * binSize);
+      for (let i = bin * binSize; i < end; i++) {
+        if (data[i] < lo) lo = data[i];
+        if (data[i] > hi) hi = data[i];
+      }
+      min[bin] = lo;
+      max[bin] = hi;
+    }
+
+    return { binSize, min, max };
+  }
+  //
+  // Registers pointer, wheel and resize handlers on the canvas.
+  //
+  setupEvents() {
+    this.canvas.addEventListener("pointerdown", (e) =>
+      this.handlePointerDown(e)
+    );
+    this.canvas.addEventListener("pointermove", (e) =>
+      this.handlePointerMove(e)
+    );
+    this.canvas.addEventListener("pointerup", (e) => this.handlePointerUp(e));
+    this.canvas.addEventListener("pointercancel", (e) =>
+      this.handlePointerUp(e)
+    );
+    this.canvas.addEventListener("wheel", (e) => this.handleWheel(e), {
+      passive: false,
+    });
+    window.addEventListener("resize", () => this.draw());
+  }
+  //
+  // Returns the canvas width in CSS pixels.
+  //
+  getWidth() {
+    return this.canvas.clientWidth || this.canvas.width;
+  }
+  //
+  // Returns the effective zoom, fitting the whole file when no zoom is set.
+  //
+  getPixelsPerSecond() {
+    if (this.pixelsPerSecond > 0) return this.pixelsPerSecond;
+    return this.duration > 0 ? this.getWidth() / this.duration : 1;
+  }
+  //
+  // Converts a timeline position in seconds to a canvas x coordinate.
+  //
+  timeToX(time) {
+    return (time - this.viewStart) * this.getPixelsPerSecond();
+  }
+  //
+  // Converts a canvas x coordinate to a timeline position, clamped to the file.
+  //
+  xToTime(x) {
+    const time = this.viewStart + x / this.getPixelsPerSecond();
+    return Math.max(0, Math.min(this.duration, time));
+  }
+  //
+  // Keeps the view window inside the file.
+  //
+  clampView() {
+    const visible = this.getWidth() / this.getPixelsPerSecond();
+    this.viewStart = Math.max(
+      0,
+      Math.min(this.viewStart, Math.max(0, this.duration - visible))
+    );
+  }
+  //
+  // Zooms in or out by `factor`, keeping the time under `anchorX` in place.
+  //
+  zoom(factor, anchorX = this.getWidth() / 2) {
+    const anchorTime = this.xToTime(anchorX);
+    const fit = this.duration > 0 ? this.getWidth() / this.duration : 1;
+    const next = Math.min(2000, this.getPixelsPerSecond() * factor);
+
+    this.pixelsPerSecond = next <= fit ? 0 : next;
+    this.viewStart = anchorTime - anchorX / this.getPixelsPerSecond();
+    this.clampView();
+    this.draw();
+  }
+  //
+  // Finds the region edge within a few pixels of x, preferring the selected region.
+  // Returns { index, edge } or null.
+  //
+  hitTestEdge(x) {
+    const tolerance = 6;
+    const order = this.segments.map((segment, index) => index);
+    if (this.selectedIndex >= 0) order.unshift(this.selectedIndex);
+
+    for (const index of order) {
+      const segment = this.segments[index];
+      if (Math.abs(this.timeToX(segment.startTime) - x) <= tolerance) {
+        return { index, edge: "start" };
+      }
+      if (Math.abs(this.timeToX(segment.endTime) - x) <= tolerance) {
+        return { index, edge: "end" };
+      }
+    }
+    return null;
+  }
+  //
+  // Returns the index of the region containing `time`, or -1.
+  //
+  segmentAt(time) {
+    return this.segments.findIndex(
+      (segment) => time >= segment.startTime && time <= segment.endTime
+    );
+  }
+  //
+  // Starts dragging a region edge, or selects a region and moves the playhead.
+  //
+  handlePointerDown(e) {
+    if (!this.displayBuffer) return;
+    const x = e.offsetX;
+    const edge = this.hitTestEdge(x);
+
+    if (edge) {
+      const segment = this.segments[edge.index];
+      this.drag = {
+        ...edge,
+        startTime: segment.startTime,
+        endTime: segment.endTime,
+        pointerId: e.pointerId,
+      };
+      this.canvas.setPointerCapture(e.pointerId);
+      this.select(edge.index);
+      return;
+    }
+
+    const time = this.xToTime(x);
+    this.setPlayhead(time);
+    this.select(this.segmentAt(time));
+  }
+  //
+  // Moves the dragged edge (clamped between its neighbours) or updates the cursor.
+  //
+  handlePointerMove(e) {
+    if (!this.displayBuffer) return;
+    const x = e.offsetX;
+
+    if (!this.drag) {
+      this.canvas.style.cursor = this.hitTestEdge(x) ? "ew-resize" : "pointer";
+      return;
+    }
+
+    const minLength = 0.1;
+    const time = this.xToTime(x);
+    const prev = this.segments[this.drag.index - 1];
+    const next = this.segments[this.drag.index + 1];
+
+    if (this.drag.edge === "start") {
+      const lower = prev ? prev.endTime : 0;
+      this.drag.startTime = Math.max(
+        lower,
+        Math.min(time, this.drag.endTime - minLength)
+      );
+    } else {
+      const upper = next ? next.startTime : this.duration;
+      this.drag.endTime = Math.min(
+        upper,
+        Math.max(time, this.drag.startTime + minLength)
+      );
+    }
+    this.draw();
+  }
+  //
+  // Finishes a drag and reports the new boundaries if they changed.
+  //
+  handlePointerUp(e) {
+    if (!this.drag) return;
+
+    const drag = this.drag;
+    this.drag = null;
+    if (this.canvas.hasPointerCapture(drag.pointerId)) {
+      this.canvas.releasePointerCapture(drag.pointerId);
+    }
+
+    const segment = this.segments[drag.index];
+    if (
+      segment &&
+      (drag.startTime !== segment.startTime || drag.endTime !== segment.endTime)
+    ) {
+      this.onBoundsChange(drag.index, drag.startTime, drag.endTime);
+    }
+    this.draw();
+  }
+  //
+  // Scrolls the view with the wheel; zooms with Ctrl/Cmd + wheel.
+  //
+  handleWheel(e) {
+    if (!this.displayBuffer) return;
+    e.preventDefault();
+
+    if (e.ctrlKey || e.metaKey) {
+      this.zoom(e.deltaY < 0 ? 1.25 : 0.8, e.offsetX);
+      return;
+    }
+
+    const delta = Math.abs(e.deltaX) > Math.abs(e.deltaY) ? e.deltaX : e.deltaY;
+    this.viewStart += delta / this.getPixelsPerSecond();
+    this.clampView();
+    this.draw();
+  }
+  //
+  // Selects a region and notifies the owner.
+  //
+  select(index) {
+    this.selectedIndex = index;
+    this.onSelect(index);
+    this.draw();
+  }
+  //
+  // Moves the playhead, restarting playback from there if playing.
+  //
+  setPlayhead(time) {
+    const wasPlaying = !!this.source;
+    this.stop();
+    this.playhead = Math.max(0, Math.min(this.duration, time));
+    if (wasPlaying) this.play();
+    this.draw();
+  }
+  //
+  // Returns the current playhead position, following playback.
+  //
+  getPlayhead() {
+    if (this.source) {
+      return Math.min(
+        this.duration,
+        this.playOffset + this.audioContext.currentTime - this.playStartedAt
+      );
+    }
+    return this.playhead;
+  }
+  //
+  // Plays the full-quality audio from the playhead and animates the cursor.
+  //
+  play() {
+    if (!this.playbackBuffer || !this.audioContext || this.source) return;
+
+    const source = this.audioContext.createBufferSource();
+    source.buffer = this.playbackBuffer;
+    source.connect(this.audioContext.destination);
+    source.onended = () => {
+      if (this.source !== source) return;
+      this.playhead = this.getPlayhead();
+      this.source = null;
+      this.onPlaybackChange(false);
+      this.draw();
+    };
+
+    this.playOffset = this.playhead;
+    this.playStartedAt = this.audioContext.currentTime;
+    source.start(0, this.playhead);
+    this.source = source;
+    this.onPlaybackChange(true);
+
+    const tick = () => {
+      if (!this.source) return;
+      this.followPlayhead();
+      this.draw();
+      this.animationFrame = requestAnimationFrame(tick);
+    };
+    tick();
+  }
+  //
+  // Stops playback and leaves the playhead where it stopped.
+  //
+  stop() {
+    if (!this.source) return;
+    const source = this.source;
+    this.playhead = this.getPlayhead();
+    this.source = null;
+    source.stop();
+    cancelAnimationFrame(this.animationFrame);
+    this.onPlaybackChange(false);
+    this.draw();
+  }
+  //
+  // Toggles playback and returns whether the editor is now playing.
+  //
+  togglePlayback() {
+    if (this.source) {
+      this.stop();
+    } else {
+      this.play();
+    }
+    return !!this.source;
+  }
+  //
+  // Scrolls the view so the playhead stays visible while playing.
+  //
+  followPlayhead() {
+    const x = this.timeToX(this.getPlayhead());
+    const width = this.getWidth();
+    if (x < 0 || x > width) {
+      this.viewStart =
+        this.getPlayhead() - (width * 0.1) / this.getPixelsPerSecond();
+      this.clampView();
+    }
+  }
+  //
+  // Redraws waveform, time ruler, regions and playhead.
+  //
+  draw() {
+    const canvas = this.canvas;
+    const ctx = this.ctx;
+    const dpr = window.devicePixelRatio || 1;
+    const width = this.getWidth();
+    const height = canvas.clientHeight || canvas.height;
+
+    if (canvas.width !== Math.round(width * dpr)) {
+      canvas.width = Math.round(width * dpr);
+    }
+    if (canvas.height !== Math.round(height * dpr)) {
+      canvas.height = Math.round(height * dpr);
+    }
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    ctx.fillStyle = "#f8fafc";
+    ctx.fillRect(0, 0, width, height);
+    if (!this.displayBuffer) return;
+
+    const rulerHeight = 18;
+    this.drawRegions(ctx, width, height, rulerHeight);
+    this.drawWaveform(ctx, width, height, rulerHeight);
+    this.drawRuler(ctx, width, rulerHeight);
+
+    // Playhead
+    const playX = this.timeToX(this.getPlayhead());
+    ctx.strokeStyle = "#ef4444";
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.moveTo(playX, 0);
+    ctx.lineTo(playX, height);
+    ctx.stroke();
+  }
+  //
+  // Draws min/max peaks for each pixel column in the view.
+  //
+  drawWaveform(ctx, width, height, top) {
+    const { binSize, min, max } = this.peaks;
+    const sampleRate = this.displayBuffer.sampleRate;
+    const samplesPerPixel = sampleRate / this.getPixelsPerSecond();
+    const mid = top + (height - top) / 2;
+    const amplitude = (height - top) / 2 - 2;
+    const data = this.displayBuffer.getChannelData(0);
+
+    ctx.fillStyle = "#64748b";
+    for (let x = 0; x < width; x++) {
+      const from = Math.floor(
+        this.viewStart * sampleRate + x * samplesPerPixel
+      );
+      const to = Math.floor(from + samplesPerPixel);
+      if (from >= data.length) break;
+
+      let lo = 0;
+      let hi = 0;
+      if (samplesPerPixel >= binSize) {
+        const lastBin = Math.min(min.length, Math.ceil(to / binSize));
+        for (let bin = Math.floor(from / binSize); bin < lastBin; bin++) {
+          if (min[bin] < lo) lo = min[bin];
+          if (max[bin] > hi) hi = max[bin];
+        }
+      } else {
+        const last = Math.min(data.length, Math.max(to, from + 1));
+        for (let i = from; i < last; i++) {
+          if (data[i] < lo) lo = data[i];
+          if (data[i] > hi) hi = data[i];
+        }
+      }
+
+      const y1 = mid - hi * amplitude;
+      const y2 = mid - lo * amplitude;
+      ctx.fillRect(x, y1, 1, Math.max(1, y2 - y1));
+    }
+  }
+  //
+  // Draws each segment as a shaded region with edge handles and a label.
+  //
+  drawRegions(ctx, width, height, top) {
+    this.segments.forEach((segment, index) => {
+      const dragging = this.drag && this.drag.index === index;
+      const start = dragging ? this.drag.startTime : segment.startTime;
+      const end = dragging ? this.drag.endTime : segment.endTime;
+      const x1 = this.timeToX(start);
+      const x2 = this.timeToX(end);
+      if (x2 < 0 || x1 > width) return;
+
+      const selected = index === this.selectedIndex;
+      ctx.fillStyle = selected
+        ? "rgba(37, 99, 235, 0.25)"
+        : "rgba(16, 185, 129, 0.15)";
+      ctx.fillRect(x1, top, x2 - x1, height - top);
+
+      ctx.fillStyle = selected ? "#2563eb" : "#10b981";
+      ctx.fillRect(x1 - 1, top, 2, height - top);
+      ctx.fillRect(x2 - 1, top, 2, height - top);
+
+      const label =
+        segment.number !== undefined && segment.number !== null
+          ? `#${segment.number}`
+          : `${segment.id}`;
+      ctx.font = "11px sans-serif";
+      ctx.fillText(label, Math.max(x1, 0) + 4, top + 12);
+    });
+  }
+  //
+  // Draws the time ruler with tick spacing that adapts to the zoom level.
+  //
+  drawRuler(ctx, width, rulerHeight) {
+    const pps = this.getPixelsPerSecond();
+    const steps = [0.1, 0.5, 1, 2, 5, 10, 15, 30, 60, 120, 300, 600];
+    const step = steps.find((candidate) => candidate * pps >= 70) || 600;
+
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, width, rulerHeight);
+    ctx.strokeStyle = "#e2e8f0";
+    ctx.beginPath();
+    ctx.moveTo(0, rulerHeight);
+    ctx.lineTo(width, rulerHeight);
+    ctx.stroke();
+
+    ctx.fillStyle = "#64748b";
+    ctx.font = "10px sans-serif";
+    const first = Math.ceil(this.viewStart / step) * step;
+    for (let time = first; this.timeToX(time) < width; time += step) {
+      const x = this.timeToX(time);
+      ctx.fillRect(x, rulerHeight - 5, 1, 5);
+      ctx.fillText(this.formatTime(time, step < 1), x + 3, 11);
+    }
+  }
+  //
+  // Formats seconds as M:SS, with tenths when zoomed in.
+  //
+  formatTime(seconds, withTenths = false) {
+    const min = Math.floor(seconds / 60);
+    const sec = seconds % 60;
+    const secText = withTenths
+      ? sec.toFixed(1).padStart(4, "0")
+      : Math.floor(sec).toString().padStart(2, "0");
+    return `${min}:${secText}`;
+  }
+}
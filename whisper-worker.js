@@ -0,0 +1,133 @@
+import {
+  pipeline,
+  env,
+} from "https://cdn.jsdelivr.net/npm/@xenova/transformers@2.17.2";
+
+// Whisper worker: loads the speech recognition pipeline and runs inference off
+// the main thread so the page stays responsive. Messages from the page:
+//   { type: "load", model, quantized, localModelPath }
+//   { type: "transcribe", id, audio, options }
+// Replies are tagged with the same type (and id for transcriptions).
+
+let transcriber = null;
+
+//
+// Points transformers.js at the local/offline model folder when one is set,
+// otherwise at the Hugging Face Hub. Local folders must contain the model id
+// path, e.g. <path>/Xenova/whisper-base/onnx/...
+//
+function configureModelSource(localPath) {
+  if (localPath) {
+    env.localModelPath = localPath.endsWith("/") ? localPath : localPath + "/";
+    env.allowLocalModels = true;
+    env.allowRemoteModels = false;
+  } else {
+    env.allowLocalModels = false;
+    env.allowRemoteModels = true;
+  }
+}
+//
+// Loads the requested model, disposing of any previously loaded pipeline.
+// Download progress is forwarded per file so the page can show real progress.
+//
+async function loadModel({ model, quantized, localModelPath }) {
+  if (transcriber) {
+    await transcriber.dispose();
+    transcriber = null;
+  }
+
+  configureModelSource(localModelPath);
+  transcriber = await pipeline("automatic-speech-recognition", model, {
+    quantized,
+    progress_callback: (data) => {
+      if (data.status === "progress") {
+        self.postMessage({
+          type: "load-progress",
+          file: data.file,
+          loaded: data.loaded,
+          total: data.total,
+        });
+      }
+    },
+  });
+  self.postMessage({ type: "loaded" });
+}
+//
+// Counts the windows the pipeline will run for this audio length, mirroring
+// the chunking inside transformers.js so progress can be reported as done/total.
+//
+function countChunks(length, options) {
+  if (!options.chunk_length_s) return 1;
+  const sampleRate = options.sampling_rate || 16000;
+  const windowSize = options.chunk_length_s * sampleRate;
+  const stride =
+    (options.stride_length_s ?? options.chunk_length_s / 6) * sampleRate;
+  const jump = windowSize - 2 * stride;
+  return Math.max(1, Math.ceil(length / jump));
+}
+//
+// Decodes the chunks finished so far into text and timestamped chunks, so the
+// page can show segments while the rest of the file is still being transcribed.
+//
+function decodePartial(finished, options) {
+  try {
+    const timePrecision =
+      transcriber.processor.feature_extractor.config.chunk_length /
+      transcriber.model.config.max_source_positions;
+    const [text, optional] = transcriber.tokenizer._decode_asr(finished, {
+      time_precision: timePrecision,
+      return_timestamps: options.return_timestamps,
+      force_full_sequences: false,
+    });
+    return { text, ...optional };
+  } catch (error) {
+    // Partial results are a convenience - the final result is still returned
+    return null;
+  }
+}
+//
+// Runs one transcription, posting a progress message after every chunk.
+//
+async function transcribe({ id, audio, options }) {
+  if (!transcriber) {
+    throw new Error("Whisper pipeline not loaded");
+  }
+
+  const total = countChunks(audio.length, options);
+  const finished = [];
+  const result = await transcriber(audio, {
+    ...options,
+    chunk_callback: (chunk) => {
+      finished.push(chunk);
+      const partial =
+        options.return_timestamps && !chunk.is_last
+          ? decodePartial(finished, options)
+          : null;
+      self.postMessage({
+        type: "transcribe-progress",
+        id,
+        done: finished.length,
+        total: Math.max(total, finished.length),
+        partial,
+      });
+    },
+  });
+  self.postMessage({ type: "transcribe", id, result });
+}
+
+self.addEventListener("message", async (event) => {
+  const message = event.data;
+  try {
+    if (message.type === "load") {
+      await loadModel(message);
+    } else if (message.type === "transcribe") {
+      await transcribe(message);
+    }
+  } catch (error) {
+    self.postMessage({
+      type: "error",
+      id: message.id,
+      message: error.message || String(error),
+    });
+  }
+});